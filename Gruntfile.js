@@ -4,7 +4,7 @@ module.exports = function(grunt) {
     pkg: grunt.file.readJSON('package.json'),
 
     nodeunit: {
-      all: ['test/*.js', 'android/test/*.js'],
+      all: ['test/*.js', 'android/test/*.js', 'windows/test/*.js'],
       options: {
         reporter: 'default',
         reporterOptions: {
@@ -17,7 +17,7 @@ module.exports = function(grunt) {
       files: ['Gruntfile.js',
               'src/**/*.js', 'test/*.js', 'test-util/*.js',
               'examples/**/*.js',
-              'android/**/*.js'],
+              'android/**/*.js', 'windows/**/*.js'],
       options: {
         /* options here to override JSHint defaults
         globals: {
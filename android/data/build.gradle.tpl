@@ -0,0 +1,84 @@
+// Build file for the Crosswalk app.
+// ABIs, their version codes, SDK and Crosswalk versions are taken from
+// gradle.properties, which crosswalk-app updates on each build. The ABI "shared"
+// stands for a single APK without native code, that uses the Crosswalk runtime library.
+
+buildscript {
+    repositories {
+        jcenter()
+        maven { url "https://maven.google.com" }
+    }
+    dependencies {
+        classpath "com.android.tools.build:gradle:2.3.3"
+    }
+}
+
+allprojects {
+    repositories {
+        jcenter()
+        // xwalk_shared_library for shared mode.
+        maven { url "https://download.01.org/crosswalk/releases/crosswalk/android/maven2" }
+    }
+}
+
+apply plugin: "com.android.application"
+
+def abis = xwalkAbis.split(",")
+def shared = abis.contains("shared")
+def versionCodes = [:]
+xwalkVersionCodes.split(",").each { entry ->
+    def parts = entry.split(":")
+    versionCodes[parts[0]] = parts[1].toInteger()
+}
+
+android {
+    compileSdkVersion xwalkCompileSdkVersion
+    buildToolsVersion xwalkBuildToolsVersion
+
+    // Same project layout as with ant.
+    sourceSets {
+        main {
+            manifest.srcFile "AndroidManifest.xml"
+            java.srcDirs = ["src"]
+            res.srcDirs = ["res"]
+            assets.srcDirs = ["assets"]
+        }
+    }
+
+    aaptOptions {
+        // The default, without "_*".
+        ignoreAssetsPattern "!.svn:!.git:.*:!CVS:!thumbs.db:!picasa.ini:!*.scc:*~"
+    }
+
+    // One APK per ABI, or a single one without native code in shared mode.
+    splits {
+        abi {
+            enable !shared
+            reset()
+            if (!shared) {
+                include(*abis)
+            }
+            universalApk false
+        }
+    }
+
+    applicationVariants.all { variant ->
+        variant.outputs.each { output ->
+            def abi = shared ? "shared" : output.getFilter(com.android.build.OutputFile.ABI)
+            output.versionCodeOverride = versionCodes[abi]
+        }
+    }
+
+    lintOptions {
+        abortOnError false
+    }
+}
+
+dependencies {
+    compile fileTree(dir: "libs", include: ["*.jar"])
+    if (shared) {
+        compile "org.xwalk:xwalk_shared_library:" + xwalkVersion
+    } else {
+        compile project(":xwalk_core_library")
+    }
+}
@@ -0,0 +1,2 @@
+rootProject.name = "{{ packageId }}"
+include ":xwalk_core_library"
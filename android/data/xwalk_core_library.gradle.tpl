@@ -0,0 +1,26 @@
+// Build file for the Crosswalk library.
+
+apply plugin: "com.android.library"
+
+android {
+    compileSdkVersion xwalkCompileSdkVersion
+    buildToolsVersion xwalkBuildToolsVersion
+
+    // Library project as shipped in Crosswalk releases.
+    sourceSets {
+        main {
+            manifest.srcFile "AndroidManifest.xml"
+            java.srcDirs = ["src"]
+            res.srcDirs = ["res"]
+            jniLibs.srcDirs = ["libs"]
+        }
+    }
+
+    lintOptions {
+        abortOnError false
+    }
+}
+
+dependencies {
+    compile fileTree(dir: "libs", include: ["*.jar"])
+}
@@ -40,9 +40,11 @@ function downloadFinishedCb(path, errormsg) {}
  * @constructor
  * @param {Application} application application instance
  * @param {String} channel Crosswalk channel beta/canary/stable
+ * @param {Boolean} [shared] Look up the zip with xwalk_shared_library for shared mode,
+ *                           instead of the release with xwalk_core_library
  * @throws {AndroidDependencies~InvalidChannelError} If no valid channel was specified.
  */
-function AndroidDependencies(application, channel) {
+function AndroidDependencies(application, channel, shared) {
 
     this._application = application;
 
@@ -51,6 +53,7 @@ function AndroidDependencies(application, channel) {
     }
 
     this._channel = channel;
+    this._prefix = shared ? "crosswalk-shared-" : "crosswalk-";
 }
 
 /**
@@ -122,7 +125,7 @@ function(callback) {
 AndroidDependencies.prototype.findLocally =
 function(version) {
 
-    var filename = "crosswalk-" + version + ".zip";
+    var filename = this._prefix + version + ".zip";
     if (ShellJS.test("-f", filename))  {
         return filename;
     } else if (ShellJS.test("-f", "../" + filename)) {
@@ -134,6 +137,44 @@ function(version) {
     return null;
 };
 
+/**
+ * Look for an already downloaded crosswalk zip.
+ * @param {String} version Crosswalk version string
+ * @param {String} defaultPath Directory downloads go to
+ * @returns {String} Path to zip file, or null if not found.
+ */
+AndroidDependencies.prototype.findCached =
+function(version, defaultPath) {
+
+    // Namespace util
+    var util = this._application.util;
+
+    var cacheDir = this._application.config.get("cache-dir");
+    var filename = this._prefix + version + ".zip";
+
+    // Check for existing download in defaultPath, parent dir, and cache dir if set
+    var handler = new util.DownloadHandler(defaultPath, filename);
+    var localDirs = [defaultPath, ""];
+    if (cacheDir)
+        localDirs.push(cacheDir);
+
+    return handler.findLocally(localDirs);
+};
+
+/**
+ * URL of crosswalk zip in the channel.
+ * @param {String} version Crosswalk version string
+ * @returns {String} Download URL.
+ */
+AndroidDependencies.prototype.getDownloadUrl =
+function(version) {
+
+    return BASE_URL +
+           this._channel + "/" +
+           version + "/" +
+           this._prefix + version + ".zip";
+};
+
 /**
  * Download crosswalk zip, checks for already existing file, and returns it in case.
  * @param {String} version Crosswalk version string
@@ -149,18 +190,11 @@ function(version, defaultPath, callback) {
     var util = this._application.util;
 
     var output = this._application.output;
-    var filename = "crosswalk-" + version + ".zip";
-    var url = BASE_URL +
-              this._channel + "/" +
-              version + "/" +
-              filename;
+    var cacheDir = this._application.config.get("cache-dir");
+    var filename = this._prefix + version + ".zip";
+    var url = this.getDownloadUrl(version);
 
-    // Check for existing download in defaultPath, parent dir, and cache dir if set
-    var handler = new util.DownloadHandler(defaultPath, filename);
-    var localDirs = [defaultPath, ""];
-    if (process.env.CROSSWALK_APP_TOOLS_CACHE_DIR)
-        localDirs.push(process.env.CROSSWALK_APP_TOOLS_CACHE_DIR);
-    var localPath = handler.findLocally(localDirs);
+    var localPath = this.findCached(version, defaultPath);
     if (localPath) {
         output.info("Using cached " + localPath);
         callback(localPath);
@@ -171,6 +205,7 @@ function(version, defaultPath, callback) {
     var label = "Downloading '" + this._channel + "' " + version;
     var indicator = output.createFiniteProgress(label);
 
+    var handler = new util.DownloadHandler(defaultPath, filename);
     var stream = handler.createStream();
     var downloader = new util.Downloader(url, stream);
     downloader.progress = function(progress) {
@@ -186,7 +221,7 @@ function(version, defaultPath, callback) {
 
         } else {
 
-            var finishedPath = handler.finish(process.env.CROSSWALK_APP_TOOLS_CACHE_DIR);
+            var finishedPath = handler.finish(cacheDir);
             callback(finishedPath);
         }
     });
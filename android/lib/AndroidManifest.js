@@ -2,20 +2,22 @@
 // Use  of this  source  code is  governed by  an Apache v2
 // license that can be found in the LICENSE-APACHE-V2 file.
 
-var FS = require("fs");
-
 var xmldom = require("xmldom");
 
+var DryRun = require("../../src/util/DryRun");
+
 /**
  * AndroidManifest wrapper.
  * @param {OutputIface} output Output implementation
  * @param {String} path Path to manifest.json
+ * @param {DryRun} [dryRun] Dry-run support to read and write files with, see {@link Application#dryRun}
  * @constructor
  */
-function AndroidManifest(output, path) {
+function AndroidManifest(output, path, dryRun) {
 
     this._output = output;
     this._path = path;
+    this._dryRun = dryRun ? dryRun : DryRun.getInstance();
 
     var doc = this.read();
     this._package = doc.documentElement.getAttribute("package");
@@ -33,6 +35,14 @@ function AndroidManifest(output, path) {
     if (node) {
         this._applicationLabel = node.getAttribute("android:label");
     }
+
+    this._screenOrientation = null;
+    this._activityLabel = null;
+    node = this.findActivityNode(doc);
+    if (node) {
+        this._screenOrientation = node.getAttribute("android:screenOrientation");
+        this._activityLabel = node.getAttribute("android:label");
+    }
 }
 
 /**
@@ -139,6 +149,205 @@ Object.defineProperty(AndroidManifest.prototype, "applicationLabel", {
                            }
                       });
 
+/**
+ * Label of the main activity, shown in the launcher
+ * @member {String} activityLabel Value for <activity android:label= in the android manifest
+ * @instance
+ * @memberOf AndroidManifest
+ */
+Object.defineProperty(AndroidManifest.prototype, "activityLabel", {
+                      get: function() {
+                                return this._activityLabel;
+                           },
+                      set: function(activityLabel) {
+                                // Look up <activity> node
+                                var doc = this.read();
+                                var node = this.findActivityNode(doc);
+                                // Test and set
+                                if (node) {
+                                    this._activityLabel = activityLabel;
+                                    node.setAttribute("android:label", activityLabel);
+                                    this.write(doc);
+                                } else {
+                                    this._output.warning("Did not find <activity> element in AndroidManifest.xml");
+                                }
+                           }
+                      });
+
+/**
+ * Screen orientation of the main activity
+ * @member {String} screenOrientation Value for <activity android:screenOrientation= in the android manifest
+ * @instance
+ * @memberOf AndroidManifest
+ */
+Object.defineProperty(AndroidManifest.prototype, "screenOrientation", {
+                      get: function() {
+                                return this._screenOrientation;
+                           },
+                      set: function(screenOrientation) {
+                                // Look up <activity> node
+                                var doc = this.read();
+                                var node = this.findActivityNode(doc);
+                                // Test and set
+                                if (node) {
+                                    this._screenOrientation = screenOrientation;
+                                    node.setAttribute("android:screenOrientation", screenOrientation);
+                                    this.write(doc);
+                                } else {
+                                    this._output.warning("Did not find <activity> element in AndroidManifest.xml");
+                                }
+                           }
+                      });
+
+/**
+ * Permissions requested by the app
+ * @member {String[]} permissions Names from <uses-permission android:name= in the android manifest
+ * @instance
+ * @memberOf AndroidManifest
+ */
+Object.defineProperty(AndroidManifest.prototype, "permissions", {
+                      get: function() {
+                                var doc = this.read();
+                                return this.findPermissionNodes(doc).map(function(node) {
+                                    return node.getAttribute("android:name");
+                                });
+                           }
+                      });
+
+/**
+ * Request permission, unless already requested.
+ * @param {String} permission Fully qualified name, e.g. "android.permission.CAMERA"
+ */
+AndroidManifest.prototype.addPermission =
+function(permission) {
+
+    var doc = this.read();
+    var nodes = this.findPermissionNodes(doc);
+    for (var i = 0; i < nodes.length; i++) {
+        if (nodes[i].getAttribute("android:name") === permission) {
+            return;
+        }
+    }
+
+    var node = doc.createElement("uses-permission");
+    node.setAttribute("android:name", permission);
+
+    // Append after the last permission, or the last element otherwise,
+    // with the same indentation.
+    var root = doc.documentElement;
+    var previous = nodes.length > 0 ? nodes[nodes.length - 1] : root.lastChild;
+    while (previous && previous.nodeType !== previous.ELEMENT_NODE) {
+        previous = previous.previousSibling;
+    }
+    var indent = "\n    ";
+    if (previous && previous.previousSibling &&
+        previous.previousSibling.nodeType === previous.TEXT_NODE) {
+        var text = previous.previousSibling.data;
+        indent = text.substring(text.lastIndexOf("\n"));
+    }
+
+    var next = previous ? previous.nextSibling : null;
+    root.insertBefore(doc.createTextNode(indent), next);
+    root.insertBefore(node, next);
+    this.write(doc);
+};
+
+/**
+ * Remove permission request, if present.
+ * @param {String} permission Fully qualified name, e.g. "android.permission.CAMERA"
+ */
+AndroidManifest.prototype.removePermission =
+function(permission) {
+
+    var doc = this.read();
+    var nodes = this.findPermissionNodes(doc);
+    var removed = false;
+    for (var i = 0; i < nodes.length; i++) {
+        if (nodes[i].getAttribute("android:name") === permission) {
+            // Also remove the line's indentation.
+            var previous = nodes[i].previousSibling;
+            if (previous && previous.nodeType === previous.TEXT_NODE &&
+                previous.data.trim() === "") {
+                doc.documentElement.removeChild(previous);
+            }
+            doc.documentElement.removeChild(nodes[i]);
+            removed = true;
+        }
+    }
+
+    if (removed) {
+        this.write(doc);
+    }
+};
+
+/**
+ * Look up <meta-data> value inside <application>.
+ * @param {String} name Name, e.g. "xwalk_apk_url"
+ * @returns {String} Value, or null if not present.
+ */
+AndroidManifest.prototype.getMetaData =
+function(name) {
+
+    var doc = this.read();
+    var node = this.findMetaDataNode(doc, name);
+
+    return node ? node.getAttribute("android:value") : null;
+};
+
+/**
+ * Add, change or remove <meta-data> element inside <application>.
+ * @param {String} name Name, e.g. "xwalk_apk_url"
+ * @param {String} value Value, or null to remove the element
+ */
+AndroidManifest.prototype.setMetaData =
+function(name, value) {
+
+    var doc = this.read();
+    var application = this.findApplicationNode(doc);
+    if (!application) {
+        this._output.warning("Did not find <application> element in AndroidManifest.xml");
+        return;
+    }
+
+    var node = this.findMetaDataNode(doc, name);
+    if (node && value === null) {
+        // Also remove the line's indentation.
+        var previous = node.previousSibling;
+        if (previous && previous.nodeType === previous.TEXT_NODE &&
+            previous.data.trim() === "") {
+            application.removeChild(previous);
+        }
+        application.removeChild(node);
+    } else if (node && node.getAttribute("android:value") !== value) {
+        node.setAttribute("android:value", value);
+    } else if (!node && value !== null) {
+        node = doc.createElement("meta-data");
+        node.setAttribute("android:name", name);
+        node.setAttribute("android:value", value);
+
+        // Append after the last element, with the same indentation.
+        var last = application.lastChild;
+        while (last && last.nodeType !== last.ELEMENT_NODE) {
+            last = last.previousSibling;
+        }
+        var indent = "\n        ";
+        if (last && last.previousSibling &&
+            last.previousSibling.nodeType === last.TEXT_NODE) {
+            var text = last.previousSibling.data;
+            indent = text.substring(text.lastIndexOf("\n"));
+        }
+
+        var next = last ? last.nextSibling : null;
+        application.insertBefore(doc.createTextNode(indent), next);
+        application.insertBefore(node, next);
+    } else {
+        // Unchanged
+        return;
+    }
+
+    this.write(doc);
+};
+
 /**
  * Read AndroidManifest.xml
  * @returns {xmldom.Document} XML Document
@@ -149,7 +358,7 @@ AndroidManifest.prototype.read =
 function() {
 
     var parser = new xmldom.DOMParser();
-    var buf = FS.readFileSync(this._path, {"encoding": "utf8"});
+    var buf = this._dryRun.readFile(this._path);
     return parser.parseFromString(buf);
 };
 
@@ -164,7 +373,7 @@ function(doc) {
 
     var serializer = new xmldom.XMLSerializer();
     var buf = serializer.serializeToString(doc);
-    FS.writeFileSync(this._path, buf);
+    this._dryRun.writeFile(this._path, buf);
 };
 
 /**
@@ -189,4 +398,69 @@ function(document) {
     return node;
 };
 
+/**
+ * Find main activity node, the first inside <application>
+ * @param {xmldom.Document} document
+ * @returns {xmldom.Node} Node if found or null
+ * @private
+ */
+AndroidManifest.prototype.findActivityNode =
+function(document) {
+
+    var application = this.findApplicationNode(document);
+    if (!application) {
+        return null;
+    }
+
+    var activities = application.getElementsByTagName("activity");
+    return activities.length > 0 ? activities[0] : null;
+};
+
+/**
+ * Find <uses-permission> nodes
+ * @param {xmldom.Document} document
+ * @returns {xmldom.Node[]} Nodes, empty if there are none
+ * @private
+ */
+AndroidManifest.prototype.findPermissionNodes =
+function(document) {
+
+    var nodes = [];
+
+    for (var idx in document.documentElement.childNodes) {
+        var n = document.documentElement.childNodes[idx];
+        if (n.nodeName === "uses-permission") {
+            nodes.push(n);
+        }
+    }
+
+    return nodes;
+};
+
+/**
+ * Find <meta-data> node inside <application>
+ * @param {xmldom.Document} document
+ * @param {String} name Value of the android:name attribute
+ * @returns {xmldom.Node} Node if found or null
+ * @private
+ */
+AndroidManifest.prototype.findMetaDataNode =
+function(document, name) {
+
+    var application = this.findApplicationNode(document);
+    if (!application) {
+        return null;
+    }
+
+    for (var idx in application.childNodes) {
+        var n = application.childNodes[idx];
+        if (n.nodeName === "meta-data" &&
+            n.getAttribute("android:name") === name) {
+            return n;
+        }
+    }
+
+    return null;
+};
+
 module.exports = AndroidManifest;
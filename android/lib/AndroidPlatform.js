@@ -8,11 +8,83 @@ var Path = require('path');
 var ShellJS = require("shelljs");
 
 var AndroidDependencies = require("./AndroidDependencies");
+var ApkSigner = require("./ApkSigner");
 var AndroidManifest = require("./AndroidManifest");
 var AndroidSDK = require("./AndroidSDK");
+var AndroidTargets = require("./AndroidTargets");
+var GradleProject = require("./GradleProject");
 var JavaActivity = require("./JavaActivity");
+var XmlStrings = require("./XmlStrings");
 var XmlTheme = require("./XmlTheme");
 
+/**
+ * Values for android:screenOrientation by manifest.json orientation.
+ */
+var SCREEN_ORIENTATIONS = {
+    "any": "fullSensor",
+    "natural": "nosensor",
+    "landscape": "sensorLandscape",
+    "landscape-primary": "landscape",
+    "landscape-secondary": "reverseLandscape",
+    "portrait": "sensorPortrait",
+    "portrait-primary": "portrait",
+    "portrait-secondary": "reversePortrait"
+};
+
+/**
+ * Language codes that Android resource directories use from before ISO 639 changed them.
+ */
+var LEGACY_LANGUAGE_CODES = {
+    "he": "iw",
+    "id": "in",
+    "yi": "ji"
+};
+
+/**
+ * Leading digit of android:versionCode by ABI, so the Play Store prefers
+ * 64-bit over 32-bit packages, and x86 over ARM ones for devices that run both.
+ */
+var ABI_CODES = {
+    "armeabi-v7a": 2,
+    "arm64-v8a": 3,
+    "x86": 6,
+    "x86_64": 7
+};
+
+/**
+ * Pseudo ABI of the single APK built in shared mode, which has no native code.
+ */
+var SHARED_ABI = "shared";
+
+/**
+ * Leading digit of android:versionCode in shared mode, below all ABIs,
+ * so devices get an APK with embedded Crosswalk where one is published.
+ */
+var SHARED_ABI_CODE = 1;
+
+/**
+ * Activity base classes that load Crosswalk from the runtime library
+ * in shared mode, XWalkRuntimeActivityBase extends XWalkActivity.
+ */
+var SHARED_ACTIVITY_CLASSES = ["XWalkRuntimeActivityBase", "XWalkActivity"];
+
+/**
+ * Base class MainActivity is converted to for shared mode.
+ */
+var SHARED_ACTIVITY_BASE_CLASS = "org.xwalk.app.XWalkRuntimeActivityBase";
+
+/**
+ * Library project that loads Crosswalk from the runtime library, which
+ * shared mode links against instead of xwalk_core_library.
+ */
+var SHARED_LIBRARY = "xwalk_shared_library";
+
+/**
+ * Manifest meta-data that tells XWalkActivity where to download
+ * the runtime library from, instead of the app store.
+ */
+var RUNTIME_URL_META_DATA = "xwalk_apk_url";
+
 /**
  * Android project class.
  * @extends PlatformBase
@@ -37,6 +109,12 @@ function AndroidPlatform(PlatformBase, baseData) {
     }
 
     instance._sdk = new AndroidSDK(instance.application);
+    instance._gradle = new GradleProject(instance.application, instance._sdk.sdkPath);
+    instance._signer = new ApkSigner(instance.application,
+                                     instance._sdk.sdkPath ?
+                                        Path.join(instance._sdk.sdkPath, "build-tools",
+                                                  instance._gradle.findBuildToolsVersion()) :
+                                        null);
     instance._channel = "stable";
 
     return instance;
@@ -50,7 +128,16 @@ function() {
     return {
         create: {
             "crosswalk": "\t\t\tChannel name (stable/beta/canary)\n" +
-                         "\t\t\t\t\t\tor version number (w.x.y.z)"
+                         "\t\t\t\t\t\tor version number (w.x.y.z)",
+            "build-system": "\t\t\"ant\" (default) or \"gradle\""
+        },
+        build: {
+            "build-system": "\t\t\"ant\" or \"gradle\", defaults to what\n" +
+                            "\t\t\t\t\t\tthe project was created with",
+            "targets": "\t\t\tComma-separated ABIs, e.g.\n" +
+                       "\t\t\t\t\t\t\"armeabi-v7a,arm64-v8a,x86,x86_64\"",
+            "shared": "\t\t\tBuild one APK that uses the Crosswalk\n" +
+                      "\t\t\t\t\t\truntime library installed on the device"
         }
     };
 };
@@ -65,6 +152,134 @@ function() {
     };
 };
 
+/**
+ * Implements {@link PlatformBase.checkRequirements}
+ * @static
+ */
+AndroidPlatform.checkRequirements =
+function(util, config, callback) {
+
+    var results = [];
+
+    // "android" script and installed API targets.
+    function checkSDK(next) {
+
+        var android = new util.HostTool("android");
+        if (!android.path) {
+            results.push({
+                name: "android",
+                pass: false,
+                detail: "not found",
+                hint: "Install the Android SDK and add its tools/ dir to PATH"
+            });
+            next();
+            return;
+        }
+
+        results.push({
+            name: "android",
+            pass: true,
+            detail: android.path
+        });
+
+        android.exec(["list", "target"], function(output, errormsg) {
+
+            var minApiLevel = 21;
+            var targets = output ? new AndroidTargets(output) : null;
+            var names = targets ? Object.keys(targets.parse()) : [];
+            results.push({
+                name: "API targets",
+                pass: targets !== null && targets.pickLowest(minApiLevel) !== null,
+                detail: names.length > 0 ? names.join(", ") :
+                        errormsg ? errormsg : "none",
+                hint: "Install android-" + minApiLevel + " or later with ABIs using 'android sdk'"
+            });
+            next();
+        });
+    }
+
+    function checkAnt(next) {
+
+        var ant = new util.HostTool("ant");
+        ant.queryVersion(["-version"], /version ([0-9.]+)/,
+                         function(version, output, errormsg) {
+
+            results.push({
+                name: "ant",
+                pass: version !== null,
+                detail: version ? ant.path + " (" + version + ")" : errormsg,
+                hint: "Install Apache Ant and add it to PATH"
+            });
+            next();
+        });
+    }
+
+    // Gradle builds only need to know where the SDK is.
+    function checkSDKPath(next) {
+
+        var android = new util.HostTool("android");
+        var sdkPath = AndroidSDK.prototype.findSDKPath(android.path);
+        results.push({
+            name: "Android SDK",
+            pass: sdkPath !== null,
+            detail: sdkPath ? sdkPath : "not found",
+            hint: "Install the Android SDK and set ANDROID_HOME to its location"
+        });
+        next();
+    }
+
+    function checkGradle(next) {
+
+        var gradle = new util.HostTool("gradle");
+        gradle.queryVersion(["--version"], /Gradle ([0-9.]+)/,
+                            function(version, output, errormsg) {
+
+            results.push({
+                name: "gradle",
+                pass: version !== null,
+                detail: version ? gradle.path + " (" + version + ")" : errormsg,
+                hint: "Install Gradle and add it to PATH"
+            });
+            next();
+        });
+    }
+
+    function checkJava(next) {
+
+        var java = new util.HostTool("java");
+        java.queryVersion(["-version"], /version "([^"]+)"/,
+                          function(version, output, errormsg) {
+
+            // Java reports "1.7.0_80" up to 8, and "9.0.1" afterwards.
+            var major = 0;
+            if (version) {
+                var parts = version.split(".");
+                major = parts[0] === "1" ? Number(parts[1]) : Number(parts[0]);
+            }
+            results.push({
+                name: "java",
+                pass: major >= 7,
+                detail: version ? java.path + " (" + version + ")" : errormsg,
+                hint: "Install JDK 7 or later and add it to PATH"
+            });
+            next();
+        });
+    }
+
+    var checks = config.get("android-build-system") === "gradle" ?
+                    [ checkSDKPath, checkGradle, checkJava ] :
+                    [ checkSDK, checkAnt, checkJava ];
+    function runNext() {
+        var check = checks.shift();
+        if (check) {
+            check(runNext);
+        } else {
+            callback(results);
+        }
+    }
+    runNext();
+};
+
 /**
  * Fill template files and put them into the project skeleton.
  * @param {String} apiTarget Android API target (greater android-14)
@@ -89,13 +304,17 @@ function(apiTarget, platformPath) {
     var tpl = new util.TemplateFile(Path.join(__dirname, "..", "data", "AndroidManifest.xml.tpl"));
     tpl.render(data, platformPath + Path.sep + "AndroidManifest.xml");
 
-    // build.xml
-    tpl = new util.TemplateFile(Path.join(__dirname, "..", "data", "build.xml.tpl"));
-    tpl.render(data, platformPath + Path.sep + "build.xml");
+    // Gradle projects come with their build files already.
+    if (!ShellJS.test("-f", Path.join(platformPath, "build.gradle"))) {
+
+        // build.xml
+        tpl = new util.TemplateFile(Path.join(__dirname, "..", "data", "build.xml.tpl"));
+        tpl.render(data, platformPath + Path.sep + "build.xml");
 
-    // project.properties
-    tpl = new util.TemplateFile(Path.join(__dirname, "..", "data", "project.properties.tpl"));
-    tpl.render(data, platformPath + Path.sep + "project.properties");
+        // project.properties
+        tpl = new util.TemplateFile(Path.join(__dirname, "..", "data", "project.properties.tpl"));
+        tpl.render(data, platformPath + Path.sep + "project.properties");
+    }
 
     // Make html5 app dir and copy sample content
     var assetsPath = Path.join(platformPath, "assets");
@@ -107,6 +326,42 @@ function(apiTarget, platformPath) {
     return true;
 };
 
+/**
+ * Implements {@link PlatformBase.fetchVersions}
+ * @static
+ */
+AndroidPlatform.fetchVersions =
+function(util, config, output, channel, callback) {
+
+    // No project here, but fetching and cache lookup only need these.
+    var context = {
+        config: config,
+        output: output,
+        util: util
+    };
+
+    // Look where downloads go, the cache dir, or else the packages dir,
+    // which is the working directory as for Application.pkgPath.
+    var cacheDir = config.get("cache-dir");
+    var downloadPath = cacheDir ? cacheDir : process.cwd();
+
+    var deps = new AndroidDependencies(context, channel);
+    deps.fetchVersions(function(versions, errormsg) {
+
+        if (errormsg) {
+            callback(null, errormsg);
+            return;
+        }
+
+        callback(versions.map(function(version) {
+            return {
+                version: version,
+                cached: deps.findCached(version, downloadPath) !== null
+            };
+        }), null);
+    });
+};
+
 /**
  * Import Crosswalk libraries and auxiliary files into the project.
  * @param {String} crosswalkPath Location of unpacked Crosswalk distribution
@@ -198,7 +453,8 @@ function(crosswalkPath, platformPath) {
         }
 
         var activity = new JavaActivity(output,
-                                        Path.join(activityDirPath, "MainActivity.java"));
+                                        Path.join(activityDirPath, "MainActivity.java"),
+                                        this.application.dryRun);
         if (!activity.importFromZip(entry, this.packageId))
             return null;
 
@@ -236,6 +492,8 @@ AndroidPlatform.prototype.importCrosswalk =
 function(versionSpec, platformPath, callback) {
 
     var output = this.application.output;
+    var exceptions = this.application.exceptions;
+    var dryRun = this.application.dryRun;
 
     var channel = null;
     var version = null;
@@ -259,25 +517,37 @@ function(versionSpec, platformPath, callback) {
 
         // Download latest Crosswalk
         var deps = new AndroidDependencies(this.application, channel);
-        deps.download(version, ".",
+
+        if (dryRun.isEnabled()) {
+            var cachedPath = deps.findCached(version, this.application.pkgPath);
+            dryRun.skip(output, cachedPath ?
+                                        "use cached " + cachedPath :
+                                        "download " + deps.getDownloadUrl(version));
+            dryRun.skip(output, "import crosswalk '" + version + "' into " + platformPath);
+            callback(version, null);
+            return;
+        }
+
+        deps.download(version, this.application.pkgPath,
                       function(filename, errormsg) {
 
             if (errormsg) {
-                callback(null, errormsg);
+                callback(null, new exceptions.DownloadError(errormsg));
                 return;
             }
 
             if (!filename) {
-                callback(null, "Failed to download Crosswalk");
+                callback(null, new exceptions.DownloadError("Failed to download Crosswalk"));
                 return;
             }
 
-            errormsg = null;
+            // Unsupported version or missing entries, details are printed above.
+            var error = null;
             var importedVersion = this.importCrosswalkFromZip(filename, platformPath);
             if (!importedVersion) {
-                errormsg = "Failed to extract " + filename;
+                error = new exceptions.InvalidProjectError("Failed to import Crosswalk from " + filename);
             }
-            callback(importedVersion, errormsg);
+            callback(importedVersion, error);
 
         }.bind(this));
     }.bind(this));
@@ -290,20 +560,28 @@ AndroidPlatform.prototype.create =
 function(packageId, args, callback) {
 
     var output = this.application.output;
+    var exceptions = this.application.exceptions;
 
-    var minApiLevel = 21;
+    var buildSystem = this.getBuildSystem(args);
+    if (!buildSystem) {
+        callback("Unknown build system '" + args["build-system"] + "', use \"ant\" or \"gradle\"");
+        return;
+    }
+    var project = buildSystem === "gradle" ? this._gradle : this._sdk;
+
+    var minApiLevel = +this.application.config.get("android-min-api-level");
     this._sdk.queryTarget(minApiLevel,
                           function(apiTarget, errormsg) {
 
         if (errormsg) {
-            callback(errormsg);
+            callback(new exceptions.ToolNotFoundError(errormsg));
             return;
         }
 
-        output.info("Building against API level " + apiTarget);
+        output.info("Building against API level " + apiTarget + " with " + buildSystem);
 
-        this._sdk.generateProjectSkeleton(this.platformPath, this.packageId, apiTarget,
-                                          function(path, logmsg, errormsg) {
+        project.generateProjectSkeleton(this.platformPath, this.packageId, apiTarget,
+                                        function(path, logmsg, errormsg) {
 
             this.logOutput.write(logmsg);
 
@@ -312,17 +590,19 @@ function(packageId, args, callback) {
                 return;
             }
 
-            // Remove _* from the default set of assets that are ignored
-            // see sdk/tools/ant/build.xml for more info
-            // the following is the default, without '_*'
-            'aapt.ignore.assets = "!.svn:!.git:.*:!CVS:!thumbs.db:!picasa.ini:!*.scc:*~"\n'.toEnd(path + Path.sep + 'ant.properties');
+            if (buildSystem === "ant") {
+                // Remove _* from the default set of assets that are ignored
+                // see sdk/tools/ant/build.xml for more info
+                // the following is the default, without '_*'
+                'aapt.ignore.assets = "!.svn:!.git:.*:!CVS:!thumbs.db:!picasa.ini:!*.scc:*~"\n'.toEnd(path + Path.sep + 'ant.properties');
+            }
 
             var versionSpec = null;
             if (args.crosswalk) {
                 // TODO verify version/channel
                 versionSpec = args.crosswalk;
             } else {
-                versionSpec = "stable";
+                versionSpec = this.application.config.get("crosswalk-channel");
                 output.info("Defaulting to download channel " + versionSpec);
             }
 
@@ -335,11 +615,17 @@ function(packageId, args, callback) {
                                  function(version, errormsg) {
 
                 if (errormsg) {
-                    output.error(errormsg);
-                    callback("Creating project template failed");
+                    output.error(exceptions.messageFor(errormsg));
+                    callback(exceptions.withMessage(errormsg, "Creating project template failed"));
                     return;
                 }
 
+                if (buildSystem === "gradle") {
+                    // Build file for the imported xwalk_core_library.
+                    this._gradle.generateBuildFiles(path, this.packageId);
+                }
+
+                this.exportVersion(version);
                 output.info("Project template created at '" + path + "'");
                 callback(null);
             }.bind(this));
@@ -357,6 +643,7 @@ AndroidPlatform.prototype.findCrosswalkVersion =
 function(version, channel, callback) {
 
     // Namespace util
+    var exceptions = this.application.exceptions;
     var util = this.application.util;
 
     var versionName = version ?
@@ -374,7 +661,7 @@ function(version, channel, callback) {
     deps.fetchVersions(function(versions, errormsg) {
 
         if (errormsg) {
-            callback(null, null, errormsg);
+            callback(null, null, new exceptions.DownloadError(errormsg));
             return;
         }
 
@@ -418,30 +705,307 @@ AndroidPlatform.prototype.update =
 function(versionSpec, args, callback) {
 
     var output = this.application.output;
+    var exceptions = this.application.exceptions;
 
     this.importCrosswalk(versionSpec, this.platformPath,
                          function(version, errormsg) {
 
         if (errormsg) {
-            output.error(errormsg);
-            callback("Updating crosswalk to '" + version + "' failed");
+            output.error(exceptions.messageFor(errormsg));
+            callback(exceptions.withMessage(errormsg, "Updating crosswalk to '" + version + "' failed"));
             return;
         }
 
+        this.exportVersion(version);
         output.info("Project updated to crosswalk '" + version + "'");
         callback(null);
-    });
+    }.bind(this));
 };
 
+/**
+ * Implements {@link PlatformBase.refresh}
+ */
 AndroidPlatform.prototype.refresh =
+function(callback) {
+
+    var output = this.application.output;
+    var exceptions = this.application.exceptions;
+
+    if (!ShellJS.test("-d", Path.join(this.platformPath, "xwalk_core_library"))) {
+        callback(new exceptions.InvalidProjectError("Crosswalk not found in " + this.platformPath +
+                                                    ", please create or update the project"));
+        return;
+    }
+
+    var minApiLevel = +this.application.config.get("android-min-api-level");
+    this._sdk.queryTarget(minApiLevel,
+                          function(apiTarget, errormsg) {
+
+        if (errormsg) {
+            callback(new exceptions.ToolNotFoundError(errormsg));
+            return;
+        }
+
+        output.info("Refreshing project against API level " + apiTarget);
+
+        var project = this.getBuildSystem() === "gradle" ? this._gradle : this._sdk;
+        project.refreshProject(this.platformPath, apiTarget,
+                               function(logmsg, errormsg) {
+
+            if (logmsg)
+                this.logOutput.write(logmsg);
+
+            if (errormsg) {
+                callback(errormsg);
+                return;
+            }
+
+            // Re-apply manifest.json, this also updates the icons.
+            errormsg = this.updateManifest();
+            if (errormsg) {
+                callback(errormsg);
+                return;
+            }
+
+            // Only flags are edited inside the activity, so custom
+            // code is kept. Build re-applies them per configuration.
+            if (!this.updateJavaActivity(false)) {
+                callback("Failed to update java activity");
+                return;
+            }
+
+            output.info("Project refreshed at '" + this.platformPath + "'");
+            callback(null);
+        }.bind(this));
+    }.bind(this));
+};
+
+/**
+ * Build system to use, from the "android-build-system" option or setting.
+ * Otherwise the one the project was created with: gradle if there is
+ * a build.gradle but no build.xml, ant for everything else.
+ * @param {Object} [args] Options of the command
+ * @returns {String} "ant" or "gradle", null if an unknown one was requested.
+ */
+AndroidPlatform.prototype.getBuildSystem =
+function(args) {
+
+    var buildSystem = args && args["build-system"] ?
+                        args["build-system"] :
+                        this.application.config.get("android-build-system");
+    if (buildSystem) {
+        return ["ant", "gradle"].indexOf(buildSystem) > -1 ? buildSystem : null;
+    }
+
+    return ShellJS.test("-f", Path.join(this.platformPath, "build.gradle")) &&
+           !ShellJS.test("-f", Path.join(this.platformPath, "build.xml")) ?
+                "gradle" : "ant";
+};
+
+/**
+ * ABIs to build packages for, from the "android-targets" option, the
+ * "xwalk_android_targets" manifest field, or else the setting of the same name.
+ * @param {Object} [args] Options of the command
+ * @returns {String[]} ABI names.
+ */
+AndroidPlatform.prototype.getABIs =
+function(args) {
+
+    var abis = args && args.targets ? args.targets : this.application.manifest.androidTargets;
+    if (!abis) {
+        abis = this.application.config.get("android-targets");
+    }
+
+    // Settings files may also carry an array.
+    if (!Array.isArray(abis)) {
+        abis = abis.split(",");
+    }
+
+    return abis.map(function(abi) {
+        return abi.trim();
+    }).filter(function(abi, i, list) {
+        return abi && list.indexOf(abi) === i;
+    });
+};
+
+/**
+ * Packaging mode, from the "android-shared" option or the
+ * "xwalk_android_mode" manifest field.
+ * @param {Object} [args] Options of the command
+ * @returns {String} "embedded" or "shared".
+ */
+AndroidPlatform.prototype.getMode =
+function(args) {
+
+    return args && args.shared ? "shared" : this.application.manifest.androidMode;
+};
+
+/**
+ * Check that the project can be built in shared mode, which needs
+ * Crosswalk 15 or later, and a readable MainActivity to convert.
+ * @returns {String} Error message, or null if shared mode works.
+ */
+AndroidPlatform.prototype.checkSharedMode =
 function() {
 
-    // TODO implement
+    // Instances are created by PlatformBase, see the constructor.
+    var version = this.constructor.readVersion(this.platformPath);
+    if (!version) {
+        return "Shared mode needs Crosswalk 15 or later, the version of this project is unknown" +
+               ", run 'crosswalk-app update stable'";
+    } else if (Number(version.split(".")[0]) < 15) {
+        return "Shared mode needs Crosswalk 15 or later, this project uses " + version +
+               ", run 'crosswalk-app update stable'";
+    }
+
+    var path = Path.join(JavaActivity.pathForPackage(this.platformPath, this.packageId),
+                         "MainActivity.java");
+    if (!new JavaActivity(this.application.output, path, this.application.dryRun).baseClass) {
+        return "Failed to read base class of MainActivity from " + path;
+    }
+
+    return null;
+};
+
+/**
+ * Switch the project between embedded and shared mode. In shared mode
+ * MainActivity is converted to extend XWalkRuntimeActivityBase, and the
+ * "android-runtime-url" setting goes into AndroidManifest.xml. ant builds
+ * reference the library project in project.properties, see
+ * {@link AndroidPlatform#importSharedLibrary}, gradle takes
+ * xwalk_shared_library from the Crosswalk maven repository.
+ * @param {Boolean} shared Whether to build in shared mode
+ */
+AndroidPlatform.prototype.updateSharedMode =
+function(shared) {
+
+    var output = this.application.output;
+    var dryRun = this.application.dryRun;
+
+    if (shared) {
+        var path = Path.join(JavaActivity.pathForPackage(this.platformPath, this.packageId),
+                             "MainActivity.java");
+        var activity = new JavaActivity(output, path, dryRun);
+        var baseClass = activity.baseClass;
+        if (baseClass &&
+            SHARED_ACTIVITY_CLASSES.indexOf(baseClass.split(".").pop()) < 0) {
+            output.warning("Changing base class of MainActivity from '" + baseClass +
+                           "' to '" + SHARED_ACTIVITY_BASE_CLASS + "' for shared mode");
+            activity.baseClass = SHARED_ACTIVITY_BASE_CLASS;
+        }
+    }
+
+    var manifest = new AndroidManifest(output,
+                                       Path.join(this.platformPath, "AndroidManifest.xml"),
+                                       dryRun);
+    manifest.setMetaData(RUNTIME_URL_META_DATA,
+                         shared ? this.application.config.get("android-runtime-url") : null);
+
+    // Only ant reads the library reference.
+    var propertiesPath = Path.join(this.platformPath, "project.properties");
+    if (ShellJS.test("-f", propertiesPath)) {
+        var buf = dryRun.readFile(propertiesPath);
+        var updated = buf.replace(/^(android\.library\.reference\.1=).*$/m,
+                                  "$1" + (shared ? SHARED_LIBRARY : "xwalk_core_library"));
+        if (updated !== buf) {
+            dryRun.writeFile(propertiesPath, updated);
+        }
+    }
+};
+
+/**
+ * Import xwalk_shared_library for ant builds in shared mode, from the
+ * crosswalk-shared zip of the version the project uses.
+ * @param {PlatformBase~platformBaseOperationCb} callback Callback function.
+ */
+AndroidPlatform.prototype.importSharedLibrary =
+function(callback) {
+
+    var output = this.application.output;
+    var exceptions = this.application.exceptions;
+    var util = this.application.util;
+
+    var version = this.constructor.readVersion(this.platformPath);
+    this.findCrosswalkVersion(version, null,
+                              function(version, channel, errormsg) {
+
+        if (errormsg) {
+            callback(errormsg);
+            return;
+        }
+
+        var deps = new AndroidDependencies(this.application, channel, true);
+        deps.download(version, this.application.pkgPath,
+                      function(filename, errormsg) {
+
+            if (errormsg || !filename) {
+                callback(new exceptions.DownloadError(errormsg ? errormsg :
+                                                      "Failed to download " + SHARED_LIBRARY));
+                return;
+            }
+
+            var entry = null;
+            var name = null;
+            try {
+                var zip = new util.CrosswalkZip(filename);
+                name = zip.root + SHARED_LIBRARY + "/";
+                entry = zip.getEntry(name);
+                if (entry) {
+                    var path = Path.join(this.platformPath, SHARED_LIBRARY);
+                    ShellJS.mkdir(path);
+                    zip.extractEntryTo(entry, path);
+                }
+            } catch (e) {
+                ShellJS.rm("-f", filename);
+                output.error("Invalid file has been deleted, please try again");
+            }
+
+            callback(entry ?
+                        null :
+                        new exceptions.InvalidProjectError("Failed to import " + SHARED_LIBRARY +
+                                                           " from " + filename));
+        }.bind(this));
+    }.bind(this));
+};
+
+/**
+ * Check that ABIs are supported, and contained in the imported Crosswalk.
+ * @param {String[]} abis ABI names
+ * @returns {String} Error message, or null if all ABIs can be built.
+ */
+AndroidPlatform.prototype.checkABIs =
+function(abis) {
+
+    var unknown = abis.filter(function(abi) {
+        return !ABI_CODES[abi];
+    });
+    if (unknown.length > 0) {
+        return "Unknown ABI '" + unknown.join("', '") + "', use one of " +
+               Object.keys(ABI_CODES).join(", ");
+    }
+
+    var libsPath = Path.join(this.platformPath, "xwalk_core_library", "libs");
+    if (!ShellJS.test("-d", libsPath)) {
+        return "This does not appear to be the root of a Crosswalk project.";
+    }
+
+    var available = ShellJS.ls(libsPath).filter(function(name) {
+        return ABI_CODES[name] && ShellJS.test("-d", Path.join(libsPath, name));
+    });
+    var missing = abis.filter(function(abi) {
+        return available.indexOf(abi) < 0;
+    });
+    if (missing.length > 0) {
+        return "ABI '" + missing.join("', '") + "' not contained in this Crosswalk release, " +
+               "available are " + available.join(", ");
+    }
+
+    return null;
 };
 
 /**
  * Enable ABIs so they are built into the APK.
- * @param {String} [abi] ABI identifier "armeabi-v7a" / "x86". When not passed,
+ * @param {String} [abi] ABI identifier like "armeabi-v7a" or "x86_64". When not passed,
  *                       all ABIs are enabled
  * @returns {Boolean} True on success or false.
  */
@@ -450,18 +1014,17 @@ function(abi) {
 
     var output = this.application.output;
 
-    if (!ShellJS.test("-d", "xwalk_core_library/libs")) {
+    var libsPath = Path.join(this.platformPath, "xwalk_core_library", "libs");
+    if (!ShellJS.test("-d", libsPath)) {
         output.error("This does not appear to be the root of a Crosswalk project.");
         return false;
     }
 
-    ShellJS.pushd("xwalk_core_library/libs");
-
     var abiMatched = false;
-    var list = ShellJS.ls(".");
+    var list = ShellJS.ls(libsPath);
     for (var i = 0; i < list.length; i++) {
 
-        var entry = list[i];
+        var entry = Path.join(libsPath, list[i]);
         if (ShellJS.test("-d", entry)) {
             // This is a dir inside "libs", enable/disable depending
             // on which ABI we want.
@@ -470,7 +1033,7 @@ function(abi) {
                 // status of the project.
                 ShellJS.chmod("+rx", entry);
                 abiMatched = true;
-            } else if (abi === entry) {
+            } else if (abi === list[i]) {
                 // enable
                 ShellJS.chmod("+rx", entry);
                 abiMatched = true;
@@ -481,7 +1044,6 @@ function(abi) {
         }
     }
 
-    ShellJS.popd();
     return abiMatched;
 };
 
@@ -505,11 +1067,13 @@ function(abi, release) {
         apkInPattern = "-debug.apk";
     }
 
-    ShellJS.pushd("bin");
-    var apkInName = ShellJS.ls("*" + apkInPattern)[0];
-    ShellJS.popd();
+    var binPath = Path.join(this.platformPath, "bin");
+    var apkInName = ShellJS.ls(binPath).filter(function(name) {
+        return name.substring(name.length - apkInPattern.length) === apkInPattern;
+    })[0];
 
-    if (!ShellJS.test("-f", "bin" + Path.sep + apkInName)) {
+    if (!apkInName ||
+        !ShellJS.test("-f", Path.join(binPath, apkInName))) {
         output.error("APK bin" + Path.sep + apkInName + " not found");
         return null;
     }
@@ -519,10 +1083,10 @@ function(abi, release) {
                      this.application.manifest.appVersion + "-" +
                      (release ? "release-unsigned" : "debug") + "." +
                      abi + ".apk";
-    ShellJS.mv("bin" + Path.sep + apkInName,
-               "bin" + Path.sep + apkOutName);
+    ShellJS.mv(Path.join(binPath, apkInName),
+               Path.join(binPath, apkOutName));
 
-    if (!ShellJS.test("-f", "bin" + Path.sep + apkOutName)) {
+    if (!ShellJS.test("-f", Path.join(binPath, apkOutName))) {
         output.error("APK bin" + Path.sep + apkOutName + " not found");
         return null;
     }
@@ -548,15 +1112,9 @@ function(output, appVersion, abi) {
         return pad + str;
     }
 
-    var abiCodes = {
-        "armeabi-v7a": 2,
-//        "arm64": 3, TODO check name
-        "x86": 6
-//        "x86_64": 7, TODO check name
-    };
     var versionNums = appVersion.split(".");
 
-    var abiCode = abiCodes[abi];
+    var abiCode = abi === SHARED_ABI ? SHARED_ABI_CODE : ABI_CODES[abi];
     if (!abiCode) {
         output.error("Unsupported ABI code '" + abi + "'");
         return null;
@@ -597,7 +1155,8 @@ function(abi) {
     var output = this.application.output;
 
     var manifest = new AndroidManifest(this.application.output,
-                                       Path.join(this.platformPath, "AndroidManifest.xml"));
+                                       Path.join(this.platformPath, "AndroidManifest.xml"),
+                                       this.application.dryRun);
 
     var versionCode = this.generateVersionCode(this.application.output,
                                                this.application.manifest.appVersion,
@@ -618,6 +1177,7 @@ AndroidPlatform.prototype.buildABI =
 function(closure) {
 
     var output = this.application.output;
+    var exceptions = this.application.exceptions;
 
     // If done with all the ABIs, terminate successfully.
     if (closure.abiIndex >= closure.abis.length) {
@@ -628,12 +1188,13 @@ function(closure) {
 
     // Pick and enable ABI.
     var abi = closure.abis[closure.abiIndex];
-    if (this.enableABI(abi)) {
+    // The shared library has no native code, nothing to enable.
+    if (abi === SHARED_ABI || this.enableABI(abi)) {
         closure.abiIndex++;
     } else {
         // Failed, enable all ABIs and terminate build.
         this.enableABI();
-        closure.callback("Enabling ABI '" + abi + "' failed");
+        closure.callback(new exceptions.InvalidProjectError("Enabling ABI '" + abi + "' failed"));
         return;
     }
 
@@ -666,7 +1227,7 @@ function(closure) {
     this.updateVersionCode(abi);
 
     // Build for ABI.
-    this._sdk.buildProject(closure.release, function(success) {
+    this._sdk.buildProject(this.platformPath, closure.release, function(success, error) {
 
         indicator.done();
         if (success) {
@@ -675,32 +1236,268 @@ function(closure) {
             // Otherwise IA and ARM APKs would overwrite each other,
             // as we simply run ant twice.
             var apk = this.abifyAPKName(abi, closure.release);
-            if (apk) {
-                closure.apks.push(apk);
-            } else {
+            if (!apk) {
                 // Failed, enable all ABIs and terminate build.
                 this.enableABI();
-                closure.callback("Building ABI '" + abi + "' failed");
+                closure.callback(new exceptions.BuildToolError("Building ABI '" + abi + "' failed"));
                 return;
             }
 
             // Delete unaligned APK, so only the ones that are to be used
             // remain, and there's no confusion.
-            ShellJS.rm("bin" + Path.sep + "*-debug-unaligned.apk");
+            ShellJS.rm(Path.join(this.platformPath, "bin", "*-debug-unaligned.apk"));
+
+            if (!closure.keystore) {
+                closure.apks.push(apk);
+
+                // Build next ABI.
+                this.buildABI(closure);
+                return;
+            }
+
+            this.signAPKs([apk], closure.keystore, function(apks, error) {
+                if (error) {
+                    this.enableABI();
+                    closure.callback(error);
+                    return;
+                }
+                closure.apks.push(apks[0]);
 
-            // Build next ABI.
-            this.buildABI(closure);
+                // Build next ABI.
+                this.buildABI(closure);
+            }.bind(this));
             return;
 
         } else {
             // Failed, enable all ABIs and terminate build.
             this.enableABI();
-            closure.callback("Building ABI '" + abi + "' failed");
+            closure.callback(error ?
+                                error :
+                                new exceptions.BuildToolError("Building ABI '" + abi + "' failed"));
+            return;
+        }
+    }.bind(this));
+};
+
+/**
+ * Write ABIs to build and their version codes to gradle.properties.
+ * @param {String[]} abis ABI names
+ * @returns {Boolean} true on success, false on failure.
+ */
+AndroidPlatform.prototype.updateGradleProperties =
+function(abis) {
+
+    var output = this.application.output;
+
+    var versionCodes = [];
+    for (var i = 0; i < abis.length; i++) {
+        var versionCode = this.generateVersionCode(output,
+                                                   this.application.manifest.appVersion,
+                                                   abis[i]);
+        if (!versionCode) {
+            return false;
+        }
+        output.info("Using android:versionCode '" + versionCode + "' for ABI '" + abis[i] + "'");
+        versionCodes.push(abis[i] + ":" + versionCode);
+    }
+
+    var properties = {
+        "xwalkAbis": abis.join(","),
+        "xwalkVersionCodes": versionCodes.join(",")
+    };
+
+    // Version of xwalk_shared_library in shared mode.
+    var version = this.constructor.readVersion(this.platformPath);
+    if (version) {
+        properties.xwalkVersion = version;
+    }
+
+    this._gradle.writeProperties(this.platformPath, properties);
+
+    return true;
+};
+
+/**
+ * Build APKs for all ABIs at once with gradle, using ABI splits.
+ * @param {Object} closure Information as for {@link AndroidPlatform#buildABI}
+ */
+AndroidPlatform.prototype.buildGradle =
+function(closure) {
+
+    var output = this.application.output;
+    var exceptions = this.application.exceptions;
+
+    // Projects created with ant, or updated to another Crosswalk,
+    // lack some of the build files.
+    this._gradle.generateBuildFiles(this.platformPath, this.packageId);
+    if (!this._gradle.readProperties(this.platformPath).xwalkCompileSdkVersion) {
+        var minApiLevel = +this.application.config.get("android-min-api-level");
+        this._sdk.queryTarget(minApiLevel, function(apiTarget, errormsg) {
+            if (errormsg) {
+                closure.callback(new exceptions.ToolNotFoundError(errormsg));
+                return;
+            }
+            this._gradle.refreshProject(this.platformPath, apiTarget, function(logmsg, errormsg) {
+                this.logOutput.write(logmsg);
+                this.buildGradle(closure);
+            }.bind(this));
+        }.bind(this));
+        return;
+    }
+
+    if (!this.updateGradleProperties(closure.abis)) {
+        closure.callback(new exceptions.InvalidProjectError("Unsupported ABI in '" + closure.abis.join(",") + "'"));
+        return;
+    }
+
+    // Progress display, gradle prints tasks like ":xwalk_core_library:compileDebugJava"
+    var indicator = output.createInfiniteProgress("Building " + closure.abis.join(", "));
+    this._gradle.onData = function(data) {
+
+        this.logOutput.write(data);
+
+        var match = data.match(/^:[^:\s]*:?([a-zA-Z]+)/m);
+        if (match) {
+            indicator.update(match[1]);
+        }
+    }.bind(this);
+
+    this._gradle.buildProject(this.platformPath, closure.release, function(success, error) {
+
+        indicator.done();
+        if (!success) {
+            closure.callback(error ?
+                                error :
+                                new exceptions.BuildToolError("Building with gradle failed"));
+            return;
+        }
+
+        // Move APKs to bin/ and name them like ant builds.
+        var binPath = Path.join(this.platformPath, "bin");
+        ShellJS.mkdir("-p", binPath);
+        for (var i = 0; i < closure.abis.length; i++) {
+            var abi = closure.abis[i];
+            // There are no ABI splits in shared mode.
+            var apkPath = this._gradle.findAPK(this.platformPath, this.packageId,
+                                               abi === SHARED_ABI ? null : abi, closure.release);
+            if (!apkPath) {
+                closure.callback(new exceptions.BuildToolError("APK for ABI '" + abi + "' not found"));
+                return;
+            }
+            var apk = this.packageId + "-" +
+                      this.application.manifest.appVersion + "-" +
+                      (closure.release ? "release-unsigned" : "debug") + "." +
+                      abi + ".apk";
+            ShellJS.mv("-f", apkPath, Path.join(binPath, apk));
+            closure.apks.push(apk);
+        }
+
+        if (!closure.keystore) {
+            closure.callback(null);
             return;
         }
+
+        this.signAPKs(closure.apks, closure.keystore, function(apks, error) {
+            closure.apks = apks ? apks : [];
+            closure.callback(error);
+        });
     }.bind(this));
 };
 
+/**
+ * Keystore to sign release APKs with, from the "android-keystore",
+ * "android-keystore-alias", "android-keystore-password" and "android-key-password"
+ * settings. Relative keystore paths are resolved against the project root.
+ * @returns {ApkSigner~Keystore} Keystore, or null if APKs are not to be signed.
+ */
+AndroidPlatform.prototype.getKeystore =
+function() {
+
+    var config = this.application.config;
+
+    var path = config.get("android-keystore");
+    if (!path) {
+        return null;
+    }
+
+    return {
+        path: Path.resolve(this.application.rootPath, path),
+        alias: config.get("android-keystore-alias"),
+        password: config.get("android-keystore-password"),
+        keyPassword: config.get("android-key-password")
+    };
+};
+
+/**
+ * Check that a keystore can be used for signing. Passwords are never
+ * part of the message.
+ * @param {ApkSigner~Keystore} keystore Keystore
+ * @returns {String} Error message, or null if the keystore is complete.
+ */
+AndroidPlatform.prototype.checkKeystore =
+function(keystore) {
+
+    if (!ShellJS.test("-f", keystore.path)) {
+        return "Keystore '" + keystore.path + "' not found";
+    }
+
+    if (!keystore.alias) {
+        return "Key alias not set, use the 'android-keystore-alias' setting";
+    }
+
+    if (!keystore.password) {
+        return "Keystore password not set, use the CROSSWALK_APP_TOOLS_ANDROID_KEYSTORE_PASSWORD " +
+               "environment variable or the 'android-keystore-password' setting";
+    }
+
+    return null;
+};
+
+/**
+ * Sign release APKs one after the other. Signed APKs replace the unsigned
+ * ones in bin/, "-release-unsigned.<abi>.apk" becomes "-release.<abi>.apk".
+ * @param {String[]} apks Names of unsigned APKs in bin/
+ * @param {ApkSigner~Keystore} keystore Keystore to sign with
+ * @param {Function} callback Function(signedApks, error), signedApks is null on error
+ */
+AndroidPlatform.prototype.signAPKs =
+function(apks, keystore, callback) {
+
+    var output = this.application.output;
+
+    var binPath = Path.join(this.platformPath, "bin");
+    this._signer.onData = function(data) {
+        this.logOutput.write(data);
+    }.bind(this);
+
+    var signed = [];
+    var signNext = function() {
+
+        if (signed.length === apks.length) {
+            callback(signed, null);
+            return;
+        }
+
+        var apk = apks[signed.length];
+        var signedApk = apk.replace("-release-unsigned.", "-release.");
+        output.info("Signing " + signedApk + " with key '" + keystore.alias + "'");
+        this._signer.sign(Path.join(binPath, apk), Path.join(binPath, signedApk), keystore,
+                          function(error) {
+
+            if (error) {
+                callback(null, error);
+                return;
+            }
+
+            ShellJS.rm("-f", Path.join(binPath, apk));
+            signed.push(signedApk);
+            signNext();
+        });
+    }.bind(this);
+
+    signNext();
+};
+
 /**
  * Apply icon if none yet, or source has higher quality
  * @param {String} srcPath Icon to apply
@@ -772,6 +1569,7 @@ AndroidPlatform.prototype.updateIcons =
 function(androidManifest, callback) {
 
     var output = this.application.output;
+    var dryRun = this.application.dryRun;
 
     // See http://iconhandbook.co.uk/reference/chart/android/
     var sizes = {
@@ -806,7 +1604,10 @@ function(androidManifest, callback) {
 
         // Remove existing icons, so we don't have stale ones around
         // FIXME check that no icon was added manually.
-        ShellJS.rm("-rf", Path.join(this.platformPath, "res", "mipmap-*"));
+        var dryRunEnabled = dryRun.isEnabled();
+        if (!dryRunEnabled) {
+            ShellJS.rm("-rf", Path.join(this.platformPath, "res", "mipmap-*"));
+        }
 
         for (var i = 0; i < icons.length; i++) {
 
@@ -819,6 +1620,11 @@ function(androidManifest, callback) {
             // Because android:icon has no way to refer to different sizes.
             var src = Path.join(this.appPath, icon.src);
             var dstPath = Path.join(this.platformPath, "res", "mipmap-" + density);
+            if (dryRunEnabled) {
+                dryRun.skip(output, "copy icon " + src + " to " + dstPath);
+                nUpdated++;
+                continue;
+            }
             ShellJS.mkdir(dstPath);
 
             var ret = this.applyIcon(src, dstPath, iconFilename, callback);
@@ -841,28 +1647,150 @@ function(androidManifest, callback) {
 
 /**
  * Update android manifest.
- * @param {Function} callback Error callback
+ * @returns {String} Error message, or null on success.
  */
 AndroidPlatform.prototype.updateManifest =
-function(callback) {
+function() {
 
     var output = this.application.output;
 
     var manifest = new AndroidManifest(output,
-                                       Path.join(this.platformPath, "AndroidManifest.xml"));
+                                       Path.join(this.platformPath, "AndroidManifest.xml"),
+                                       this.application.dryRun);
 
     // Renaming package is not supported.
     if (manifest.package !== this.application.manifest.packageId) {
-        callback("Renaming of package not supported (" +
-                 manifest.package + "/" + this.application.manifest.packageId + ")");
-        return;
+        return "Renaming of package not supported (" +
+               manifest.package + "/" + this.application.manifest.packageId + ")";
     }
 
     manifest.versionName = this.application.manifest.appVersion;
-    manifest.applicationLabel = this.application.manifest.name;
+    // Labels are string resources, so they can be localized.
+    this.updateStrings();
+    manifest.applicationLabel = "@string/app_name";
+    manifest.activityLabel = "@string/app_name";
+
+    var orientation = this.application.manifest.orientation;
+    manifest.screenOrientation = orientation ?
+                                    SCREEN_ORIENTATIONS[orientation] :
+                                    "unspecified";
+
+    // Permissions, projects keep theirs when the manifest does not list any.
+    var permissions = this.application.manifest.androidPermissions;
+    if (permissions) {
+        manifest.permissions.forEach(function(permission) {
+            if (permissions.indexOf(permission) < 0) {
+                manifest.removePermission(permission);
+            }
+        });
+        permissions.forEach(function(permission) {
+            manifest.addPermission(permission);
+        });
+    }
+
+    this.updateCommandLine();
 
     // Update icons
-    this.updateIcons(manifest, callback);
+    this.updateIcons(manifest);
+
+    return null;
+};
+
+/**
+ * Android resource qualifier for a language tag, e.g. "pt-rBR" for "pt-BR".
+ * Tags with script or other subtags use the "b+" form of Android 7.0.
+ * @param {String} lang Language tag
+ * @returns {String} Qualifier for the values-<qualifier> directory.
+ */
+AndroidPlatform.prototype.getLocaleQualifier =
+function(lang) {
+
+    var parts = lang.split("-");
+    var language = parts[0].toLowerCase();
+
+    if (parts.length > 2 ||
+        (parts.length === 2 && !parts[1].match(/^([a-zA-Z]{2}|[0-9]{3})$/))) {
+        return "b+" + [language].concat(parts.slice(1)).join("+");
+    }
+
+    if (LEGACY_LANGUAGE_CODES[language]) {
+        language = LEGACY_LANGUAGE_CODES[language];
+    }
+
+    return parts.length === 2 ?
+            language + "-r" + parts[1].toUpperCase() :
+            language;
+};
+
+/**
+ * Write app name and short name to res/values/strings.xml, and localized ones
+ * from "xwalk_locales" to res/values-<qualifier>/strings.xml.
+ * Names are removed for languages that are no longer in the manifest.
+ */
+AndroidPlatform.prototype.updateStrings =
+function() {
+
+    var output = this.application.output;
+    var dryRun = this.application.dryRun;
+    var manifest = this.application.manifest;
+
+    var resPath = Path.join(this.platformPath, "res");
+
+    // Language by resource directory, null for the default language.
+    var languages = {
+        "values": null
+    };
+    for (var lang in manifest.locales) {
+        languages["values-" + this.getLocaleQualifier(lang)] = lang;
+    }
+
+    ShellJS.ls(resPath).forEach(function(dir) {
+        var path = Path.join(resPath, dir, "strings.xml");
+        if (dir.indexOf("values-") !== 0 ||
+            dir in languages ||
+            !ShellJS.test("-f", path)) {
+            return;
+        }
+        var strings = new XmlStrings(output, path, dryRun);
+        strings.setString("app_name", null);
+        strings.setString("app_short_name", null);
+        if (strings.names.length === 0 &&
+            !dryRun.skip(output, "remove " + path)) {
+            ShellJS.rm("-f", path);
+        }
+    });
+
+    for (var dir in languages) {
+        var names = manifest.getLocalizedNames(languages[dir] ? languages[dir] : manifest.lang);
+        if (!dryRun.isEnabled()) {
+            ShellJS.mkdir("-p", Path.join(resPath, dir));
+        }
+        var strings = new XmlStrings(output, Path.join(resPath, dir, "strings.xml"), dryRun);
+        strings.setString("app_name", names.name);
+        strings.setString("app_short_name", names.short_name);
+    }
+};
+
+/**
+ * Write Crosswalk command line switches from the manifest to the
+ * "xwalk-command-line" asset, which Crosswalk reads at startup.
+ * The asset is removed when the manifest has none.
+ */
+AndroidPlatform.prototype.updateCommandLine =
+function() {
+
+    var output = this.application.output;
+    var dryRun = this.application.dryRun;
+
+    var path = Path.join(this.platformPath, "assets", "xwalk-command-line");
+    var commandLine = this.application.manifest.commandLine;
+    if (commandLine) {
+        // First word is the program name.
+        dryRun.writeFile(path, "xwalk " + commandLine + "\n");
+    } else if (ShellJS.test("-f", path) &&
+               !dryRun.skip(output, "remove " + path)) {
+        ShellJS.rm("-f", path);
+    }
 };
 
 /**
@@ -882,7 +1810,7 @@ function(release) {
 
     var dir = JavaActivity.pathForPackage(this.platformPath, this.packageId);
     var path = Path.join(dir, "MainActivity.java");
-    var activity = new JavaActivity(output, path);
+    var activity = new JavaActivity(output, path, this.application.dryRun);
 
     // Enable remote debugging for debug builds.
     ret = activity.enableRemoteDebugging(!release);
@@ -901,9 +1829,14 @@ function(release) {
         return false;
     output.info("Updating theme.xml for display mode (fullscreen: " + (fullscreen ? "yes" : "no") + ")");
     var theme = new XmlTheme(output,
-                             Path.join(this.platformPath, "res", "values-v14", "theme.xml"));
+                             Path.join(this.platformPath, "res", "values-v14", "theme.xml"),
+                             this.application.dryRun);
     theme.fullscreen = fullscreen;
 
+    // Colors
+    theme.windowBackground = this.application.manifest.backgroundColor;
+    theme.statusBarColor = this.application.manifest.themeColor;
+
     // "Keep screen on"
     ret = activity.enableKeepScreenOn(this.application.manifest.androidKeepScreenOn);
     if (!ret)
@@ -918,18 +1851,143 @@ function(release) {
 AndroidPlatform.prototype.build =
 function(configId, args, callback) {
 
+    this.buildPackages(configId, args, true, callback);
+};
+
+/**
+ * Implements {@link PlatformBase.repackage}
+ */
+AndroidPlatform.prototype.repackage =
+function(configId, args, callback) {
+
+    this.buildPackages(configId, args, false, callback);
+};
+
+/**
+ * Build APKs for the configured ABIs, skipping those that are up to date.
+ * @param {String} configId Build "debug" or "release" configuration
+ * @param {Object} args Extra options for the command
+ * @param {Boolean} updateProject Whether to apply manifest.json to the project first
+ * @param {PlatformBase~platformBaseOperationCb} callback Callback function.
+ */
+AndroidPlatform.prototype.buildPackages =
+function(configId, args, updateProject, callback) {
+
     var output = this.application.output;
+    var dryRun = this.application.dryRun;
+
+    var buildSystem = this.getBuildSystem(args);
+    if (!buildSystem) {
+        callback("Unknown build system '" + args["build-system"] + "', use \"ant\" or \"gradle\"");
+        return;
+    }
 
-    // TODO should we cd back afterwards?
-    process.chdir(this.platformPath);
+    var shared = this.getMode(args) === "shared";
+    var abis;
+    var errormsg;
+    if (shared) {
+        abis = [ SHARED_ABI ];
+        errormsg = this.checkSharedMode();
+    } else {
+        abis = this.getABIs(args);
+        errormsg = this.checkABIs(abis);
+    }
+    if (errormsg) {
+        callback(new this.application.exceptions.InvalidProjectError(errormsg));
+        return;
+    }
 
-    this.updateManifest(callback);
-    this.updateJavaActivity(configId === "release");
+    var keystore = configId === "release" ? this.getKeystore() : null;
+    if (keystore) {
+        errormsg = this.checkKeystore(keystore);
+        if (errormsg) {
+            callback(new this.application.exceptions.InvalidProjectError(errormsg));
+            return;
+        }
+    }
+
+    // Find packages that are up to date.
+    // Includes the keystore settings, but not the passwords.
+    var inputs = this.getBuildInputs(configId, args);
+    var builtPaths = {};
+    var staleAbis = abis.filter(function(abi) {
+        var path = args.force ? null : this.findBuiltPackage(configId + "/" + abi, inputs);
+        if (path) {
+            builtPaths[abi] = path;
+        }
+        return !path;
+    }.bind(this));
+
+    var exportBuilt = function() {
+        for (var abi in builtPaths) {
+            this.exportPackage(builtPaths[abi], configId, abi === SHARED_ABI ? null : abi);
+            output.highlight("    + " + Path.basename(builtPaths[abi]) + " (up to date)");
+        }
+    }.bind(this);
+
+    if (staleAbis.length === 0) {
+        output.info("Packages are up to date, use --force to build anyway");
+        output.highlight("  * Built package(s):");
+        exportBuilt();
+        callback(null);
+        return;
+    }
+
+    if (updateProject) {
+        errormsg = this.updateManifest();
+        if (errormsg) {
+            callback(errormsg);
+            return;
+        }
+        this.updateJavaActivity(configId === "release");
+    }
+
+    this.updateSharedMode(shared);
+    if (shared && buildSystem === "ant" &&
+        !ShellJS.test("-d", Path.join(this.platformPath, SHARED_LIBRARY))) {
+        if (dryRun.isEnabled()) {
+            dryRun.skip(output, "import " + SHARED_LIBRARY + " into " + this.platformPath);
+        } else {
+            // Build once the library is there.
+            this.importSharedLibrary(function(errormsg) {
+                if (errormsg) {
+                    callback(errormsg);
+                    return;
+                }
+                this.buildPackages(configId, args, false, callback);
+            }.bind(this));
+            return;
+        }
+    }
+
+    if (dryRun.isEnabled() && buildSystem === "gradle") {
+        this.updateGradleProperties(staleAbis);
+        dryRun.skip(output, "run 'gradle assemble" + (configId === "release" ? "Release" : "Debug") +
+                                 "' for ABIs '" + staleAbis.join(",") + "' in " + this.platformPath);
+        if (keystore) {
+            dryRun.skip(output, "sign APKs with key '" + keystore.alias + "' from " + keystore.path);
+        }
+        callback(null);
+        return;
+    } else if (dryRun.isEnabled()) {
+        staleAbis.forEach(function(abi) {
+            this.updateVersionCode(abi);
+            dryRun.skip(output, "run 'ant " + configId + "' for ABI '" + abi +
+                                     "' in " + this.platformPath);
+            if (keystore) {
+                dryRun.skip(output, "sign APK for ABI '" + abi + "' with key '" +
+                                         keystore.alias + "' from " + keystore.path);
+            }
+        }.bind(this));
+        callback(null);
+        return;
+    }
 
     var closure = {
-        abis: ["armeabi-v7a", "x86"], // TODO export option
+        abis: staleAbis,
         abiIndex : 0,
         release: configId == "release", // TODO verify above
+        keystore: keystore,
         apks: [],
         callback: function(errormsg) {
 
@@ -942,17 +2000,26 @@ function(configId, args, callback) {
 
                     // Export APKs to package folder
                     var packagePath = Path.join(this.platformPath, "bin", closure.apks[i]);
-                    this.exportPackage(packagePath);
+                    // APKs are built in the order of closure.abis.
+                    var abi = closure.abis[i];
+                    var exportedPath = this.exportPackage(packagePath, configId,
+                                                          abi === SHARED_ABI ? null : abi);
+                    this.recordBuiltPackage(configId + "/" + abi, inputs, exportedPath);
 
                     output.highlight("    + " + closure.apks[i]);
                 }
+                exportBuilt();
             }
             callback(errormsg);
         }.bind(this)
     };
 
-    // This builds all ABIs in a recursion (of sorts).
-    this.buildABI(closure);
+    if (buildSystem === "gradle") {
+        this.buildGradle(closure);
+    } else {
+        // This builds all ABIs in a recursion (of sorts).
+        this.buildABI(closure);
+    }
 };
 
 module.exports = AndroidPlatform;
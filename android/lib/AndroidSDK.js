@@ -3,10 +3,12 @@
 // license that can be found in the LICENSE-APACHE-V2 file.
 
 var ChildProcess = require('child_process');
+var FS = require("fs");
 var Path = require("path");
 var ShellJS = require("shelljs");
 
 var AndroidTargets = require("./AndroidTargets");
+var Exceptions = require("../../src/util/exceptions");
 var JavaActivity = require("./JavaActivity");
 
 
@@ -30,13 +32,23 @@ function queryTargetCb(apiTarget, errmsg) {}
  */
 function generateProjectSkeletonCb(path, logmsg, errmsg) {}
 
+/**
+ * Callback signature for {@link AndroidSDK.refreshProject}.
+ * @param {String} logmsg Log message or null
+ * @param {String} errmsg Error message or null
+ * @inner
+ * @memberOf AndroidSDK
+ */
+function refreshProjectCb(logmsg, errmsg) {}
+
 /**
  * Callback signature for {@link AndroidSDK.buildProject}.
  * @param {Boolean} success Whether build succeeded
+ * @param {ToolNotFoundError} [error] Error if ant was not found
  * @inner
  * @memberOf AndroidSDK
  */
-function buildProjectCb(success) {}
+function buildProjectCb(success, error) {}
 
 
 
@@ -50,13 +62,29 @@ function AndroidSDK(application) {
 
     this._application = application;
 
+    // Current SDKs come without the "android" script, the gradle
+    // build only needs to know where the SDK is.
     this._scriptPath = this.findAndroidScriptPath();
-    if (this._scriptPath === null) {
+    this._sdkPath = this.findSDKPath(this._scriptPath);
+    if (this._scriptPath === null &&
+        this._sdkPath === null) {
         // TODO think out a way to unit test this code path.
-        throw new SDKNotFoundError("Android SDK now found in environment search path.");
+        throw new SDKNotFoundError("Android SDK now found in environment search path, or ANDROID_HOME.");
     }
 }
 
+/**
+ * Root directory of the SDK
+ * @member {String} sdkPath Path, or null if not known
+ * @instance
+ * @memberOf AndroidSDK
+ */
+Object.defineProperty(AndroidSDK.prototype, "sdkPath", {
+                      get: function() {
+                                return this._sdkPath;
+                           }
+                      });
+
 /**
  * Filter known messages from stderr buffer
  * @param {String} buffer Input buffer
@@ -108,6 +136,12 @@ function(apiLevel, callback) {
         return;
     }
 
+    if (this._scriptPath === null) {
+        var apiTarget = this.pickInstalledTarget(apiLevel);
+        callback(apiTarget, apiTarget ? null : "No SDK API targets found in " + this._sdkPath);
+        return;
+    }
+
     var child = ChildProcess.execFile(this._scriptPath, ["list", "target"], {},
                                       function(errmsg, stdlog, errlog) {
 
@@ -129,6 +163,32 @@ function(apiLevel, callback) {
     }.bind(this));
 };
 
+/**
+ * Pick lowest installed API target that supports apiLevel, from the
+ * SDK's platforms/ directory, for when there is no "android" script.
+ * @param {Number} apiLevel Minimum supported API level
+ * @returns {String} API target like "android-21", or null if none.
+ */
+AndroidSDK.prototype.pickInstalledTarget =
+function(apiLevel) {
+
+    var platformsPath = Path.join(this._sdkPath, "platforms");
+    if (!ShellJS.test("-d", platformsPath)) {
+        return null;
+    }
+
+    var levels = ShellJS.ls(platformsPath).map(function(name) {
+        var match = name.match(/^android-([0-9]+)$/);
+        return match ? Number(match[1]) : 0;
+    }).filter(function(level) {
+        return level >= apiLevel;
+    }).sort(function(a, b) {
+        return a - b;
+    });
+
+    return levels.length > 0 ? "android-" + levels[0] : null;
+};
+
 /**
  * Create project template by running "android create project".
  * @param {String} path Path where to create the project
@@ -142,6 +202,13 @@ function(path, packageId, apiTarget, callback) {
     var output = this._application.output;
     var errmsg = null;
 
+    if (this._scriptPath === null) {
+        errmsg = "Executable 'android' not found in path, try --android-build-system=gradle";
+        output.error(errmsg);
+        callback(null, null, errmsg);
+        return;
+    }
+
     // Fail if path exists.
     if (ShellJS.test("-e", path)) {
         errmsg = "Error: project dir '" + path + "' already exists";
@@ -187,31 +254,70 @@ function(path, packageId, apiTarget, callback) {
     }.bind(this));
 };
 
+/**
+ * Update project build files by running "android update project".
+ * This regenerates local.properties for the current SDK location, and
+ * the target in project.properties. Sources and resources are not touched.
+ * @param {String} path Path of the project
+ * @param {String} apiTarget Android API target android-xy as per "android list targets"
+ * @param {AndroidSDK~refreshProjectCb} callback callback function
+ */
 AndroidSDK.prototype.refreshProject =
-function() {
+function(path, apiTarget, callback) {
+
+    var output = this._application.output;
+
+    if (this._scriptPath === null) {
+        callback(null, "Executable 'android' not found in path, try --android-build-system=gradle");
+        return;
+    }
+
+    if (!ShellJS.test("-f", Path.join(path, "AndroidManifest.xml"))) {
+        var errmsg = "Error: project dir '" + path + "' does not exist or is not an android project";
+        output.error(errmsg);
+        callback(null, errmsg);
+        return;
+    }
+
+    // "android update project -t android-21 -p $(pwd)/Foo"
+    var args = ["update", "project",
+                "-t", apiTarget,
+                "-p", path];
+
+    var child = ChildProcess.execFile(this._scriptPath, args, {},
+                                      function(errmsg, stdlog, errlog) {
+
+        errlog = this.filterErrorLog(errlog);
+        if (errlog && !errmsg) {
+            // Pass back errlog output as error message.
+            errmsg = errlog;
+        }
 
-    // TODO
+        callback(stdlog, errmsg);
+        return;
+    }.bind(this));
 };
 
 /**
  * Build project by running "ant debug" or "ant release".
+ * @param {String} platformPath Path to root dir of project
  * @param {Boolean} release Whether to build a release or debug package
  * @param {AndroidSDK~buildProjectCb} callback callback function
  */
 AndroidSDK.prototype.buildProject =
-function(release, callback) {
+function(platformPath, release, callback) {
 
     var output = this._application.output;
 
     var ant = ShellJS.which("ant");
     if (!ant) {
-        callback(null, "Executable 'ant' not found in path");
+        callback(false, new Exceptions.ToolNotFoundError("Executable 'ant' not found in path"));
         return;
     }
 
     var exitStatus = { "code" : 0 };
     ant += release ? " release" : " debug";
-    var child = ChildProcess.exec(ant);
+    var child = ChildProcess.exec(ant, { cwd: platformPath });
 
     child.stdout.on("data", function(data) {
 
@@ -248,20 +354,44 @@ function() {
     return ShellJS.which("android");
 };
 
+/**
+ * Find the SDK root from the ANDROID_HOME or ANDROID_SDK_ROOT environment
+ * variables, or from the location of the "android" script in tools/.
+ * @param {String} scriptPath Path to "android" script, or null
+ * @returns {String} Path or null.
+ */
+AndroidSDK.prototype.findSDKPath =
+function(scriptPath) {
+
+    var envPath = process.env.ANDROID_HOME || process.env.ANDROID_SDK_ROOT;
+    if (envPath && ShellJS.test("-d", envPath)) {
+        return envPath;
+    }
+
+    if (scriptPath) {
+        // Resolve symlinks, like /usr/bin/android from distribution packages.
+        return Path.dirname(Path.dirname(FS.realpathSync(scriptPath)));
+    }
+
+    return null;
+};
+
 
 
 /**
  * Creates a new SDKNotFoundError.
- * @extends Error
+ * @extends exceptions.ToolNotFoundError
  * @constructor
  * @param {String} message Error message
  * @inner
  * @memberOf AndroidSDK
  */
 function SDKNotFoundError(message) {
-    Error.call(this, message);
+    Exceptions.ToolNotFoundError.call(this, message);
+    this.name = "SDKNotFoundError";
 }
-SDKNotFoundError.prototype = Error.prototype;
+SDKNotFoundError.prototype = Object.create(Exceptions.ToolNotFoundError.prototype);
+SDKNotFoundError.prototype.constructor = SDKNotFoundError;
 
 AndroidSDK.prototype.SDKNotFoundError = SDKNotFoundError;
 
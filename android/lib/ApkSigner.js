@@ -0,0 +1,177 @@
+// Copyright © 2014 Intel Corporation. All rights reserved.
+// Use  of this  source  code is  governed by  an Apache v2
+// license that can be found in the LICENSE-APACHE-V2 file.
+
+var ChildProcess = require("child_process");
+var Path = require("path");
+
+var ShellJS = require("shelljs");
+
+var Exceptions = require("../../src/util/exceptions");
+
+/**
+ * Environment variables that pass the passwords to apksigner,
+ * so they never show up in command lines or logs.
+ */
+var STORE_PASSWORD_ENV = "XWALK_KEYSTORE_PASSWORD";
+var KEY_PASSWORD_ENV = "XWALK_KEY_PASSWORD";
+
+/**
+ * Keystore to sign with.
+ * @typedef {Object} ApkSigner~Keystore
+ * @property {String} path Path to keystore file
+ * @property {String} alias Alias of the key in the keystore
+ * @property {String} password Keystore password
+ * @property {String} keyPassword Key password, defaults to the keystore password
+ */
+
+/**
+ * Create ApkSigner object, which aligns, signs and verifies release APKs
+ * using zipalign and apksigner from the SDK build tools.
+ * @constructor
+ * @param {Application} application application instance
+ * @param {String} buildToolsPath Build tools dir in the SDK, or null to look up the tools in PATH
+ */
+function ApkSigner(application, buildToolsPath) {
+
+    this._application = application;
+    this._buildToolsPath = buildToolsPath;
+}
+
+/**
+ * Find build tool executable, in the SDK build tools dir first.
+ * @param {String} name Tool name, "zipalign" or "apksigner"
+ * @returns {String} Path to executable, or null if not found.
+ */
+ApkSigner.prototype.findTool =
+function(name) {
+
+    if (this._buildToolsPath) {
+        var candidates = [ name, name + ".exe", name + ".bat" ];
+        for (var i = 0; i < candidates.length; i++) {
+            var path = Path.join(this._buildToolsPath, candidates[i]);
+            if (ShellJS.test("-f", path)) {
+                return path;
+            }
+        }
+    }
+
+    return ShellJS.which(name);
+};
+
+/**
+ * Callback signature for {@link ApkSigner#sign}
+ * @param {Error} error Error, or null on success
+ * @inner
+ * @memberOf ApkSigner
+ */
+function signCb(error) {}
+
+/**
+ * Align and sign APK, then verify the signature.
+ * @param {String} unsignedPath Path to unsigned APK, which is kept
+ * @param {String} signedPath Path to write the signed APK to
+ * @param {ApkSigner~Keystore} keystore Keystore to sign with
+ * @param {ApkSigner~signCb} callback callback function
+ */
+ApkSigner.prototype.sign =
+function(unsignedPath, signedPath, keystore, callback) {
+
+    var zipalign = this.findTool("zipalign");
+    var apksigner = this.findTool("apksigner");
+    if (!zipalign || !apksigner) {
+        callback(new Exceptions.ToolNotFoundError("Executable '" + (zipalign ? "apksigner" : "zipalign") +
+                                                  "' not found, install Android SDK build tools 24.0.3 or later"));
+        return;
+    }
+
+    // Align first, apksigner keeps the alignment while signing.
+    var alignedPath = signedPath + ".aligned";
+
+    var env = {};
+    env[STORE_PASSWORD_ENV] = keystore.password;
+    env[KEY_PASSWORD_ENV] = keystore.keyPassword ? keystore.keyPassword : keystore.password;
+
+    var signArgs = [
+        "sign",
+        "--ks", keystore.path,
+        "--ks-key-alias", keystore.alias,
+        "--ks-pass", "env:" + STORE_PASSWORD_ENV,
+        "--key-pass", "env:" + KEY_PASSWORD_ENV,
+        "--out", signedPath,
+        alignedPath
+    ];
+
+    this.run(zipalign, ["-f", "4", unsignedPath, alignedPath], null, function(error) {
+
+        if (error) {
+            callback(error);
+            return;
+        }
+
+        this.run(apksigner, signArgs, env, function(error) {
+
+            ShellJS.rm("-f", alignedPath);
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            this.run(apksigner, ["verify", signedPath], null, function(error) {
+
+                if (error) {
+                    ShellJS.rm("-f", signedPath);
+                    callback(new Exceptions.BuildToolError("Signature of " + Path.basename(signedPath) +
+                                                           " could not be verified"));
+                    return;
+                }
+
+                callback(null);
+            });
+        }.bind(this));
+    }.bind(this));
+};
+
+/**
+ * Run build tool, passing its output to {@link ApkSigner#onData}.
+ * @param {String} tool Path to executable
+ * @param {String[]} args Arguments
+ * @param {Object} env Environment variables to set in addition, or null
+ * @param {ApkSigner~signCb} callback callback function
+ * @private
+ */
+ApkSigner.prototype.run =
+function(tool, args, env, callback) {
+
+    var options = {};
+    if (env) {
+        options.env = {};
+        for (var name in process.env) {
+            options.env[name] = process.env[name];
+        }
+        for (name in env) {
+            options.env[name] = env[name];
+        }
+    }
+
+    var toolName = Path.basename(tool);
+    this.onData(toolName + " " + args.join(" ") + "\n");
+    ChildProcess.execFile(tool, args, options, function(error, stdout, stderr) {
+
+        this.onData(stdout.toString() + stderr.toString());
+        callback(error ?
+                    new Exceptions.BuildToolError("Running '" + toolName + "' failed") :
+                    null);
+    }.bind(this));
+};
+
+/**
+ * Callback for output of the build tools.
+ * @param {String} data Output
+ */
+ApkSigner.prototype.onData =
+function(data) {
+
+};
+
+module.exports = ApkSigner;
@@ -0,0 +1,284 @@
+// Copyright © 2014 Intel Corporation. All rights reserved.
+// Use  of this  source  code is  governed by  an Apache v2
+// license that can be found in the LICENSE-APACHE-V2 file.
+
+var ChildProcess = require("child_process");
+var Path = require("path");
+
+var ShellJS = require("shelljs");
+
+var Exceptions = require("../../src/util/exceptions");
+var TemplateFile = require("../../src/util/TemplateFile");
+
+/**
+ * Build tools version to use when none is found in the SDK.
+ */
+var DEFAULT_BUILD_TOOLS_VERSION = "25.0.3";
+
+/**
+ * Header of gradle.properties.
+ */
+var PROPERTIES_HEADER = "# Updated by crosswalk-app on each build.\n";
+
+/**
+ * Create GradleProject object, the gradle counterpart to the project
+ * functions of {@link AndroidSDK}. The project keeps the layout of ant
+ * projects, with xwalk_core_library as library subproject, so both build
+ * systems work on the same sources.
+ * @constructor
+ * @param {Application} application application instance
+ * @param {String} sdkPath Android SDK root, or null if not known
+ */
+function GradleProject(application, sdkPath) {
+
+    this._application = application;
+    this._sdkPath = sdkPath;
+}
+
+/**
+ * Create project skeleton with gradle build files. Unlike with
+ * "android create project", no SDK tools are needed.
+ * @param {String} path Path where to create the project
+ * @param {String} packageId Package name in the com.example.Foo format
+ * @param {String} apiTarget Android API target android-xy to compile against
+ * @param {AndroidSDK~generateProjectSkeletonCb} callback callback function
+ */
+GradleProject.prototype.generateProjectSkeleton =
+function(path, packageId, apiTarget, callback) {
+
+    var output = this._application.output;
+    var errmsg = null;
+
+    // Fail if path exists.
+    if (ShellJS.test("-e", path)) {
+        errmsg = "Error: project dir '" + path + "' already exists";
+        output.error(errmsg);
+        callback(null, null, errmsg);
+        return;
+    }
+
+    ["src", "res", "libs", "assets"].forEach(function(dir) {
+        ShellJS.mkdir("-p", Path.join(path, dir));
+    });
+
+    this.generateBuildFiles(path, packageId);
+
+    this.refreshProject(path, apiTarget, function(logmsg, errmsg) {
+        callback(path, "Created gradle project in " + path + "\n", errmsg);
+    });
+};
+
+/**
+ * Write gradle build files that are missing, so a project created with
+ * ant can be built with gradle as well. The build file of xwalk_core_library
+ * is written once Crosswalk is imported.
+ * @param {String} path Path of the project
+ * @param {String} packageId Package name in the com.example.Foo format
+ */
+GradleProject.prototype.generateBuildFiles =
+function(path, packageId) {
+
+    var data = {
+        "packageId": packageId
+    };
+
+    var files = {
+        "build.gradle.tpl": Path.join(path, "build.gradle"),
+        "settings.gradle.tpl": Path.join(path, "settings.gradle")
+    };
+    if (ShellJS.test("-d", Path.join(path, "xwalk_core_library"))) {
+        files["xwalk_core_library.gradle.tpl"] = Path.join(path, "xwalk_core_library", "build.gradle");
+    }
+
+    for (var name in files) {
+        if (!ShellJS.test("-f", files[name])) {
+            var tpl = new TemplateFile(Path.join(__dirname, "..", "data", name));
+            tpl.render(data, files[name]);
+        }
+    }
+};
+
+/**
+ * Update SDK location and versions to compile with. This is what
+ * "android update project" does for ant.
+ * @param {String} path Path of the project
+ * @param {String} apiTarget Android API target android-xy to compile against
+ * @param {AndroidSDK~refreshProjectCb} callback callback function
+ */
+GradleProject.prototype.refreshProject =
+function(path, apiTarget, callback) {
+
+    var logmsg = "";
+
+    if (this._sdkPath) {
+        // Backslashes and colons need escaping in properties files.
+        var sdkDir = this._sdkPath.replace(/\\/g, "\\\\").replace(/:/g, "\\:");
+        this._application.dryRun.writeFile(Path.join(path, "local.properties"), "sdk.dir=" + sdkDir + "\n");
+        logmsg += "Using SDK in " + this._sdkPath + "\n";
+    }
+
+    var buildToolsVersion = this.findBuildToolsVersion();
+    this.writeProperties(path, {
+        "xwalkCompileSdkVersion": apiTarget,
+        "xwalkBuildToolsVersion": buildToolsVersion
+    });
+    logmsg += "Compiling against " + apiTarget + " with build tools " + buildToolsVersion + "\n";
+
+    callback(logmsg, null);
+};
+
+/**
+ * Find the latest build tools installed in the SDK.
+ * @returns {String} Version like "25.0.3", a default if none was found.
+ */
+GradleProject.prototype.findBuildToolsVersion =
+function() {
+
+    var buildToolsPath = this._sdkPath ? Path.join(this._sdkPath, "build-tools") : null;
+    if (!buildToolsPath ||
+        !ShellJS.test("-d", buildToolsPath)) {
+        return DEFAULT_BUILD_TOOLS_VERSION;
+    }
+
+    var versions = ShellJS.ls(buildToolsPath).filter(function(name) {
+        return name.match(/^[0-9]+\.[0-9]+\.[0-9]+$/);
+    }).sort(function(a, b) {
+        var pa = a.split(".").map(Number);
+        var pb = b.split(".").map(Number);
+        return pa[0] - pb[0] || pa[1] - pb[1] || pa[2] - pb[2];
+    });
+
+    return versions.length > 0 ? versions[versions.length - 1] : DEFAULT_BUILD_TOOLS_VERSION;
+};
+
+/**
+ * Read gradle.properties
+ * @param {String} path Path of the project
+ * @returns {Object} Properties by name, empty if the file does not exist.
+ */
+GradleProject.prototype.readProperties =
+function(path) {
+
+    var buf = "";
+    try {
+        buf = this._application.dryRun.readFile(Path.join(path, "gradle.properties"));
+    } catch (e) {
+        // Not created yet.
+    }
+
+    var properties = {};
+    buf.split("\n").forEach(function(line) {
+        line = line.trim();
+        var sep = line.indexOf("=");
+        if (line && line[0] !== "#" && sep > 0) {
+            properties[line.substring(0, sep).trim()] = line.substring(sep + 1).trim();
+        }
+    });
+
+    return properties;
+};
+
+/**
+ * Set properties in gradle.properties, others are kept.
+ * @param {String} path Path of the project
+ * @param {Object} properties Properties by name
+ */
+GradleProject.prototype.writeProperties =
+function(path, properties) {
+
+    var merged = this.readProperties(path);
+    for (var name in properties) {
+        merged[name] = properties[name];
+    }
+
+    var buf = PROPERTIES_HEADER;
+    Object.keys(merged).sort().forEach(function(name) {
+        buf += name + "=" + merged[name] + "\n";
+    });
+
+    this._application.dryRun.writeFile(Path.join(path, "gradle.properties"), buf);
+};
+
+/**
+ * Build project by running "gradle assembleDebug" or "gradle assembleRelease".
+ * A gradle wrapper in the project is preferred over gradle from the path.
+ * @param {String} platformPath Path to root dir of project
+ * @param {Boolean} release Whether to build release or debug packages
+ * @param {AndroidSDK~buildProjectCb} callback callback function
+ */
+GradleProject.prototype.buildProject =
+function(platformPath, release, callback) {
+
+    var output = this._application.output;
+
+    var gradle = Path.join(platformPath, process.platform === "win32" ? "gradlew.bat" : "gradlew");
+    if (!ShellJS.test("-f", gradle)) {
+        gradle = ShellJS.which("gradle");
+    }
+    if (!gradle) {
+        callback(false, new Exceptions.ToolNotFoundError("Executable 'gradle' not found in path"));
+        return;
+    }
+
+    var child = ChildProcess.execFile(gradle, [release ? "assembleRelease" : "assembleDebug"],
+                                      { cwd: platformPath });
+
+    child.stdout.on("data", function(data) {
+
+        if (this.onData)
+            this.onData(data.toString());
+    }.bind(this));
+
+    child.stderr.on("data", function(data) {
+        output.warning(data.toString(), true);
+    });
+
+    child.on("error", function(error) {
+        output.error(error.message);
+    });
+
+    child.on("exit", function(code, signal) {
+        callback(code === 0);
+    });
+};
+
+/**
+ * Find APK that gradle built for an ABI.
+ * @param {String} platformPath Path to root dir of project
+ * @param {String} packageId Package name, which gradle uses as base name
+ * @param {String} abi ABI name, or null if built without ABI splits
+ * @param {Boolean} release Whether to look for release or debug packages
+ * @returns {String} Path to APK, or null if not found.
+ */
+GradleProject.prototype.findAPK =
+function(platformPath, packageId, abi, release) {
+
+    var name = packageId + "-" + (abi ? abi + "-" : "") +
+               (release ? "release-unsigned" : "debug") + ".apk";
+
+    // Newer versions of the android plugin use a subdir per build type.
+    var apkPath = Path.join(platformPath, "build", "outputs", "apk");
+    var candidates = [
+        Path.join(apkPath, name),
+        Path.join(apkPath, release ? "release" : "debug", name)
+    ];
+
+    for (var i = 0; i < candidates.length; i++) {
+        if (ShellJS.test("-f", candidates[i])) {
+            return candidates[i];
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Callback for output of the build tool.
+ * @param {String} data Output
+ */
+GradleProject.prototype.onData =
+function(data) {
+
+};
+
+module.exports = GradleProject;
@@ -7,16 +7,20 @@ var Path = require('path');
 
 var ShellJS = require("shelljs");
 
+var DryRun = require("../../src/util/DryRun");
+
 /**
  * JavaActivity wrapper.
  * @param {OutputIface} output Output implementation
  * @param {String} path Path to android app's main java activity file
+ * @param {DryRun} [dryRun] Dry-run support to read and write files with, see {@link Application#dryRun}
  * @constructor
  */
-function JavaActivity(output, path) {
+function JavaActivity(output, path, dryRun) {
 
     this._output = output;
     this._path = path;
+    this._dryRun = dryRun ? dryRun : DryRun.getInstance();
 }
 
 /**
@@ -39,6 +43,56 @@ function(basePath, packageId) {
 // Also assign statically
 JavaActivity.pathForPackage = JavaActivity.prototype.pathForPackage;
 
+/**
+ * Name of the class the activity extends, e.g. "XWalkRuntimeActivityBase",
+ * or null if the file can not be read. Assign a fully qualified name
+ * like "org.xwalk.app.XWalkRuntimeActivityBase" to change it, the import
+ * is updated as well.
+ * @member {String} baseClass
+ * @instance
+ * @memberOf JavaActivity
+ */
+Object.defineProperty(JavaActivity.prototype, "baseClass", {
+                      get: function() {
+                                var buf;
+                                try {
+                                    buf = this._dryRun.readFile(this._path);
+                                } catch (e) {
+                                    return null;
+                                }
+                                var match = buf.match(/\bclass\s+\w+\s+extends\s+([\w.]+)/);
+                                return match ? match[1] : null;
+                           },
+                      set: function(baseClass) {
+                                var buf = this._dryRun.readFile(this._path);
+                                var match = buf.match(/\bclass\s+\w+\s+extends\s+([\w.]+)/);
+                                if (!match) {
+                                    this._output.warning("Did not find base class in " + this._path);
+                                    return;
+                                }
+
+                                var simpleName = baseClass.split(".").pop();
+                                buf = buf.replace(match[0],
+                                                  match[0].substring(0, match[0].length - match[1].length) +
+                                                  simpleName);
+
+                                // Replace import of the previous base class.
+                                var previous = match[1].split(".").pop();
+                                buf = buf.replace(new RegExp("^import\\s+[\\w.]+\\." + previous + "\\s*;\\n", "m"), "");
+                                var importLine = "import " + baseClass + ";\n";
+                                if (baseClass !== simpleName &&
+                                    buf.indexOf(importLine) < 0) {
+                                    var imports = buf.match(/^(package|import)\s+[\w.]+\s*;\n/mg);
+                                    var last = imports ? imports[imports.length - 1] : null;
+                                    buf = last ?
+                                            buf.replace(last, last + (last.indexOf("package") === 0 ? "\n" : "") + importLine) :
+                                            importLine + "\n" + buf;
+                                }
+
+                                this._dryRun.writeFile(this._path, buf);
+                           }
+                      });
+
 /**
  * Import java activity file from crosswalk zip release.
  * @param {adm-zip.ZipEntry} zipEntry Entry holding the activity
@@ -168,7 +222,7 @@ function(insert, stmt) {
 
     // FIXME better error handling
 
-    var inBuf = FS.readFileSync(this._path, {"encoding": "utf8"});
+    var inBuf = this._dryRun.readFile(this._path);
     var lines = inBuf.split("\n");
     var outBuf = [];
 
@@ -186,7 +240,7 @@ function(insert, stmt) {
         outBuf.push(lines[i]);
     }
 
-    FS.writeFileSync(this._path, outBuf.join("\n"));
+    this._dryRun.writeFile(this._path, outBuf.join("\n"));
 
     return true;
 };
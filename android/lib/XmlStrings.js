@@ -0,0 +1,171 @@
+// Copyright © 2014 Intel Corporation. All rights reserved.
+// Use  of this  source  code is  governed by  an Apache v2
+// license that can be found in the LICENSE-APACHE-V2 file.
+
+var xmldom = require("xmldom");
+
+var DryRun = require("../../src/util/DryRun");
+
+/**
+ * Contents for a strings.xml that does not exist yet.
+ */
+var EMPTY_RESOURCES = '<?xml version="1.0" encoding="utf-8"?>\n' +
+                      '<resources>\n' +
+                      '</resources>\n';
+
+/**
+ * Wrapper for res/values[-<qualifier>]/strings.xml.
+ * The file is created when strings are set, if it does not exist.
+ * @param {OutputIface} output Output implementation
+ * @param {String} path Path to strings.xml
+ * @param {DryRun} [dryRun] Dry-run support to read and write files with, see {@link Application#dryRun}
+ * @constructor
+ */
+function XmlStrings(output, path, dryRun) {
+
+    this._output = output;
+    this._path = path;
+    this._dryRun = dryRun ? dryRun : DryRun.getInstance();
+}
+
+/**
+ * Names of the strings in the file
+ * @member {String[]} names
+ * @instance
+ * @memberOf XmlStrings
+ */
+Object.defineProperty(XmlStrings.prototype, "names", {
+                      get: function() {
+                                var names = [];
+                                var nodes = this.read().getElementsByTagName("string");
+                                for (var i = 0; i < nodes.length; i++) {
+                                    names.push(nodes[i].getAttribute("name"));
+                                }
+                                return names;
+                           }
+                      });
+
+/**
+ * Get string
+ * @param {String} name String name, e.g. "app_name"
+ * @returns {String} Value as in the file, with Android escapes, or null if not found.
+ */
+XmlStrings.prototype.getString =
+function(name) {
+
+    var node = this.findString(this.read(), name);
+    return node ? node.textContent : null;
+};
+
+/**
+ * Set string, adding it if not present yet.
+ * @param {String} name String name, e.g. "app_name"
+ * @param {String} value Plain text, escaped for Android, or null to remove the string
+ */
+XmlStrings.prototype.setString =
+function(name, value) {
+
+    var doc = this.read();
+    var node = this.findString(doc, name);
+    if (node && value) {
+        node.textContent = escape(value);
+    } else if (node) {
+        // Also remove the line's indentation.
+        var previous = node.previousSibling;
+        if (previous && previous.nodeType === previous.TEXT_NODE &&
+            previous.data.trim() === "") {
+            node.parentNode.removeChild(previous);
+        }
+        node.parentNode.removeChild(node);
+    } else if (value) {
+        var root = doc.documentElement;
+        node = doc.createElement("string");
+        node.setAttribute("name", name);
+        node.textContent = escape(value);
+        // Keep indentation, insert before the whitespace that precedes </resources>.
+        var last = root.lastChild;
+        if (last && last.nodeType === last.TEXT_NODE) {
+            root.insertBefore(doc.createTextNode(last.data + "    "), last);
+            root.insertBefore(node, last);
+        } else {
+            root.appendChild(node);
+        }
+    } else {
+        // Nothing to remove.
+        return;
+    }
+
+    this.write(doc);
+};
+
+/**
+ * Read strings.xml
+ * @returns {xmldom.Document} XML Document
+ * @private
+ * @see {@link https://github.com/jindw/xmldom}
+ */
+XmlStrings.prototype.read =
+function() {
+
+    var buf = EMPTY_RESOURCES;
+    try {
+        buf = this._dryRun.readFile(this._path);
+    } catch (e) {
+        // Not created yet.
+    }
+
+    var parser = new xmldom.DOMParser();
+    return parser.parseFromString(buf);
+};
+
+/**
+ * Write strings.xml
+ * @param {xmldom.Document} doc XML Document
+ * @private
+ * @see {@link https://github.com/jindw/xmldom}
+ */
+XmlStrings.prototype.write =
+function(doc) {
+
+    var serializer = new xmldom.XMLSerializer();
+    var buf = serializer.serializeToString(doc);
+    this._dryRun.writeFile(this._path, buf);
+};
+
+/**
+ * Find string node
+ * @param {xmldom.Document} doc
+ * @param {String} name String name
+ * @returns {xmldom.Node} Node if found or null
+ * @private
+ */
+XmlStrings.prototype.findString =
+function(doc, name) {
+
+    var nodes = doc.getElementsByTagName("string");
+    for (var i = 0; i < nodes.length; i++) {
+        if (nodes[i].getAttribute("name") === name) {
+            return nodes[i];
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Escape plain text for Android string resources, where quotes and
+ * backslashes are special, and a leading @ or ? makes a reference.
+ * @param {String} value Plain text
+ * @returns {String} Escaped text.
+ * @private
+ */
+function escape(value) {
+
+    value = value.replace(/\\/g, "\\\\")
+                 .replace(/'/g, "\\'")
+                 .replace(/"/g, "\\\"");
+
+    return value.match(/^[@?]/) ? "\\" + value : value;
+}
+
+module.exports = XmlStrings;
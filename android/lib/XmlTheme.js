@@ -2,20 +2,22 @@
 // Use  of this  source  code is  governed by  an Apache v2
 // license that can be found in the LICENSE-APACHE-V2 file.
 
-var FS = require("fs");
-
 var xmldom = require("xmldom");
 
+var DryRun = require("../../src/util/DryRun");
+
 /**
  * Wrapper for theme.xml.
  * @param {OutputIface} output Output implementation
  * @param {String} path Path to manifest.json
+ * @param {DryRun} [dryRun] Dry-run support to read and write files with, see {@link Application#dryRun}
  * @constructor
  */
-function XmlTheme(output, path) {
+function XmlTheme(output, path, dryRun) {
 
     this._output = output;
     this._path = path;
+    this._dryRun = dryRun ? dryRun : DryRun.getInstance();
 
     var doc = this.read();
 
@@ -52,6 +54,81 @@ Object.defineProperty(XmlTheme.prototype, "fullscreen", {
                            }
                       });
 
+/**
+ * Window background, e.g. a color like #rrggbb
+ * @member {String} windowBackground
+ * @instance
+ * @memberOf XmlTheme
+ */
+Object.defineProperty(XmlTheme.prototype, "windowBackground", {
+                      get: function() {
+                                var node = this.findItem(this.read(), "android:windowBackground");
+                                return node ? node.textContent : null;
+                           },
+                      set: function(windowBackground) {
+                                // Theme default is no background.
+                                this.setItem("android:windowBackground",
+                                             windowBackground ? windowBackground : "@null");
+                           }
+                      });
+
+/**
+ * Status bar color as #rrggbb, only applied on Android 5.0 and later.
+ * Null to use the system default.
+ * @member {String} statusBarColor
+ * @instance
+ * @memberOf XmlTheme
+ */
+Object.defineProperty(XmlTheme.prototype, "statusBarColor", {
+                      get: function() {
+                                var node = this.findItem(this.read(), "android:statusBarColor");
+                                return node ? node.textContent : null;
+                           },
+                      set: function(statusBarColor) {
+                                this.setItem("android:statusBarColor", statusBarColor);
+                           }
+                      });
+
+/**
+ * Set style item, adding it to the theme if not present yet.
+ * @param {String} name Item name, e.g. "android:statusBarColor"
+ * @param {String} value Item value, or null to remove the item
+ * @private
+ */
+XmlTheme.prototype.setItem =
+function(name, value) {
+
+    var doc = this.read();
+    var node = this.findItem(doc, name);
+    if (node && value) {
+        node.textContent = value;
+    } else if (node) {
+        node.parentNode.removeChild(node);
+    } else if (value) {
+        var styles = doc.getElementsByTagName("style");
+        if (styles.length === 0) {
+            this._output.error("Failed to find <style> element in " + this._path);
+            return;
+        }
+        node = doc.createElement("item");
+        node.setAttribute("name", name);
+        node.textContent = value;
+        // Keep indentation, insert before the whitespace that precedes </style>.
+        var last = styles[0].lastChild;
+        if (last && last.nodeType === last.TEXT_NODE) {
+            styles[0].insertBefore(doc.createTextNode(last.data + "    "), last);
+            styles[0].insertBefore(node, last);
+        } else {
+            styles[0].appendChild(node);
+        }
+    } else {
+        // Nothing to remove.
+        return;
+    }
+
+    this.write(doc);
+};
+
 /**
  * Read theme.xml
  * @returns {xmldom.Document} XML Document
@@ -64,7 +141,7 @@ function() {
     // TODO Error handling
 
     var parser = new xmldom.DOMParser();
-    var buf = FS.readFileSync(this._path, {"encoding": "utf8"});
+    var buf = this._dryRun.readFile(this._path);
     return parser.parseFromString(buf);
 };
 
@@ -81,7 +158,7 @@ function(doc) {
 
     var serializer = new xmldom.XMLSerializer();
     var buf = serializer.serializeToString(doc);
-    FS.writeFileSync(this._path, buf);
+    this._dryRun.writeFile(this._path, buf);
 };
 
 /**
@@ -130,6 +130,82 @@ exports.tests = {
 
         ShellJS.rm("-f", path);
 
+        test.done();
+    },
+
+    screenOrientation: function(test) {
+
+        test.expect(2);
+
+        var manifest;
+        var path = createManifest();
+        manifest = new AndroidManifest(_output, path);
+        test.equal(manifest.screenOrientation, "unspecified");
+        manifest.screenOrientation = "sensorLandscape";
+
+        manifest = new AndroidManifest(_output, path);
+        test.equal(manifest.screenOrientation, "sensorLandscape");
+
+        ShellJS.rm("-f", path);
+
+        test.done();
+    },
+
+    permissions: function(test) {
+
+        test.expect(4);
+
+        var manifest;
+        var path = createManifest();
+        manifest = new AndroidManifest(_output, path);
+        test.equal(manifest.permissions.length, 3);
+
+        manifest.addPermission("android.permission.CAMERA");
+        manifest.addPermission("android.permission.CAMERA");
+        manifest.removePermission("android.permission.ACCESS_WIFI_STATE");
+
+        manifest = new AndroidManifest(_output, path);
+        test.deepEqual(manifest.permissions, [
+            "android.permission.ACCESS_NETWORK_STATE",
+            "android.permission.INTERNET",
+            "android.permission.CAMERA"
+        ]);
+
+        // Added on a line of its own, removed with its line
+        var content = FS.readFileSync(path, {"encoding": "utf8"});
+        test.ok(content.indexOf('INTERNET"/>\n<uses-permission android:name="android.permission.CAMERA"/>\n</manifest>') > -1);
+        test.equal(content.indexOf("ACCESS_WIFI_STATE"), -1);
+
+        ShellJS.rm("-f", path);
+
+        test.done();
+    },
+
+    metaData: function(test) {
+
+        test.expect(5);
+
+        var path = createManifest();
+        var manifest = new AndroidManifest(_output, path);
+        test.equal(manifest.getMetaData("xwalk_apk_url"), null);
+
+        manifest.setMetaData("xwalk_apk_url", "http://example.com/foo.apk");
+        manifest = new AndroidManifest(_output, path);
+        test.equal(manifest.getMetaData("xwalk_apk_url"), "http://example.com/foo.apk");
+
+        // Inside <application>, on a line of its own
+        var content = FS.readFileSync(path, {"encoding": "utf8"});
+        test.ok(content.indexOf('</activity>\n<meta-data android:name="xwalk_apk_url" ' +
+                                'android:value="http://example.com/foo.apk"/>\n</application>') > -1);
+
+        manifest.setMetaData("xwalk_apk_url", "http://example.com/bar.apk");
+        test.equal(manifest.getMetaData("xwalk_apk_url"), "http://example.com/bar.apk");
+
+        manifest.setMetaData("xwalk_apk_url", null);
+        test.equal(FS.readFileSync(path, {"encoding": "utf8"}).indexOf("meta-data"), -1);
+
+        ShellJS.rm("-f", path);
+
         test.done();
     }
 };
@@ -2,7 +2,14 @@
 // Use  of this  source  code is  governed by  an Apache v2
 // license that can be found in the LICENSE-APACHE-V2 file.
 
+var FS = require("fs");
+var Path = require("path");
+
+var ShellJS = require("shelljs");
+
+var AndroidManifest = require("../lib/AndroidManifest");
 var AndroidPlatform = require("../lib/AndroidPlatform");
+var JavaActivity = require("../lib/JavaActivity");
 var PlatformBase = require("../../src/PlatformBase");
 var Util = require("../../test-util/Util.js");
 
@@ -115,6 +122,164 @@ exports.tests = {
             test.equal(versionCode, codes[i]);
         }
 
+        Util.deleteTmpApplication(application);
+        test.done();
+    },
+
+    generateVersionCode64: function(test) {
+
+        test.expect(4);
+
+        var application = Util.createTmpApplication("com.example.foo");
+        var platformData = {
+            application: application,
+            platformId: "android"
+        };
+
+        var android = new AndroidPlatform(PlatformBase, platformData);
+
+        test.equal(android.generateVersionCode(application.output, "1.1.1", "arm64-v8a"), "30101001");
+        test.equal(android.generateVersionCode(application.output, "1.1.1", "x86_64"), "70101001");
+        test.equal(android.generateVersionCode(application.output, "1.1.1", "mips"), null);
+        test.equal(android.generateVersionCode(application.output, "1.1.1", "shared"), "10101001");
+
+        Util.deleteTmpApplication(application);
+        test.done();
+    },
+
+    checkABIs: function(test) {
+
+        test.expect(4);
+
+        var application = Util.createTmpApplication("com.example.foo");
+        var platformData = {
+            application: application,
+            platformId: "android"
+        };
+
+        var android = new AndroidPlatform(PlatformBase, platformData);
+        var libsPath = Path.join(android.platformPath, "xwalk_core_library", "libs");
+        ["armeabi-v7a", "x86"].forEach(function(abi) {
+            ShellJS.mkdir("-p", Path.join(libsPath, abi));
+        });
+
+        test.deepEqual(android.getABIs({ targets: "x86, armeabi-v7a,x86" }), ["x86", "armeabi-v7a"]);
+        test.equal(android.checkABIs(["armeabi-v7a", "x86"]), null);
+        test.ok(android.checkABIs(["x86_64"]).indexOf("available are armeabi-v7a, x86") > -1);
+        test.ok(android.checkABIs(["mips"]).indexOf("Unknown ABI 'mips'") === 0);
+
+        Util.deleteTmpApplication(application);
+        test.done();
+    },
+
+    checkSharedMode: function(test) {
+
+        test.expect(5);
+
+        var application = Util.createTmpApplication("com.example.foo");
+        var platformData = {
+            application: application,
+            platformId: "android"
+        };
+
+        var android = new AndroidPlatform(PlatformBase, platformData);
+        test.equal(android.getMode({}), "embedded");
+        test.equal(android.getMode({ shared: true }), "shared");
+
+        var activityPath = Path.join(android.platformPath, "src", "com", "example", "foo");
+        ShellJS.mkdir("-p", activityPath);
+        "public class MainActivity extends XWalkRuntimeActivityBase {\n}\n"
+            .to(Path.join(activityPath, "MainActivity.java"));
+        test.ok(android.checkSharedMode().indexOf("unknown") > -1);
+
+        android.exportVersion("15.44.384.12");
+        test.equal(android.checkSharedMode(), null);
+
+        android.exportVersion("14.43.343.25");
+        test.ok(android.checkSharedMode().indexOf("Crosswalk 15") > -1);
+
+        Util.deleteTmpApplication(application);
+        test.done();
+    },
+
+    updateSharedMode: function(test) {
+
+        test.expect(6);
+
+        var application = Util.createTmpApplication("com.example.foo");
+        var platformData = {
+            application: application,
+            platformId: "android"
+        };
+
+        var android = new AndroidPlatform(PlatformBase, platformData);
+        var activityPath = Path.join(android.platformPath, "src", "com", "example", "foo",
+                                     "MainActivity.java");
+        var manifestPath = Path.join(android.platformPath, "AndroidManifest.xml");
+        var propertiesPath = Path.join(android.platformPath, "project.properties");
+        ShellJS.mkdir("-p", Path.dirname(activityPath));
+        ("package com.example.foo;\n" +
+         "\n" +
+         "import com.example.FooActivity;\n" +
+         "\n" +
+         "public class MainActivity extends FooActivity {\n" +
+         "}\n").to(activityPath);
+        ("<manifest xmlns:android=\"http://schemas.android.com/apk/res/android\">\n" +
+         "<application>\n" +
+         "</application>\n" +
+         "</manifest>\n").to(manifestPath);
+        "android.library.reference.1=xwalk_core_library\n".to(propertiesPath);
+        application.config.load(application.rootPath, {});
+        application.config.set("android-runtime-url", "http://example.com/runtime.apk", "project");
+
+        android.updateSharedMode(true);
+        var activity = new JavaActivity(application.output, activityPath);
+        test.equal(activity.baseClass, "XWalkRuntimeActivityBase");
+        var manifest = new AndroidManifest(application.output, manifestPath);
+        test.equal(manifest.getMetaData("xwalk_apk_url"), "http://example.com/runtime.apk");
+        test.equal(FS.readFileSync(propertiesPath, {"encoding": "utf8"}),
+                   "android.library.reference.1=xwalk_shared_library\n");
+
+        // Back to embedded, the activity still works.
+        android.updateSharedMode(false);
+        test.equal(activity.baseClass, "XWalkRuntimeActivityBase");
+        manifest = new AndroidManifest(application.output, manifestPath);
+        test.equal(manifest.getMetaData("xwalk_apk_url"), null);
+        test.equal(FS.readFileSync(propertiesPath, {"encoding": "utf8"}),
+                   "android.library.reference.1=xwalk_core_library\n");
+
+        Util.deleteTmpApplication(application);
+        test.done();
+    },
+
+    checkKeystore: function(test) {
+
+        test.expect(4);
+
+        var application = Util.createTmpApplication("com.example.foo");
+        var platformData = {
+            application: application,
+            platformId: "android"
+        };
+
+        var android = new AndroidPlatform(PlatformBase, platformData);
+        var keystore = {
+            path: Path.join(application.rootPath, "test.keystore"),
+            alias: "foo",
+            password: "secret"
+        };
+        test.ok(android.checkKeystore(keystore).indexOf("not found") > -1);
+
+        "keystore\n".to(keystore.path);
+        test.equal(android.checkKeystore(keystore), null);
+
+        keystore.alias = null;
+        test.ok(android.checkKeystore(keystore).indexOf("alias") > -1);
+
+        keystore.alias = "foo";
+        keystore.password = null;
+        test.ok(android.checkKeystore(keystore).indexOf("password") > -1);
+
         Util.deleteTmpApplication(application);
         test.done();
     }
@@ -0,0 +1,133 @@
+// Copyright © 2014 Intel Corporation. All rights reserved.
+// Use  of this  source  code is  governed by  an Apache v2
+// license that can be found in the LICENSE-APACHE-V2 file.
+
+var FS = require("fs");
+var Path = require("path");
+
+var ShellJS = require("shelljs");
+
+var ApkSigner = require("../lib/ApkSigner.js");
+var Exceptions = require("../../src/util/exceptions");
+var Util = require("../../test-util/Util.js");
+
+var _output = require("../../src/TerminalOutput").getInstance();
+
+
+
+/**
+ * Create build tools dir with stubs for zipalign and apksigner,
+ * that record how they were called.
+ */
+function createBuildTools() {
+
+    var path = Util.createTmpDir();
+
+    var zipalign = Path.join(path, "zipalign");
+    ('#!/bin/sh\n' +
+     'cp "$3" "$4"\n').to(zipalign);
+
+    var apksigner = Path.join(path, "apksigner");
+    ('#!/bin/sh\n' +
+     'if [ "$1" = "verify" ]; then\n' +
+     '    grep -q signed "$2"\n' +
+     '    exit $?\n' +
+     'fi\n' +
+     'echo "$@" > "$(dirname "$0")/args.log"\n' +
+     'echo "$XWALK_KEYSTORE_PASSWORD:$XWALK_KEY_PASSWORD" > "$(dirname "$0")/env.log"\n' +
+     'while [ $# -gt 1 ]; do\n' +
+     '    if [ "$1" = "--out" ]; then out="$2"; fi\n' +
+     '    shift\n' +
+     'done\n' +
+     'cat "$1" > "$out"\n' +
+     'echo signed >> "$out"\n').to(apksigner);
+
+    ShellJS.chmod("+x", zipalign);
+    ShellJS.chmod("+x", apksigner);
+
+    return path;
+}
+
+exports.tests = {
+
+    sign: function(test) {
+
+        test.expect(6);
+
+        var toolsPath = createBuildTools();
+        var tmpdir = Util.createTmpDir();
+        var unsignedPath = Path.join(tmpdir, "foo-release-unsigned.x86.apk");
+        var signedPath = Path.join(tmpdir, "foo-release.x86.apk");
+        "apk\n".to(unsignedPath);
+        // Throwaway keystore, the stubs do not read it.
+        "keystore\n".to(Path.join(tmpdir, "test.keystore"));
+
+        var log = "";
+        var signer = new ApkSigner({ output: _output }, toolsPath);
+        signer.onData = function(data) {
+            log += data;
+        };
+        var keystore = {
+            path: Path.join(tmpdir, "test.keystore"),
+            alias: "foo",
+            password: "storesecret",
+            keyPassword: null
+        };
+        signer.sign(unsignedPath, signedPath, keystore, function(error) {
+
+            test.equal(error, null);
+            test.equal(FS.readFileSync(signedPath, {"encoding": "utf8"}), "apk\nsigned\n");
+            test.equal(ShellJS.test("-f", signedPath + ".aligned"), false);
+
+            // Passwords are passed by environment only.
+            test.equal(FS.readFileSync(Path.join(toolsPath, "env.log"), {"encoding": "utf8"}),
+                       "storesecret:storesecret\n");
+            test.equal(FS.readFileSync(Path.join(toolsPath, "args.log"), {"encoding": "utf8"}).indexOf("secret"), -1);
+            test.equal(log.indexOf("secret"), -1);
+
+            ShellJS.rm("-rf", toolsPath);
+            ShellJS.rm("-rf", tmpdir);
+            test.done();
+        });
+    },
+
+    verifyFailed: function(test) {
+
+        test.expect(2);
+
+        var toolsPath = createBuildTools();
+        // Signing stub without the marker that verify checks for.
+        ('#!/bin/sh\n' +
+         'if [ "$1" = "verify" ]; then grep -q signed "$2"; exit $?; fi\n' +
+         'while [ $# -gt 1 ]; do if [ "$1" = "--out" ]; then out="$2"; fi; shift; done\n' +
+         'cp "$1" "$out"\n').to(Path.join(toolsPath, "apksigner"));
+
+        var tmpdir = Util.createTmpDir();
+        var signedPath = Path.join(tmpdir, "foo-release.x86.apk");
+        "apk\n".to(Path.join(tmpdir, "foo-release-unsigned.x86.apk"));
+
+        var signer = new ApkSigner({ output: _output }, toolsPath);
+        var keystore = { path: Path.join(tmpdir, "test.keystore"), alias: "foo", password: "secret" };
+        signer.sign(Path.join(tmpdir, "foo-release-unsigned.x86.apk"), signedPath, keystore, function(error) {
+
+            test.ok(error instanceof Exceptions.BuildToolError);
+            test.equal(ShellJS.test("-f", signedPath), false);
+
+            ShellJS.rm("-rf", toolsPath);
+            ShellJS.rm("-rf", tmpdir);
+            test.done();
+        });
+    },
+
+    findTool: function(test) {
+
+        test.expect(1);
+
+        var toolsPath = createBuildTools();
+        var signer = new ApkSigner({ output: _output }, toolsPath);
+        test.equal(signer.findTool("zipalign"), Path.join(toolsPath, "zipalign"));
+
+        ShellJS.rm("-rf", toolsPath);
+        test.done();
+    }
+};
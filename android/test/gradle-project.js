@@ -0,0 +1,129 @@
+// Copyright © 2014 Intel Corporation. All rights reserved.
+// Use  of this  source  code is  governed by  an Apache v2
+// license that can be found in the LICENSE-APACHE-V2 file.
+
+var FS = require("fs");
+var Path = require("path");
+
+var ShellJS = require("shelljs");
+
+var DryRun = require("../../src/util/DryRun");
+var GradleProject = require("../lib/GradleProject.js");
+var Util = require("../../test-util/Util.js");
+
+var _output = require("../../src/TerminalOutput").getInstance();
+
+// What GradleProject uses of the application.
+var _application = {
+    output: _output,
+    dryRun: DryRun.getInstance()
+};
+
+
+
+exports.tests = {
+
+    generateProjectSkeleton: function(test) {
+
+        test.expect(6);
+
+        var tmpdir = Util.createTmpDir();
+        var path = Path.join(tmpdir, "com.example.foo");
+        var gradle = new GradleProject(_application, null);
+        gradle.generateProjectSkeleton(path, "com.example.foo", "android-21",
+                                       function(path_, logmsg, errmsg) {
+
+            test.equal(path_, path);
+            test.equal(errmsg, null);
+            test.equal(ShellJS.test("-d", Path.join(path, "src")), true);
+
+            var settings = FS.readFileSync(Path.join(path, "settings.gradle"), {"encoding": "utf8"});
+            test.equal(settings.indexOf('rootProject.name = "com.example.foo"') > -1, true);
+
+            var build = FS.readFileSync(Path.join(path, "build.gradle"), {"encoding": "utf8"});
+            test.equal(build.indexOf("splits") > -1, true);
+
+            // No library build file before Crosswalk is imported.
+            test.equal(ShellJS.test("-f", Path.join(path, "xwalk_core_library", "build.gradle")), false);
+
+            ShellJS.rm("-rf", tmpdir);
+            test.done();
+        });
+    },
+
+    generateBuildFiles: function(test) {
+
+        test.expect(2);
+
+        var tmpdir = Util.createTmpDir();
+        ShellJS.mkdir(Path.join(tmpdir, "xwalk_core_library"));
+        "// custom\n".to(Path.join(tmpdir, "build.gradle"));
+
+        var gradle = new GradleProject(_application, null);
+        gradle.generateBuildFiles(tmpdir, "com.example.foo");
+
+        // Existing files are kept.
+        test.equal(FS.readFileSync(Path.join(tmpdir, "build.gradle"), {"encoding": "utf8"}), "// custom\n");
+        test.equal(ShellJS.test("-f", Path.join(tmpdir, "xwalk_core_library", "build.gradle")), true);
+
+        ShellJS.rm("-rf", tmpdir);
+        test.done();
+    },
+
+    properties: function(test) {
+
+        test.expect(3);
+
+        var tmpdir = Util.createTmpDir();
+        var gradle = new GradleProject(_application, null);
+        gradle.refreshProject(tmpdir, "android-21", function(logmsg, errmsg) {
+
+            gradle.writeProperties(tmpdir, { "xwalkAbis": "armeabi-v7a,x86" });
+
+            var properties = gradle.readProperties(tmpdir);
+            test.equal(properties.xwalkCompileSdkVersion, "android-21");
+            test.equal(properties.xwalkBuildToolsVersion, gradle.findBuildToolsVersion());
+            test.equal(properties.xwalkAbis, "armeabi-v7a,x86");
+
+            ShellJS.rm("-rf", tmpdir);
+            test.done();
+        });
+    },
+
+    findAPK: function(test) {
+
+        test.expect(2);
+
+        var tmpdir = Util.createTmpDir();
+        var apkPath = Path.join(tmpdir, "build", "outputs", "apk");
+        ShellJS.mkdir("-p", Path.join(apkPath, "release"));
+        "apk\n".to(Path.join(apkPath, "com.example.foo-x86-debug.apk"));
+        "apk\n".to(Path.join(apkPath, "release", "com.example.foo-release-unsigned.apk"));
+
+        var gradle = new GradleProject(_application, null);
+        test.equal(gradle.findAPK(tmpdir, "com.example.foo", "x86", false),
+                   Path.join(apkPath, "com.example.foo-x86-debug.apk"));
+        // Shared mode, without ABI splits.
+        test.equal(gradle.findAPK(tmpdir, "com.example.foo", null, true),
+                   Path.join(apkPath, "release", "com.example.foo-release-unsigned.apk"));
+
+        ShellJS.rm("-rf", tmpdir);
+        test.done();
+    },
+
+    findBuildToolsVersion: function(test) {
+
+        test.expect(1);
+
+        var tmpdir = Util.createTmpDir();
+        ["19.1.0", "23.0.2", "23.0.10", "android-4.4W"].forEach(function(version) {
+            ShellJS.mkdir("-p", Path.join(tmpdir, "build-tools", version));
+        });
+
+        var gradle = new GradleProject(_application, tmpdir);
+        test.equal(gradle.findBuildToolsVersion(), "23.0.10");
+
+        ShellJS.rm("-rf", tmpdir);
+        test.done();
+    }
+};
@@ -53,6 +53,53 @@ var buffer = "" +
 
         ShellJS.rm("-f", path);
 
+        test.done();
+    },
+
+    baseClass: function(test) {
+
+        test.expect(2);
+
+        var path = Util.createTmpFile();
+        FS.writeFileSync(path, "public class MainActivity extends org.xwalk.core.XWalkActivity {\n}\n");
+
+        var activity = new JavaActivity(_output, path);
+        test.equal(activity.baseClass, "org.xwalk.core.XWalkActivity");
+
+        ShellJS.rm("-f", path);
+        test.equal(activity.baseClass, null);
+
+        test.done();
+    },
+
+    setBaseClass: function(test) {
+
+        test.expect(4);
+
+        var path = Util.createTmpFile();
+        FS.writeFileSync(path,
+                         "package com.example.foo;\n" +
+                         "\n" +
+                         "import android.os.Bundle;\n" +
+                         "import com.example.FooActivity;\n" +
+                         "\n" +
+                         "public class MainActivity extends FooActivity {\n" +
+                         "}\n");
+
+        var activity = new JavaActivity(_output, path);
+        activity.baseClass = "org.xwalk.app.XWalkRuntimeActivityBase";
+        test.equal(activity.baseClass, "XWalkRuntimeActivityBase");
+
+        var buf = FS.readFileSync(path, {"encoding": "utf8"});
+        test.equal(buf.indexOf("import com.example.FooActivity;"), -1);
+        test.ok(buf.indexOf("import android.os.Bundle;\nimport org.xwalk.app.XWalkRuntimeActivityBase;\n") > -1);
+
+        // Import is not duplicated.
+        activity.baseClass = "org.xwalk.app.XWalkRuntimeActivityBase";
+        buf = FS.readFileSync(path, {"encoding": "utf8"});
+        test.equal(buf.split("import org.xwalk.app.XWalkRuntimeActivityBase;").length, 2);
+
+        ShellJS.rm("-f", path);
         test.done();
     }
 
@@ -0,0 +1,74 @@
+// Copyright © 2014 Intel Corporation. All rights reserved.
+// Use  of this  source  code is  governed by  an Apache v2
+// license that can be found in the LICENSE-APACHE-V2 file.
+
+var FS = require("fs");
+var Path = require("path");
+
+var ShellJS = require("shelljs");
+
+var XmlStrings = require("../lib/XmlStrings.js");
+var Util = require("../../test-util/Util.js");
+
+var _output = require("../../src/TerminalOutput").getInstance();
+
+
+
+function createStrings() {
+
+    var path = Util.createTmpFile();
+    var content = '' +
+'<?xml version="1.0" encoding="utf-8"?>\n' +
+'<resources>\n' +
+'    <string name="app_name">MainActivity</string>\n' +
+'</resources>\n';
+
+    FS.writeFileSync(path, content);
+
+    return path;
+}
+
+exports.tests = {
+
+    setString: function(test) {
+
+        test.expect(4);
+
+        var path = createStrings();
+        var strings = new XmlStrings(_output, path);
+        test.equal(strings.getString("app_name"), "MainActivity");
+
+        strings.setString("app_name", "Foo's");
+        strings.setString("app_short_name", "@Foo");
+        strings = new XmlStrings(_output, path);
+        test.equal(strings.getString("app_name"), "Foo\\'s");
+        test.equal(strings.getString("app_short_name"), "\\@Foo");
+
+        strings.setString("app_name", null);
+        test.deepEqual(strings.names, ["app_short_name"]);
+
+        ShellJS.rm("-f", path);
+
+        test.done();
+    },
+
+    create: function(test) {
+
+        test.expect(1);
+
+        var tmpdir = Util.createTmpDir();
+        var path = Path.join(tmpdir, "strings.xml");
+        var strings = new XmlStrings(_output, path);
+        strings.setString("app_name", "Foo");
+
+        test.equal(FS.readFileSync(path, {"encoding": "utf8"}),
+                   '<?xml version="1.0" encoding="utf-8"?>\n' +
+                   '<resources>\n' +
+                   '    <string name="app_name">Foo</string>\n' +
+                   '</resources>');
+
+        ShellJS.rm("-rf", tmpdir);
+
+        test.done();
+    }
+};
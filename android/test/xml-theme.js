@@ -55,6 +55,32 @@ exports.tests = {
 
         ShellJS.rm("-f", path);
 
+        test.done();
+    },
+
+    colors: function(test) {
+
+        test.expect(5);
+
+        var path = createTheme();
+        var theme = new XmlTheme(_output, path);
+        test.equal(theme.windowBackground, "@null");
+        test.equal(theme.statusBarColor, null);
+
+        // Existing item is changed, missing one added
+        theme.windowBackground = "#000080";
+        theme.statusBarColor = "#ff00aa";
+        theme = new XmlTheme(_output, path);
+        test.equal(theme.windowBackground, "#000080");
+        test.equal(theme.statusBarColor, "#ff00aa");
+
+        // Reset to defaults
+        theme.windowBackground = null;
+        theme.statusBarColor = null;
+        test.equal(FS.readFileSync(path, {"encoding": "utf8"}).indexOf("statusBarColor"), -1);
+
+        ShellJS.rm("-f", path);
+
         test.done();
     }
 };
@@ -8,8 +8,12 @@ var Path = require('path');
 var ShellJS = require("shelljs");
 
 var CommandParser = require("./CommandParser");
+var Config = require("./Config");
+var DryRun = require("./util/DryRun");
 var IllegalAccessException = require("./util/exceptions").IllegalAccessException;
+var InvalidManifestError = require("./util/exceptions").InvalidManifestError;
 var InvalidPathException = require("./util/exceptions").InvalidPathException;
+var InvalidProjectError = require("./util/exceptions").InvalidProjectError;
 var LogfileOutput = require("./LogfileOutput");
 var Manifest = require("./Manifest");
 var OutputTee = require("./OutputTee");
@@ -22,10 +26,22 @@ var TerminalOutput = require("./TerminalOutput");
  * @constructor
  * @param {String} cwd Current working directory
  * @param {String} [packageId] Package ID in com.example.foo format, or null
- * @throws {InvalidPathException} If packageId not passed and current working dir not a project.
+ * @param {OutputIface} [output] Output for user messages, defaults to {@link TerminalOutput}
+ * @param {String} [pkgPath] Directory built packages are placed in, defaults to process.cwd()
+ * @param {Config} [config] Settings, defaults to the process-wide ones, see {@link Config.getInstance}
+ * @throws {InvalidPathException} If cwd is invalid, or the project to create already exists.
+ * @throws {InvalidProjectError} If packageId not passed and current working dir not a project.
+ * @throws {InvalidManifestError} If the project's manifest.json could not be parsed.
  * @protected
  */
-function Application(cwd, packageId) {
+function Application(cwd, packageId, output, pkgPath, config) {
+
+    this._config = config ? config : null;
+    this._dryRun = new DryRun.class(this.config);
+
+    // Logfile output is only available once the project is set up,
+    // so messages before that only go to the terminal.
+    var terminalOutput = output ? output : TerminalOutput.getInstance();
 
     // cwd must be absolute and exist.
     if (!cwd ||
@@ -39,7 +55,7 @@ function Application(cwd, packageId) {
     // PackageId is only passed when a new project is created.
     if (packageId) {
 
-        this._packageId = CommandParser.validatePackageId(packageId, this.output);
+        this._packageId = CommandParser.validatePackageId(packageId, terminalOutput);
 
         // Check that project dir not already exists
         var rootPath = Path.join(cwd, this._packageId);
@@ -47,7 +63,7 @@ function Application(cwd, packageId) {
             throw new InvalidPathException("Failed to create project, path already exists: " + rootPath);
         }
 
-        initMembers.call(this, rootPath);
+        initMembers.call(this, rootPath, pkgPath);
 
         // Create Manifest
         Manifest.create(Path.join(this._appPath, "manifest.json"), packageId);
@@ -55,30 +71,34 @@ function Application(cwd, packageId) {
     } else {
 
         // Get packageId from manifest
-        var manifest = new Manifest(this._output, Path.join(cwd, "app", "manifest.json"));
+        var manifestPath = Path.join(cwd, "app", "manifest.json");
+        if (!ShellJS.test("-f", manifestPath)) {
+            throw new InvalidProjectError("Path does not seem to be a project toplevel: " + cwd);
+        }
+        var manifest = loadManifest(terminalOutput, manifestPath);
         this._packageId = manifest.packageId;
         if (!this._packageId) {
-            throw new InvalidPathException("Path does not seem to be a project toplevel: " + cwd);
+            throw new InvalidProjectError("Path does not seem to be a project toplevel: " + cwd);
         }
 
-        initMembers.call(this, cwd);
+        initMembers.call(this, cwd, pkgPath);
     }
 
     // Check all paths exist.
     if (!ShellJS.test("-d", this._rootPath)) {
-        throw new InvalidPathException("Failed to load, invalid path: " + this._rootPath);
+        throw new InvalidProjectError("Failed to load, invalid path: " + this._rootPath);
     }
     if (!ShellJS.test("-d", this._appPath)) {
-        throw new InvalidPathException("Failed to load, invalid path: " + this._appPath);
+        throw new InvalidProjectError("Failed to load, invalid path: " + this._appPath);
     }
     if (!ShellJS.test("-d", this._logPath)) {
-        throw new InvalidPathException("Failed to load, invalid path: " + this._logPath);
+        throw new InvalidProjectError("Failed to load, invalid path: " + this._logPath);
     }
     if (!ShellJS.test("-d", this._pkgPath)) {
         throw new InvalidPathException("Failed to load, invalid path: " + this._pkgPath);
     }
     if (!ShellJS.test("-d", this._prjPath)) {
-        throw new InvalidPathException("Failed to load, invalid path: " + this._prjPath);
+        throw new InvalidProjectError("Failed to load, invalid path: " + this._prjPath);
     }
 
     // Set up logging, always start a new file for each time the app is run.
@@ -88,12 +108,34 @@ function Application(cwd, packageId) {
 
     this._platformLogfileOutput = null;
 
-    this._output = new OutputTee(this._logfileOutput, TerminalOutput.getInstance());
+    this._output = new OutputTee(this._logfileOutput, terminalOutput);
 
-    this._manifest = new Manifest(this._output, Path.join(this._appPath, "manifest.json"));
+    this._artifacts = [];
+    this._versions = {};
+
+    this._manifest = loadManifest(this._output, Path.join(this._appPath, "manifest.json"));
 }
 
-function initMembers(rootPath) {
+/**
+ * Load manifest, reporting syntax errors as invalid manifest.
+ * @param {OutputIface} output Output implementation
+ * @param {String} path Path to manifest.json
+ * @returns {Manifest} Manifest instance.
+ * @throws {InvalidManifestError} If manifest.json is not valid JSON, or has invalid fields.
+ */
+function loadManifest(output, path) {
+
+    try {
+        return new Manifest(output, path);
+    } catch (e) {
+        if (e instanceof SyntaxError) {
+            throw new InvalidManifestError("Failed to parse " + path + ": " + e.message);
+        }
+        throw e;
+    }
+}
+
+function initMembers(rootPath, pkgPath) {
 
     this._rootPath = rootPath;
     ShellJS.mkdir(this._rootPath);
@@ -104,8 +146,8 @@ function initMembers(rootPath) {
     this._logPath = Path.join(OS.tmpdir(), "crosswalk-app-tools-" + this._packageId);
     ShellJS.mkdir(this._logPath);
 
-    // Packages end up in working dir
-    this._pkgPath = process.cwd();
+    // Packages end up in working dir, unless told otherwise
+    this._pkgPath = pkgPath ? pkgPath : process.cwd();
 
     this._prjPath = this._rootPath + Path.sep + "prj";
     ShellJS.mkdir(this._prjPath);
@@ -208,13 +250,33 @@ Object.defineProperty(Application.prototype, "manifest", {
  */
 Object.defineProperty(Application.prototype, "config", {
                       get: function() {
-                                return require("./Config").getInstance();
+                                return this._config ? this._config : Config.getInstance();
                            },
                       set: function(config) {
                                 throw new IllegalAccessException("Attempting to write read-only property Application.config");
                            }
                       });
 
+/**
+ * Read-only {@link DryRun} object, for writing files and running tools
+ * according to the "dry-run" option of this application's {@link Config}.
+ * @member {DryRun} dryRun
+ * @throws {IllegalAccessException} If writing this property is attempted.
+ * @instance
+ * @memberOf Application
+ */
+Object.defineProperty(Application.prototype, "dryRun", {
+                      get: function() {
+                                if (!this._dryRun) {
+                                    this._dryRun = new DryRun.class(this.config);
+                                }
+                                return this._dryRun;
+                           },
+                      set: function(dryRun) {
+                                throw new IllegalAccessException("Attempting to write read-only property Application.dryRun");
+                           }
+                      });
+
 /**
  * Read-only {@link LogfileOutput} object.
  * Setting this property to null will revert output to the default logfile.
@@ -265,6 +327,32 @@ Object.defineProperty(Application.prototype, "output", {
                            }
                       });
 
+/**
+ * Packages built in this session, see {@link PlatformBase#exportPackage}.
+ * Each entry has the properties "path", "platform", "config", "abi" and "size".
+ * @member {Object[]} artifacts
+ * @instance
+ * @memberOf Application
+ */
+Object.defineProperty(Application.prototype, "artifacts", {
+                      get: function() {
+                                return this._artifacts;
+                           }
+                      });
+
+/**
+ * Crosswalk versions imported in this session, see {@link PlatformBase#exportVersion}.
+ * Maps platform ID to version, e.g. { android: "13.42.319.12" }.
+ * @member {Object} versions
+ * @instance
+ * @memberOf Application
+ */
+Object.defineProperty(Application.prototype, "versions", {
+                      get: function() {
+                                return this._versions;
+                           }
+                      });
+
 /**
  * Namespace for exceptions.
  * @member {Namespace} exceptions
@@ -7,6 +7,8 @@ var Path = require("path");
 var Minimist = require("minimist");
 var ShellJS = require("shelljs");
 
+var _config = require("./Config").getInstance();
+
 /**
  * Parsing and validation of command-line arguments.
  * @constructor
@@ -22,7 +24,22 @@ function CommandParser(output, argv) {
         throw new TypeError("CommandParser(argv) must be of type Array.");
     }
 
-    this._argv = argv;
+    // Options like "--json" or "--platforms=windows" are evaluated using Minimist,
+    // strip them so they do not get in the way of positional arguments.
+    // Everything after a "--" terminator is taken literally.
+    this._argv = [];
+    var literal = false;
+    for (var i = 0; i < argv.length; i++) {
+        var arg = argv[i];
+        if (i < 2 || literal) {
+            this._argv.push(arg);
+        } else if (arg === "--") {
+            literal = true;
+        } else if (arg.substring(0, 2) !== "--" ||
+                   ["--help", "--version"].indexOf(arg) > -1) {
+            this._argv.push(arg);
+        }
+    }
 }
 
 /**
@@ -36,21 +53,59 @@ function() {
 "Crosswalk Project Application Packaging Tool\n" +
 "\n" +
 "    crosswalk-app create <package-id>           Create project <package-id>\n" +
-"                  --platforms=<target>          Optional, e.g. \"windows\"\n" +
+"                  --platforms=<target>          Optional, e.g. \"windows\" or \"android,windows\"\n" +
+"                  --from=<dir|zip>              Optional, import existing web app\n" +
+"                  --template=<name|dir|zip>     Optional, app template to start from\n" +
 "\n" +
 "    crosswalk-app build [release|debug] [<dir>] Build project to create packages\n" +
 "                                                Defaults to \"debug\" when not given\n" +
 "                                                Tries to build in current dir by default\n" +
+"                  --platforms=<target>          Optional, only build some target platforms\n" +
+"                  --watch                       Optional, rebuild when the app changes\n" +
+"                  --force                       Optional, also build packages that are up to date\n" +
+"                  --dry-run                     Optional, show planned changes but write nothing\n" +
+"                  --strict                      Optional, fail on manifest warnings too\n" +
 "\n" +
 "    crosswalk-app update [<version>] [<dir>]    Update Crosswalk to latest in named\n" +
 "                                                channel, or specific version\n" +
-"                                                Version is \"stable\" when not given" +
+"                                                Version is \"stable\" when not given\n" +
+"                  --dry-run                     Optional, show planned changes but write nothing\n" +
+"\n" +
+"    crosswalk-app refresh [<dir>]               Regenerate platform project from manifest\n" +
+"                                                Keeps Crosswalk version and custom code\n" +
+"\n" +
+"    crosswalk-app manifest get <field>          Print manifest.json field\n" +
+"    crosswalk-app manifest set <field> <value>  Check and write manifest.json field\n" +
+"    crosswalk-app manifest unset <field>        Remove field from manifest.json\n" +
+"    crosswalk-app manifest validate             Check manifest.json for errors\n" +
+"                                                Operates on project in current dir\n" +
+"                  --strict                      Optional, fail on warnings too\n" +
+"    crosswalk-app manifest show [<platform>] [release|debug]\n" +
+"                                                Print manifest.json with xwalk_overrides\n" +
+"                                                applied for platform and configuration\n" +
+"\n" +
+"    crosswalk-app versions [<channel>]          List available Crosswalk versions\n" +
+"                                                Channel is stable, beta, canary or all,\n" +
+"                                                \"crosswalk-channel\" setting when not given\n" +
+"\n" +
+"    crosswalk-app config list                   Print settings and where they come from\n" +
+"    crosswalk-app config get <key>              Print setting\n" +
+"    crosswalk-app config set <key> <value>      Write setting to project's crosswalk.json\n" +
+"                  --global                      Write to ~/.crosswalk-app-tools.json instead\n" +
+"\n" +
+"    crosswalk-app doctor [<platform>]           Check host for required tools\n" +
+"                                                Exit status is non-zero on failure\n" +
 "\n" +
 "    crosswalk-app platforms                     List available target platforms\n" +
 "\n" +
 "    crosswalk-app help                          Display usage information\n" +
 "\n" +
-"    crosswalk-app version                       Display version information\n";
+"    crosswalk-app version                       Display version information\n" +
+"\n" +
+"    Global options\n" +
+"        --json                                  Print JSON objects, one per line,\n" +
+"                                                instead of human readable messages\n" +
+"        --<key>=<value>                         Override setting, see \"config list\"\n";
 };
 
 /**
@@ -73,9 +128,41 @@ function() {
             return null;
         }
         return cmd;
+    case "refresh":
+        return cmd;
     case "build":
         var type = this.buildGetType();
         return type !== null ? cmd : null;
+    case "manifest":
+        var action = this.manifestGetAction();
+        if (!action) {
+            return null;
+        } else if (action === "validate" ||
+                   action === "show") {
+            return cmd;
+        } else if (!this.manifestGetField()) {
+            return null;
+        } else if (action === "set" &&
+                   this.manifestGetValue() === null) {
+            return null;
+        }
+        return cmd;
+    case "config":
+        var configAction = this.configGetAction();
+        if (!configAction) {
+            return null;
+        } else if (configAction === "list") {
+            return cmd;
+        } else if (!this.configGetKey()) {
+            return null;
+        } else if (configAction === "set" &&
+                   this.configGetValue() === null) {
+            return null;
+        }
+        return cmd;
+    case "versions":
+        return this.versionsGetChannel() !== null ? cmd : null;
+    case "doctor":
     case "platforms":
     case "help":
     case "version":
@@ -89,7 +176,8 @@ function() {
 
 /**
  * Get primary command.
- * @returns {String} One of "create", "update", "refresh", "build" or null.
+ * @returns {String} One of "create", "update", "refresh", "build", "manifest", "versions", "config",
+ *                   "doctor" or null.
  */
 CommandParser.prototype.peekCommand =
 function() {
@@ -108,7 +196,7 @@ function() {
         return "help";
     }
 
-    if (["create", "update", "refresh", "build", "platforms"].indexOf(command) > -1) {
+    if (["create", "update", "refresh", "build", "manifest", "versions", "config", "doctor", "platforms"].indexOf(command) > -1) {
         return command;
     }
 
@@ -134,7 +222,8 @@ function() {
 
 /**
  * Get version when command is "update".
- * @returns {String} Crosswalk version string when given and valid. Null when not given, false when invalid.
+ * @returns {String} Crosswalk version string when given and valid, the "crosswalk-channel" setting
+ *                   when not given, null when invalid.
  * @see {@link https://crosswalk-project.org/documentation/downloads.html}
  */
 CommandParser.prototype.updateGetVersion =
@@ -145,7 +234,7 @@ function() {
     // So argv[3] is either version or dir.
 
     if (this._argv.length < 4) {
-        return "stable";
+        return _config.get("crosswalk-channel");
     }
 
     var version = this._argv[3];
@@ -193,6 +282,29 @@ function() {
     return Path.resolve(Path.normalize(Path.join(process.cwd(), path)));
 };
 
+/**
+ * Get dir when command is "refresh". Defaults to current dir.
+ * @returns {String} Absolute path to project directory
+ */
+CommandParser.prototype.refreshGetDir =
+function() {
+
+    // argv is filled like this:
+    // node crosswalk-app refresh [dir]
+
+    if (this._argv.length < 4) {
+        // Dir not given.
+        return process.cwd();
+    }
+
+    var path = this._argv[3];
+    if (this.isAbsolute(path)) {
+        return Path.resolve(Path.normalize(path));
+    }
+
+    return Path.resolve(Path.normalize(Path.join(process.cwd(), path)));
+};
+
 /**
  * Get build type when command is "build".
  * @returns {String} One of "debug", "release", or null.
@@ -247,6 +359,128 @@ function() {
     return null;
 };
 
+/**
+ * Get action when command is "manifest".
+ * @returns {String} One of "get", "set", "unset", "validate", "show", or null.
+ */
+CommandParser.prototype.manifestGetAction =
+function() {
+
+    // argv is filled like this:
+    // node crosswalk-app manifest action [field] [value]
+
+    if (this._argv.length < 4) {
+        return null;
+    }
+
+    var action = this._argv[3];
+    if (["get", "set", "unset", "validate", "show"].indexOf(action) > -1) {
+        return action;
+    }
+
+    return null;
+};
+
+/**
+ * Get field name when command is "manifest".
+ * @returns {String} Field name or null if not given.
+ */
+CommandParser.prototype.manifestGetField =
+function() {
+
+    if (this._argv.length < 5) {
+        return null;
+    }
+
+    return this._argv[4];
+};
+
+/**
+ * Get value when command is "manifest set".
+ * @returns {String} Value or null if not given.
+ */
+CommandParser.prototype.manifestGetValue =
+function() {
+
+    if (this._argv.length < 6) {
+        return null;
+    }
+
+    return this._argv[5];
+};
+
+/**
+ * Get release channel when command is "versions".
+ * @returns {String} One of "stable", "beta", "canary", "all", or null if invalid.
+ */
+CommandParser.prototype.versionsGetChannel =
+function() {
+
+    // argv is filled like this:
+    // node crosswalk-app versions [channel]
+
+    if (this._argv.length < 4) {
+        return _config.get("crosswalk-channel");
+    }
+
+    var channel = this._argv[3];
+    if (["stable", "beta", "canary", "all"].indexOf(channel) > -1) {
+        return channel;
+    }
+
+    return null;
+};
+
+/**
+ * Get action when command is "config".
+ * @returns {String} One of "list", "get", "set", or null.
+ */
+CommandParser.prototype.configGetAction =
+function() {
+
+    // argv is filled like this:
+    // node crosswalk-app config action [key] [value]
+
+    if (this._argv.length < 4) {
+        return null;
+    }
+
+    var action = this._argv[3];
+    if (["list", "get", "set"].indexOf(action) > -1) {
+        return action;
+    }
+
+    return null;
+};
+
+/**
+ * Get setting name when command is "config".
+ * @returns {String} Setting name or null if not given.
+ */
+CommandParser.prototype.configGetKey =
+function() {
+
+    if (this._argv.length < 5) {
+        return null;
+    }
+
+    return this._argv[4];
+};
+
+/**
+ * Get value when command is "config set".
+ * @returns {String} Value or null if not given.
+ */
+CommandParser.prototype.configGetValue =
+function() {
+
+    if (this._argv.length < 6) {
+        return null;
+    }
+
+    return this._argv[5];
+};
+
 /**
  * Check whether packageId conforms to the naming scheme.
  * @param {String} packageId Package ID to check
@@ -326,4 +560,21 @@ function(version, output) {
     return true;
 };
 
+/**
+ * Get platform to check when command is "doctor".
+ * @returns {String} Platform name, or null to check all.
+ */
+CommandParser.prototype.doctorGetPlatform =
+function() {
+
+    // argv is filled like this:
+    // node crosswalk-app doctor [platform]
+
+    if (this._argv.length < 4) {
+        return null;
+    }
+
+    return this._argv[3];
+};
+
 module.exports = CommandParser;
@@ -2,22 +2,138 @@
 // Use  of this  source  code is  governed by  an Apache v2
 // license that can be found in the LICENSE-APACHE-V2 file.
 
+var FS = require("fs");
+var OS = require("os");
+var Path = require("path");
+
+var FormatJson = require("format-json");
 var ShellJS = require('shelljs');
 
 /**
- * Construct a {Config} object.
+ * Prefix for environment variables overriding settings, e.g.
+ * CROSSWALK_APP_TOOLS_CACHE_DIR for setting "cache-dir".
+ */
+var ENV_PREFIX = "CROSSWALK_APP_TOOLS_";
+
+/**
+ * Name of per-project settings file in the project root.
+ */
+var PROJECT_FILENAME = "crosswalk.json";
+
+/**
+ * Layers settings are looked up in, lowest priority first.
+ */
+var LAYERS = [ "default", "user", "project", "env", "command-line" ];
+
+/**
+ * Builtin settings with their defaults. Options of platform backends,
+ * like "android-crosswalk", can be set in addition.
+ */
+var _settings = {
+    "crosswalk-channel": {
+        value: "stable",
+        description: "Channel to create or update projects from"
+    },
+    "cache-dir": {
+        value: null,
+        description: "Keep downloaded files in this dir"
+    },
+    "android-targets": {
+        value: "armeabi-v7a,x86",
+        description: "Comma-separated ABIs to build APKs for by default"
+    },
+    "android-min-api-level": {
+        value: 21,
+        description: "Lowest Android API level to build against"
+    },
+    "android-keystore": {
+        value: null,
+        description: "Keystore to sign release APKs with"
+    },
+    "android-keystore-alias": {
+        value: null,
+        description: "Alias of the signing key in the keystore"
+    },
+    "android-keystore-password": {
+        value: null,
+        description: "Password of the keystore",
+        secret: true
+    },
+    "android-key-password": {
+        value: null,
+        description: "Password of the signing key, if not the keystore's",
+        secret: true
+    },
+    "android-runtime-url": {
+        value: null,
+        description: "Where shared mode APKs download the Crosswalk runtime library, instead of the app store"
+    },
+    "pre-create": {
+        value: null,
+        description: "Command to run before creating a platform project"
+    },
+    "post-create": {
+        value: null,
+        description: "Command to run after creating a platform project"
+    },
+    "pre-update": {
+        value: null,
+        description: "Command to run before updating Crosswalk"
+    },
+    "post-update": {
+        value: null,
+        description: "Command to run after updating Crosswalk"
+    },
+    "pre-build": {
+        value: null,
+        description: "Command to run before building packages"
+    },
+    "post-build": {
+        value: null,
+        description: "Command to run after building packages"
+    }
+};
+
+/**
+ * Read JSON settings file.
+ * @param {String} path Path to file
+ * @returns {Object} Settings, empty if the file does not exist.
+ * @throws {SyntaxError} If the file is not valid JSON.
+ */
+function readFile(path) {
+
+    if (!path || !ShellJS.test("-f", path)) {
+        return {};
+    }
+
+    var buffer = FS.readFileSync(path, {"encoding": "utf8"});
+    return JSON.parse(buffer);
+}
+
+/**
+ * Construct a {Config} object. The command-line uses the instance from
+ * {@link Config.getInstance}, API calls each create their own, so
+ * they do not see each other's settings.
  * @constructor
  * @private
  */
 function Config() {
 
-    if (!Config._instance) {
-        Config._instance = this;
-        this._silentConsole = false;
-        ShellJS.config.silent = true;
-    }
+    this._silentConsole = false;
+    ShellJS.config.silent = true;
 
-    return Config._instance;
+    var home = OS.homedir ? OS.homedir() :
+               process.env.HOME ? process.env.HOME :
+               process.env.USERPROFILE;
+    this._userPath = Path.join(home, ".crosswalk-app-tools.json");
+    this._projectPath = null;
+    this._layers = {};
+    LAYERS.forEach(function(layer) {
+        this._layers[layer] = {};
+    }.bind(this));
+    for (var key in _settings) {
+        this._layers["default"][key] = _settings[key].value;
+    }
 }
 
 /**
@@ -40,6 +156,192 @@ function(silent) {
     this._silentConsole = silent;
 };
 
+/**
+ * Path to the user's settings file, ~/.crosswalk-app-tools.json by default.
+ * @member {String} userPath
+ * @instance
+ * @memberOf Config
+ */
+Object.defineProperty(Config.prototype, "userPath", {
+                      get: function() {
+                                return this._userPath;
+                           },
+                      set: function(userPath) {
+                                this._userPath = userPath;
+                           }
+                      });
+
+/**
+ * Path to the project's settings file, or null when not inside a project.
+ * @member {String} projectPath
+ * @instance
+ * @memberOf Config
+ */
+Object.defineProperty(Config.prototype, "projectPath", {
+                      get: function() {
+                                return this._projectPath;
+                           }
+                      });
+
+/**
+ * Names of all settings that have a value in any layer, sorted.
+ * @member {String[]} keys
+ * @instance
+ * @memberOf Config
+ */
+Object.defineProperty(Config.prototype, "keys", {
+                      get: function() {
+                                var keys = [];
+                                // Command-line carries unrelated options, only overrides known keys.
+                                LAYERS.slice(0, -1).forEach(function(layer) {
+                                    Object.keys(this._layers[layer]).forEach(function(key) {
+                                        if (keys.indexOf(key) < 0)
+                                            keys.push(key);
+                                    });
+                                }.bind(this));
+                                return keys.sort();
+                           }
+                      });
+
+/**
+ * Load settings files, environment and command-line, replacing
+ * what was loaded before.
+ * @param {String} [rootPath] Project root dir, settings are read from crosswalk.json there
+ * @param {Object} [args] Command-line options as parsed by Minimist
+ * @throws {SyntaxError} If a settings file is not valid JSON.
+ */
+Config.prototype.load =
+function(rootPath, args) {
+
+    this._projectPath = rootPath ? Path.join(rootPath, PROJECT_FILENAME) : null;
+
+    this._layers.user = readFile(this._userPath);
+    this._layers.project = readFile(this._projectPath);
+
+    this._layers.env = {};
+    for (var name in process.env) {
+        if (name.indexOf(ENV_PREFIX) === 0) {
+            var key = name.substring(ENV_PREFIX.length).toLowerCase().replace(/_/g, "-");
+            this._layers.env[key] = process.env[name];
+        }
+    }
+
+    this._layers["command-line"] = {};
+    for (var arg in args) {
+        if (arg !== "_") {
+            this._layers["command-line"][arg] = args[arg];
+        }
+    }
+};
+
+/**
+ * Look up setting.
+ * @param {String} key Setting name, e.g. "crosswalk-channel" or "android-crosswalk"
+ * @returns {*} Value from the highest layer that has it, or null.
+ */
+Config.prototype.get =
+function(key) {
+
+    var layer = this.getLayer(key);
+    return layer ? this._layers[layer][key] : null;
+};
+
+/**
+ * Find where a setting's value comes from.
+ * @param {String} key Setting name
+ * @returns {String} One of "default", "user", "project", "env", "command-line", or null if unset.
+ */
+Config.prototype.getLayer =
+function(key) {
+
+    for (var i = LAYERS.length - 1; i >= 0; i--) {
+        var value = this._layers[LAYERS[i]][key];
+        if (typeof value !== "undefined" && value !== null) {
+            return LAYERS[i];
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Describe where a setting's value comes from, for display.
+ * @param {String} key Setting name
+ * @returns {String} Layer, with file, env variable or option name where applicable.
+ */
+Config.prototype.describeSource =
+function(key) {
+
+    var layer = this.getLayer(key);
+    switch (layer) {
+    case "user":
+        return layer + " " + this._userPath;
+    case "project":
+        return layer + " " + this._projectPath;
+    case "env":
+        return layer + " " + ENV_PREFIX + key.toUpperCase().replace(/-/g, "_");
+    case "command-line":
+        return layer + " --" + key;
+    default:
+        return layer ? layer : "not set";
+    }
+};
+
+/**
+ * Write setting to the user's or the project's settings file.
+ * @param {String} key Setting name
+ * @param {*} value Value to write, null to remove the setting
+ * @param {String} layer Either "user" or "project"
+ * @throws {Error} If layer is not writable, or no project is loaded.
+ */
+Config.prototype.set =
+function(key, value, layer) {
+
+    var path = layer === "user" ? this._userPath :
+               layer === "project" ? this._projectPath :
+               null;
+    if (!path) {
+        throw new Error("Can not write settings to '" + layer + "'");
+    }
+
+    var json = readFile(path);
+    if (value === null) {
+        delete json[key];
+    } else {
+        json[key] = value;
+    }
+    FS.writeFileSync(path, FormatJson.plain(json));
+
+    this._layers[layer] = json;
+};
+
+/**
+ * Description of a builtin setting.
+ * @param {String} key Setting name
+ * @returns {String} Description, or null if key is not a builtin setting.
+ * @static
+ */
+Config.describe =
+function(key) {
+
+    return _settings[key] ? _settings[key].description : null;
+};
+
+/**
+ * Whether a builtin setting holds a secret like a password, which is
+ * never printed.
+ * @param {String} key Setting name
+ * @returns {Boolean} true if secret, otherwise false.
+ * @static
+ */
+Config.isSecret =
+function(key) {
+
+    return _settings[key] ? _settings[key].secret === true : false;
+};
+
+var _instance = null;
+
 /**
  * Retrieve singleton instance.
  * @function getInstance
@@ -48,7 +350,11 @@ function(silent) {
  */
 function getInstance() {
 
-    return new Config();
+    if (!_instance) {
+        _instance = new Config();
+    }
+
+    return _instance;
 }
 
 module.exports = {
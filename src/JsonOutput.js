@@ -0,0 +1,248 @@
+// Copyright © 2014 Intel Corporation. All rights reserved.
+// Use  of this  source  code is  governed by  an Apache v2
+// license that can be found in the LICENSE-APACHE-V2 file.
+
+var Exceptions = require("./util/exceptions");
+
+var Config = require("./Config");
+
+/**
+ * Creates an output writing one JSON object per line to stdout,
+ * for consumption by build orchestration tools.
+ * Every line carries an "event" property, one of "error", "warning",
+ * "info", "highlight", "output", "progress", "versions", "requirements",
+ * or "result".
+ * @extends OutputIface
+ * @constructor
+ * @param {Config} [config] Settings, defaults to the process-wide ones
+ * @private
+ */
+function JsonOutput(config) {
+
+    this._config = config ? config : Config.getInstance();
+    this._progress = null;
+}
+
+/**
+ * Write event object as a single line.
+ * @param {Object} event Event data, needs an "event" property
+ */
+JsonOutput.prototype.emit =
+function(event) {
+
+    if (!this._config.getSilentConsole()) {
+        process.stdout.write(JSON.stringify(event) + "\n");
+    }
+};
+
+// Implementation of OutputIface.error
+JsonOutput.prototype.error =
+function(message) {
+
+    this.emit({ event: "error", message: message });
+};
+
+// Implementation of OutputIface.warning
+JsonOutput.prototype.warning =
+function(message) {
+
+    this.emit({ event: "warning", message: message });
+};
+
+// Implementation of OutputIface.info
+JsonOutput.prototype.info =
+function(message) {
+
+    this.emit({ event: "info", message: message });
+};
+
+// Implementation of OutputIface.highlight
+JsonOutput.prototype.highlight =
+function(message) {
+
+    this.emit({ event: "highlight", message: message });
+};
+
+// Implementation of OutputIface.write
+JsonOutput.prototype.write =
+function(message) {
+
+    this.emit({ event: "output", text: message });
+};
+
+/**
+ * Emit final result of a command. On failure the "error" property
+ * names the category of the exit status, e.g. "DownloadError",
+ * see {@link exceptions.CrosswalkError}.
+ * @param {String} command Command that was run, e.g. "build"
+ * @param {Number} errno Exit status, 0 on success
+ * @param {Object[]} artifacts Packages created by the command, see {@link Application#artifacts}
+ */
+JsonOutput.prototype.result =
+function(command, errno, artifacts) {
+
+    var event = {
+        event: "result",
+        command: command,
+        status: errno,
+        artifacts: artifacts ? artifacts : []
+    };
+    if (errno) {
+        event.error = Exceptions.fromExitCode(errno, null).name;
+    }
+
+    this.emit(event);
+};
+
+/**
+ * Create progress indicator.
+ * @param {String} [label] Descriptive label
+ * @returns {JsonOutput~JsonFiniteProgress} Progress object.
+ */
+JsonOutput.prototype.createFiniteProgress =
+function(label) {
+
+    if (typeof label === "undefined")
+        label = "";
+
+    this._progress = new JsonFiniteProgress(this, label);
+    return this._progress;
+};
+
+/**
+ * Create progress indicator.
+ * @param {String} [label] Descriptive label
+ * @returns {JsonOutput~JsonInfiniteProgress} Progress object.
+ */
+JsonOutput.prototype.createInfiniteProgress =
+function(label) {
+
+    if (typeof label === "undefined")
+        label = "";
+
+    this._progress = new JsonInfiniteProgress(this, label);
+    return this._progress;
+};
+
+/**
+ * End progress display.
+ * Only to be called from the progress indicator classes.
+ * @private
+ */
+JsonOutput.prototype.endProgress =
+function() {
+
+    this._progress = null;
+};
+
+
+
+/**
+ * Progress indicator emitting "progress" events with a value between 0 and 1.
+ * Only emits when the percentage changes, so downloads do not flood the output.
+ * Same interface as {@link FiniteProgress}.
+ * @constructor
+ * @param {JsonOutput} output Output to emit to
+ * @param {String} label Label text
+ * @inner
+ * @memberOf JsonOutput
+ */
+function JsonFiniteProgress(output, label) {
+
+    this._output = output;
+    this._label = label;
+    this._active = false;
+    this._percentage = -1;
+}
+
+Object.defineProperty(JsonFiniteProgress.prototype, "isActive", {
+                      get: function() {
+                                return this._active;
+                           }
+                      });
+
+JsonFiniteProgress.prototype.update =
+function(progress) {
+
+    this._active = true;
+
+    // Clamp
+    progress = progress < 0 ? 0 :
+               progress > 1 ? 1 :
+               progress;
+
+    var percentage = Math.round(progress * 100);
+    if (percentage !== this._percentage) {
+        this._percentage = percentage;
+        this._output.emit({ event: "progress", label: this._label, progress: percentage / 100 });
+    }
+};
+
+JsonFiniteProgress.prototype.done =
+function(message) {
+
+    this._output.emit({ event: "progress", label: this._label, done: true, message: message ? message : "" });
+    this._output.endProgress();
+    this._active = false;
+};
+
+/**
+ * Progress indicator emitting "progress" events with an activity tag.
+ * Same interface as {@link InfiniteProgress}.
+ * @constructor
+ * @param {JsonOutput} output Output to emit to
+ * @param {String} label Label text
+ * @inner
+ * @memberOf JsonOutput
+ */
+function JsonInfiniteProgress(output, label) {
+
+    this._output = output;
+    this._label = label;
+    this._active = false;
+}
+
+Object.defineProperty(JsonInfiniteProgress.prototype, "isActive", {
+                      get: function() {
+                                return this._active;
+                           }
+                      });
+
+JsonInfiniteProgress.prototype.update =
+function(tag) {
+
+    this._active = true;
+    this._output.emit({ event: "progress", label: this._label, tag: tag });
+};
+
+JsonInfiniteProgress.prototype.done =
+function(message) {
+
+    this._output.emit({ event: "progress", label: this._label, done: true, message: message ? message : "" });
+    this._output.endProgress();
+    this._active = false;
+};
+
+
+
+var _instance = null;
+
+/**
+ * Retrieve singleton instance.
+ * @function getInstance
+ * @returns {JsonOutput} Singleton instance.
+ * @memberOf JsonOutput
+ */
+function getInstance() {
+
+    if (!_instance) {
+        _instance = new JsonOutput();
+    }
+
+    return _instance;
+}
+
+module.exports = {
+    class: JsonOutput,
+    getInstance: getInstance
+};
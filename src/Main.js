@@ -6,22 +6,141 @@ var Path = require("path");
 var FS = require("fs");
 var OS = require("os");
 
+var AdmZip = require("adm-zip");
 var Minimist = require("minimist");
+var MkTemp = require("mktemp");
 var ShellJS = require("shelljs");
 var ChildProcess = require("child_process");
 
 var Application = require("./Application");
 var CommandParser = require("./CommandParser");
+var Config = require("./Config");
+var Exceptions = require("./util/exceptions");
+var JsonOutput = require("./JsonOutput");
+var Manifest = require("./Manifest");
 var PlatformBase = require("./PlatformBase");
 var PlatformsManager = require("./PlatformsManager");
+var TemplateFile = require("./util/TemplateFile");
 var TerminalOutput = require("./TerminalOutput");
 
 var MAIN_EXIT_CODE_OK = 0;
 var MAIN_EXIT_CODE_ERROR = 127;
 
+/**
+ * Milliseconds to wait for more changes before rebuilding in watch mode.
+ */
+var WATCH_DELAY_MS = 500;
+
+/**
+ * Hooks that can be configured, see {@link Main#runHook}.
+ */
+var HOOKS = [
+    "pre-create", "post-create",
+    "pre-update", "post-update",
+    "pre-build", "post-build"
+];
+
+/**
+ * Bytes of output a hook may write before it is aborted.
+ */
+var HOOK_MAX_BUFFER = 16 * 1024 * 1024;
+
+/**
+ * Built-in app templates, by name, relative to the package root.
+ */
+var _templates = {
+    "default": "app-template"
+};
+
+/**
+ * Extensions of template files rendered through Mustache,
+ * everything else is copied verbatim.
+ */
+var TEMPLATE_TEXT_EXTENSIONS = [
+    ".css", ".html", ".htm", ".js", ".json", ".md", ".svg", ".txt", ".xml"
+];
+
+/**
+ * Whether path is a zip file.
+ * @param {String} path Path to check
+ * @returns {Boolean} true if path is a file with .zip extension.
+ */
+function isZip(path) {
+
+    return ShellJS.test("-f", path) &&
+           Path.extname(path).toLowerCase() === ".zip";
+}
+
+/**
+ * Extract zip file into a new tmp dir.
+ * @param {OutputIface} output Output implementation
+ * @param {String} path Path to zip file
+ * @returns {String} Path to tmp dir, or null on failure.
+ */
+function extractZip(output, path) {
+
+    var tmpPath = MkTemp.createDirSync(Path.join(OS.tmpdir(), "crosswalk-app-tools-XXXXXX"));
+    try {
+        new AdmZip(path).extractAllTo(tmpPath, true);
+    } catch (e) {
+        output.error("Failed to extract " + path + ": " + e.message);
+        ShellJS.rm("-rf", tmpPath);
+        return null;
+    }
+
+    return tmpPath;
+}
+
+/**
+ * Zips often have their content in a single toplevel dir.
+ * @param {String} path Path to extracted zip
+ * @returns {String} Path to toplevel dir if there is only one, otherwise path.
+ */
+function zipContentPath(path) {
+
+    var entries = ShellJS.ls(path);
+    if (entries.length === 1 &&
+        ShellJS.test("-d", Path.join(path, entries[0]))) {
+        return Path.join(path, entries[0]);
+    }
+
+    return path;
+}
+
+/**
+ * Recursively copy template dir, rendering text files.
+ * Package metadata of templates from the cache is skipped.
+ * @param {String} srcPath Template dir
+ * @param {String} dstPath Destination dir
+ * @param {Object} data Mustache variables
+ * @throws {Error} If a file could not be rendered.
+ */
+function renderDir(srcPath, dstPath, data) {
+
+    ShellJS.mkdir("-p", dstPath);
+    ShellJS.ls("-A", srcPath).forEach(function(entry) {
+
+        if (entry === "package.json" || entry === "node_modules") {
+            return;
+        }
+
+        var src = Path.join(srcPath, entry);
+        var dst = Path.join(dstPath, entry);
+        if (ShellJS.test("-d", src)) {
+            renderDir(src, dst, data);
+        } else if (TEMPLATE_TEXT_EXTENSIONS.indexOf(Path.extname(entry).toLowerCase()) > -1 &&
+                   FS.statSync(src).size > 0) {
+            new TemplateFile(src).render(data, dst);
+        } else {
+            ShellJS.cp("-f", src, dst);
+        }
+    });
+}
+
 /**
  * Callback signature for toplevel operations.
- * @param {Number} errno 0 on operation completion, otherwise error number
+ * @param {Number} errno 0 on operation completion, otherwise exit status,
+ *                       see {@link exceptions.CrosswalkError}
  * @inner
  * @memberOf Main
  */
@@ -57,58 +176,544 @@ function workingDirectoryIsProject() {
 */
 
 /**
- * Instantiate platform backend
- * @returns {PlatformBase} Platform implementation instance or null on error.
+ * Instantiate platform backends for the target platforms in the manifest.
+ * @param {String} [filter] Comma-separated platform names, e.g. from --platforms,
+ *                          only these are loaded when given
+ * @param {Function} [errorCb] Callback(error) receiving the reason for failure,
+ *                             see {@link Main#loadPlatforms}
+ * @returns {PlatformBase[]} Platform implementation instances or null on error.
  * @private
  * @static
  */
-Main.prototype.instantiatePlatform =
-function() {
+Main.prototype.instantiatePlatforms =
+function(filter, errorCb) {
 
     var output = this.output;
+
+    var platformIds = this.manifest.targetPlatforms;
+    if (typeof filter === "string") {
+        var requested = filter.split(",").map(function(platformId) {
+            return platformId.trim();
+        });
+        for (var i = 0; i < requested.length; i++) {
+            if (platformIds.indexOf(requested[i]) < 0) {
+                output.error("Platform '" + requested[i] + "' is not listed in xwalk_target_platforms");
+                return null;
+            }
+        }
+        // Keep manifest order.
+        platformIds = platformIds.filter(function(platformId) {
+            return requested.indexOf(platformId) > -1;
+        });
+    }
+
+    if (platformIds.length === 0) {
+        output.error("No target platforms to load");
+        return null;
+    }
+
     var errorDetail = null;
+    function loadErrorCb(errormsg) {
+        errorDetail = errormsg;
+    }
 
     var mgr = new PlatformsManager(output);
-    var platformInfo = mgr.load(this.manifest.targetPlatforms,
-                                function(errormsg) {
-                                    errorDetail = errormsg;
-                                });
-    if (platformInfo) {
-        output.info("Loading '" + platformInfo.platformId + "' platform backend");
-    } else {
-        if (errorDetail)
-            output.error(errorDetail);
-        output.error("Failed to load '" + platformInfo.platformId + "' platform backend");
-        return null;
+    var platforms = [];
+    for (var j = 0; j < platformIds.length; j++) {
+
+        errorDetail = null;
+        var platformInfo = mgr.load(platformIds[j], loadErrorCb);
+        if (platformInfo) {
+            output.info("Loading '" + platformInfo.platformId + "' platform backend");
+        } else {
+            if (errorDetail)
+                output.error(errorDetail);
+            output.error("Failed to load '" + platformIds[j] + "' platform backend");
+            return null;
+        }
+
+        var platform = platformInfo.create(this, errorCb);
+        if (!platform) {
+            return null;
+        }
+        platforms.push(platform);
     }
 
-    var platform = platformInfo.create(this);
+    return platforms;
+};
+
+/**
+ * Instantiate platform backends like {@link Main#instantiatePlatforms},
+ * and on failure pass the exit status for the reason to the callback.
+ * @param {String} [filter] Comma-separated platform names, e.g. from --platforms
+ * @param {Main~mainOperationCb} callback Callback function, only called on failure
+ * @returns {PlatformBase[]} Platform implementation instances or null on error.
+ * @private
+ * @static
+ */
+Main.prototype.loadPlatforms =
+function(filter, callback) {
+
+    var error = null;
+    var platforms = this.instantiatePlatforms(filter, function(e) {
+        error = e;
+    });
+    if (!platforms) {
+        callback(Exceptions.exitCodeFor(error));
+    }
+
+    return platforms;
+};
+
+/**
+ * Callback signature for operations run by {@link Main.runPlatforms}.
+ * @param {PlatformBase} platform Platform backend to run the operation on
+ * @param {Object} args Backend-specific arguments for the command
+ * @param {PlatformBase~platformBaseOperationCb} callback Callback function
+ * @inner
+ * @memberOf Main
+ */
+function platformOperation(platform, args, callback) {}
+
+/**
+ * Run an operation on each platform backend, one after another.
+ * Failing platforms do not stop the remaining ones. The operation is
+ * wrapped in the "pre-" and "post-" hooks for the command, see {@link Main#runHook}.
+ * A failing hook aborts the command, remaining platforms are skipped.
+ * @param {PlatformBase[]} platforms Platform backends
+ * @param {String} cmd Command, used to collect backend-specific args
+ * @param {String} configId Build configuration passed to hooks, or null
+ * @param {Object} extraArgs Unparsed extra arguments passed by command-line
+ * @param {Main~platformOperation} operation Operation to run
+ * @param {Main~mainOperationCb} callback Callback function
+ * @private
+ * @static
+ */
+Main.prototype.runPlatforms =
+function(platforms, cmd, configId, extraArgs, operation, callback) {
+
+    var output = this.output;
+    var dryRun = this.dryRun;
+    var results = [];
+    var queue = platforms.slice();
+    var aborted = false;
+
+    var next = function() {
+
+        var platform = aborted ? null : queue.shift();
+        if (!platform) {
+            if (queue.length > 0) {
+                output.error("Hook failed, skipping remaining platforms");
+                queue.forEach(function(skipped) {
+                    results.push({
+                        platformId: skipped.platformId,
+                        skipped: true
+                    });
+                });
+            }
+            this.summarizePlatforms(results, cmd);
+            // Exit status of the first failure.
+            var failed = results.filter(function(result) { return result.errormsg; });
+            callback(failed.length > 0 ?
+                        Exceptions.exitCodeFor(failed[0].errormsg) :
+                        MAIN_EXIT_CODE_OK);
+            return;
+        }
+
+        // Collect args for this command
+        var args = {};
+        var argSpec = platform.argSpec;
+        if (argSpec && argSpec[cmd]) {
+            args = this.collectArgs(platform.platformId, extraArgs, argSpec[cmd]);
+        }
+
+        if (platforms.length > 1) {
+            output.highlight("Platform '" + platform.platformId + "'");
+        }
+
+        var done = function(errormsg) {
+
+            // Planned changes of this platform, in dry-run mode.
+            dryRun.flush(output);
+
+            if (errormsg) {
+                output.error(Exceptions.messageFor(errormsg));
+            }
+            results.push({
+                platformId: platform.platformId,
+                errormsg: errormsg
+            });
+            next();
+        };
+
+        var hookDone = function(errormsg) {
+
+            aborted = errormsg ? true : false;
+            done(errormsg);
+        };
+
+        this.runHook("pre-" + cmd, platform, configId, function(errormsg) {
 
-    return platform;
+            if (errormsg) {
+                hookDone(errormsg);
+                return;
+            }
+
+            operation(platform, args, function(errormsg) {
+
+                if (errormsg) {
+                    done(errormsg);
+                    return;
+                }
+
+                this.runHook("post-" + cmd, platform, configId, hookDone);
+            }.bind(this));
+        }.bind(this));
+    }.bind(this);
+
+    next();
 };
 
 /**
- * Collect arguments
+ * Run hook command given in the settings, or in the "xwalk_hooks" field
+ * of manifest.json. Settings take precedence. The hook's output goes
+ * to the platform's log file.
+ *
+ * The command runs in the project root, with the environment variables
+ * CROSSWALK_HOOK, CROSSWALK_PACKAGE_ID, CROSSWALK_ROOT_PATH, CROSSWALK_APP_PATH,
+ * CROSSWALK_PKG_PATH, CROSSWALK_PLATFORM, CROSSWALK_PLATFORM_PATH,
+ * CROSSWALK_CONFIG and CROSSWALK_ARTIFACTS, the paths of packages built
+ * for the platform so far, separated like in PATH.
+ * @param {String} name Hook name, e.g. "pre-build"
+ * @param {PlatformBase} platform Platform backend the hook runs for
+ * @param {String} configId Build configuration, or null
+ * @param {PlatformBase~platformBaseOperationCb} callback Callback function
+ * @private
+ * @static
+ */
+Main.prototype.runHook =
+function(name, platform, configId, callback) {
+
+    var output = this.output;
+
+    if (HOOKS.indexOf(name) < 0) {
+        callback(null);
+        return;
+    }
+
+    var command = this.config.get(name);
+    if (!command) {
+        command = this.manifest.hooks[name];
+    }
+    if (!command) {
+        callback(null);
+        return;
+    }
+
+    var artifacts = this.artifacts.filter(function(artifact) {
+        return artifact.platform === platform.platformId;
+    }).map(function(artifact) {
+        return artifact.path;
+    });
+
+    var env = {};
+    for (var key in process.env) {
+        env[key] = process.env[key];
+    }
+    env.CROSSWALK_HOOK = name;
+    env.CROSSWALK_PACKAGE_ID = this.manifest.packageId;
+    env.CROSSWALK_ROOT_PATH = this.rootPath;
+    env.CROSSWALK_APP_PATH = this.appPath;
+    env.CROSSWALK_PKG_PATH = this.pkgPath;
+    env.CROSSWALK_PLATFORM = platform.platformId;
+    env.CROSSWALK_PLATFORM_PATH = platform.platformPath;
+    env.CROSSWALK_CONFIG = configId ? configId : "";
+    env.CROSSWALK_ARTIFACTS = artifacts.join(Path.delimiter);
+
+    if (this.dryRun.skip(output, "run '" + name + "' hook: " + command)) {
+        callback(null);
+        return;
+    }
+
+    output.info("Running '" + name + "' hook: " + command);
+    platform.logOutput.write("Running '" + name + "' hook: " + command + "\n");
+
+    var options = {
+        cwd: this.rootPath,
+        env: env,
+        maxBuffer: HOOK_MAX_BUFFER
+    };
+    ChildProcess.exec(command, options, function(error, stdout, stderr) {
+
+        platform.logOutput.write(stdout);
+        platform.logOutput.write(stderr);
+
+        if (error) {
+            callback("Hook '" + name + "' failed" +
+                     (typeof error.code === "number" ? " with exit code " + error.code : "") +
+                     ", see " + Path.join(this.logPath, platform.platformId + ".log"));
+            return;
+        }
+
+        callback(null);
+    }.bind(this));
+};
+
+/**
+ * Print per-platform results of an operation.
+ * @param {Object[]} results Objects with properties platformId, errormsg and skipped
+ * @param {String} cmd Command the results are for
+ * @private
+ * @static
+ */
+Main.prototype.summarizePlatforms =
+function(results, cmd) {
+
+    var output = this.output;
+
+    var failed = results.some(function(result) { return result.errormsg; });
+    if (failed) {
+        output.info("Logfiles at " + this.logPath);
+    }
+
+    // Nothing to summarize for one platform, messages are right above.
+    if (results.length < 2) {
+        return;
+    }
+
+    output.highlight("  * Summary for '" + cmd + "':");
+    results.forEach(function(result) {
+
+        var line = "    + " + result.platformId + ": ";
+        if (result.errormsg) {
+            line += "failed";
+        } else if (result.skipped) {
+            line += "skipped";
+        } else if (cmd === "build") {
+            var nPackages = this.artifacts.filter(function(artifact) {
+                return artifact.platform === result.platformId;
+            }).length;
+            line += "ok, " + nPackages + " package(s)";
+        } else {
+            line += "ok";
+        }
+        output.highlight(line);
+    }.bind(this));
+};
+
+/**
+ * Collect arguments. Those not given on the command-line are looked up
+ * in the settings, so e.g. "android-crosswalk" can be set in crosswalk.json.
  */
 Main.prototype.collectArgs =
 function(platformId, allArgs, argsSpec) {
 
+    var config = this.config;
+
     // Collect backend-specific args
     var args = {};
     for (var key in argsSpec) {
         // Strip dash prefix before matching, Minimist strips them also.
         var key_ = key.substring("--".length);
-        if (allArgs && allArgs[key_]) {
+        var value = allArgs && allArgs[key_] ?
+                        allArgs[key_] :
+                        config.get(key_);
+        if (value) {
             // Also strip platform prefix before collecting the arg.
             var argPrefix = platformId + "-";
             var argName = key_.substring(argPrefix.length);
-            args[argName] = allArgs[key_];
+            args[argName] = value;
         }
     }
 
     return args;
 };
 
+/**
+ * Copy web app content into the project's app dir. A manifest.json
+ * that comes with the content is merged with the generated one.
+ * @param {String} srcPath Directory to copy content from
+ * @param {Object} [data] Variables to render text files with, null to copy verbatim
+ * @returns {Boolean} true on success, otherwise false.
+ * @private
+ * @static
+ */
+Main.prototype.copyAppContent =
+function(srcPath, data) {
+
+    var output = this.output;
+
+    // Keep generated manifest to merge with the copied one.
+    // Icons and start page of the default template do not apply to other content.
+    var manifestPath = Path.join(this.appPath, "manifest.json");
+    var generated = JSON.parse(FS.readFileSync(manifestPath, {"encoding": "utf8"}));
+    delete generated.icons;
+    delete generated.start_url;
+
+    if (data) {
+        try {
+            renderDir(srcPath, this.appPath, data);
+        } catch (e) {
+            output.error("Failed to render template: " + e.message);
+            return false;
+        }
+    } else {
+        ShellJS.cp("-rf", Path.join(srcPath, "*"), this.appPath);
+    }
+
+    if (!Manifest.merge(output, manifestPath, generated)) {
+        return false;
+    }
+
+    // Reload, the manifest has changed underneath.
+    try {
+        this._manifest = new Manifest(output, manifestPath);
+    } catch (e) {
+        output.error(e.message);
+        return false;
+    }
+
+    return true;
+};
+
+/**
+ * Import existing web app into the project's app dir.
+ * A manifest.json that comes with the app is merged with the generated one.
+ * @param {String} fromPath Web app directory or zip file
+ * @returns {Boolean} true on success, otherwise false.
+ * @private
+ * @static
+ */
+Main.prototype.importApp =
+function(fromPath) {
+
+    var output = this.output;
+
+    var srcPath = Path.resolve(fromPath);
+    var tmpPath = null;
+    if (isZip(srcPath)) {
+        tmpPath = extractZip(output, srcPath);
+        if (!tmpPath) {
+            return false;
+        }
+        srcPath = zipContentPath(tmpPath);
+    } else if (!ShellJS.test("-d", srcPath)) {
+        output.error("Web app to import not found: " + srcPath);
+        return false;
+    }
+
+    output.info("Importing web app from " + fromPath);
+    var ret = this.copyAppContent(srcPath, null);
+    if (tmpPath) {
+        ShellJS.rm("-rf", tmpPath);
+    }
+    if (!ret) {
+        return false;
+    }
+
+    // Check the app is complete.
+    var startUrl = this.manifest.startUrl;
+    if (!startUrl) {
+        output.warning("Missing field 'start_url' in manifest.json");
+    } else if (!ShellJS.test("-f", Path.join(this.appPath, startUrl.split(/[?#]/)[0]))) {
+        output.warning("File for start_url '" + startUrl + "' not found");
+    }
+    var icons = this.manifest.icons;
+    if (icons.length === 0) {
+        output.warning("No icons in manifest.json");
+    }
+    for (var i = 0; i < icons.length; i++) {
+        var src = icons[i] ? icons[i].src : null;
+        if (typeof src !== "string") {
+            output.warning("Icon without 'src' in manifest.json");
+        } else if (!ShellJS.test("-f", Path.join(this.appPath, src))) {
+            output.warning("Icon file '" + src + "' not found");
+        }
+    }
+
+    return true;
+};
+
+/**
+ * Find app template.
+ * @param {String} template Name of built-in template or package in the cache dir, or path to template dir or zip
+ * @returns {String} Path to template dir or zip, or null if not found.
+ * @private
+ * @static
+ */
+Main.prototype.findTemplate =
+function(template) {
+
+    // Built-in
+    if (_templates[template]) {
+        return Path.normalize(Path.join(__dirname, "..", _templates[template]));
+    }
+
+    // Local dir or zip
+    var path = Path.resolve(template);
+    if (ShellJS.test("-d", path) || isZip(path)) {
+        return path;
+    }
+
+    // Package installed into the cache dir by "npm install --prefix <cache-dir>",
+    // with content in a "template" subdir, or at toplevel.
+    var cacheDir = this.config.get("cache-dir");
+    if (cacheDir && template.indexOf("/") < 0 && template.indexOf("\\") < 0) {
+        path = Path.join(cacheDir, "node_modules", template);
+        if (ShellJS.test("-f", Path.join(path, "package.json"))) {
+            return ShellJS.test("-d", Path.join(path, "template")) ?
+                    Path.join(path, "template") :
+                    path;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Render app template into the project's app dir.
+ * Text files are rendered with the variables packageId, name and version.
+ * @param {String} template Template name, dir or zip, see {@link Main#findTemplate}
+ * @returns {Boolean} true on success, otherwise false.
+ * @private
+ * @static
+ */
+Main.prototype.applyTemplate =
+function(template) {
+
+    var output = this.output;
+
+    var templatePath = this.findTemplate(template);
+    if (!templatePath) {
+        output.error("Could not find app template '" + template + "'");
+        return false;
+    }
+
+    var srcPath = templatePath;
+    var tmpPath = null;
+    if (isZip(templatePath)) {
+        tmpPath = extractZip(output, templatePath);
+        if (!tmpPath) {
+            return false;
+        }
+        srcPath = zipContentPath(tmpPath);
+    }
+
+    var data = {
+        packageId: this.manifest.packageId,
+        name: this.manifest.name,
+        version: this.manifest.appVersion
+    };
+
+    output.info("Copying app template from " + templatePath);
+    var ret = this.copyAppContent(srcPath, data);
+    if (tmpPath) {
+        ShellJS.rm("-rf", tmpPath);
+    }
+
+    return ret;
+};
+
 /**
  * Create skeleton project.
  * @param {String} packageId Package ID
@@ -121,6 +726,21 @@ function(packageId, extraArgs, callback) {
 
     var output = this.output;
 
+    if (extraArgs.from) {
+        // Import existing web app
+        if (!this.importApp(extraArgs.from)) {
+            callback(MAIN_EXIT_CODE_ERROR);
+            return;
+        }
+    } else {
+        // Render app template, sample web app by default
+        var template = extraArgs.template ? extraArgs.template : "default";
+        if (!this.applyTemplate(template)) {
+            callback(MAIN_EXIT_CODE_ERROR);
+            return;
+        }
+    }
+
     // Handle "platform" arg to set default platform
     // for new project.
     var platform = extraArgs.platforms;
@@ -134,233 +754,879 @@ function(packageId, extraArgs, callback) {
         }
     }
 
-    // Copy sample web app content
-    var templatePath = Path.normalize(Path.join(__dirname, "..", "app-template"));
-    if (!ShellJS.test("-d", templatePath)) {
-        output.error("Could not find app template in " + templatePath);
-        callback(MAIN_EXIT_CODE_ERROR);
+    var platforms = this.loadPlatforms(null, callback);
+    if (!platforms) {
         return;
     }
-    output.info("Copying app template from " + templatePath);
-    ShellJS.cp("-r", Path.join(templatePath, "*"), this.appPath);
 
-    var project = this.instantiatePlatform();
-    if (!project) {
-        callback(MAIN_EXIT_CODE_ERROR);
+    this.runPlatforms(platforms, "create", null, extraArgs,
+                      function(platform, args, callback) {
+
+        platform.create(packageId, args, callback);
+    }, callback);
+};
+
+/**
+ * Update crosswalk in the application package.
+ * @param {String} version Version to update to, or null for latest stable version
+ * @param {Object} extraArgs Unparsed extra arguments passed by command-line
+ * @param {Main~mainOperationCb} callback Callback function
+ * @static
+ */
+Main.prototype.update =
+function(version, extraArgs, callback) {
+
+    var platforms = this.loadPlatforms(extraArgs.platforms, callback);
+    if (!platforms) {
+        return;
+    }
+
+    this.runPlatforms(platforms, "update", null, extraArgs,
+                      function(platform, args, callback) {
+
+        platform.update(version, args, callback);
+    }, callback);
+};
+
+/**
+ * Regenerate platform project from manifest and templates.
+ * @param {Object} extraArgs Unparsed extra arguments passed by command-line
+ * @param {Main~mainOperationCb} callback Callback function
+ * @static
+ */
+Main.prototype.refresh =
+function(extraArgs, callback) {
+
+    var output = this.output;
+
+    // Backends write manifest fields into the project, like for build.
+    if (!Manifest.validate(output, Path.join(this.appPath, "manifest.json"),
+                           this.config.get("strict") === true)) {
+        output.error("Invalid manifest.json, not refreshing");
+        callback(Exceptions.InvalidManifestError.prototype.exitCode);
+        return;
+    }
+
+    var platforms = this.loadPlatforms(extraArgs.platforms, callback);
+    if (!platforms) {
+        return;
+    }
+
+    this.runPlatforms(platforms, "refresh", null, extraArgs,
+                      function(platform, args, callback) {
+
+        platform.refresh(callback);
+    }, callback);
+};
+
+/**
+ * Check if webp convert tool exists. 
+ * @static
+ */
+Main.prototype.checkWebp =
+function() {
+
+    var platform = OS.platform();
+
+    if (platform == "windows")
+        cwebpName = "cwebp.exe";
+    else
+        cwebpName = "cwebp";
+
+    var webpPath = Path.join(__dirname, "cwebp");
+    if (ShellJS.test("-e", webpPath))
+        return true;
+
+    this.output.write("Please download webp convert tool from: http://downloads.webmproject.org/releases/webp\n");
+    return false;
+};
+
+/**
+ * Convert png/jpeg images to webp. 
+ * @param {String} path Images under this path will be converted
+ * @static
+ */
+Main.prototype.convertWebP =
+function(path, args) {
+    argsList = args.split(/[ ,]+/);
+    jpegQuality = argsList[0];
+    pngQuality = argsList[1];
+    pngAlphaQuality = argsList[2];
+
+    var walk = function(dir) {
+        var results = [];
+        var list = FS.readdirSync(dir);
+        list.forEach(function(file) {
+            file = dir + "/" + file;
+            var stat = FS.statSync(file);
+            if (stat && stat.isDirectory())
+                results = results.concat(walk(file));
+            else
+                results.push(file);
+        });
+        return results;
+    };
+
+    var fileList = walk(path);
+    var webpPath = Path.join(__dirname, "cwebp");
+    for (var i in fileList) {
+        if (FS.lstatSync(fileList[i]).isFile()) {
+            var filePath = fileList[i];
+            var tmpFilePath = filePath + ".webp";
+            var ext = Path.extname(filePath);
+            if (".jpeg" == ext || ".jpg" == ext) {
+                ChildProcess.execSync(webpPath +
+                                      " " + filePath +
+                                      " -q " + jpegQuality +
+                                      " -o " + tmpFilePath,
+                                      {stdio:[]});
+                ShellJS.mv("-f", tmpFilePath, filePath);
+            } else if (".png" == ext) {
+                ChildProcess.execSync(webpPath +
+                                      " " + filePath +
+                                      " -q " + pngQuality +
+                                      " -alpha_q " + pngAlphaQuality + 
+                                      " -o " + tmpFilePath,
+                                      {stdio:[]});
+                ShellJS.mv("-f", tmpFilePath, filePath);
+            }
+        }
+    }
+  
+};
+
+/**
+ * Build application package.
+ * @param {String} configId Build "debug" or "release" configuration
+ * @param {Object} extraArgs Unparsed extra arguments passed by command-line
+ * @param {Main~mainOperationCb} callback Callback function
+ * @static
+ */
+Main.prototype.build =
+function(configId, args, callback) {
+
+    this.buildPlatforms(configId, args, false, callback);
+};
+
+/**
+ * Build application package on all platforms.
+ * @param {String} configId Build "debug" or "release" configuration
+ * @param {Object} extraArgs Unparsed extra arguments passed by command-line
+ * @param {Boolean} repackage Only app content changed, see {@link PlatformBase#repackage}
+ * @param {Main~mainOperationCb} callback Callback function
+ * @private
+ * @static
+ */
+Main.prototype.buildPlatforms =
+function(configId, args, repackage, callback) {
+
+    var output = this.output;
+    var dryRun = this.dryRun;
+
+    // Check we're inside a project
+    /* TODO move this inside the AndroidProject
+    if (!workingDirectoryIsProject()) {
+        output.error("This does not appear to be a Crosswalk project.");
+        callback(false);
+        return;
+    }
+    */
+
+    // Refuse to build from a broken manifest, with --strict also on warnings.
+    if (!Manifest.validate(output, Path.join(this.appPath, "manifest.json"),
+                           this.config.get("strict") === true)) {
+        output.error("Invalid manifest.json, not building");
+        callback(Exceptions.InvalidManifestError.prototype.exitCode);
+        return;
+    }
+
+    var platforms = this.loadPlatforms(args.platforms, callback);
+    if (!platforms) {
+        return;
+    }
+
+    this.runPlatforms(platforms, "build", configId, args,
+                      function(project, buildArgs, callback) {
+
+        if (args.force) {
+            buildArgs.force = true;
+        }
+
+        // The backend sees manifest fields with the overrides
+        // for its platform and this configuration applied.
+        var platformBuild = repackage ? project.repackage : project.build;
+        var build = function(configId, buildArgs, callback) {
+
+            // Overrides may bring in invalid values.
+            var manifest = this._manifest;
+            try {
+                this._manifest = new Manifest(output, Path.join(this.appPath, "manifest.json"),
+                                              project.platformId, configId);
+            } catch (e) {
+                callback(e);
+                return;
+            }
+            platformBuild.call(project, configId, buildArgs, function(errormsg) {
+
+                this._manifest = manifest;
+                callback(errormsg);
+            }.bind(this));
+        }.bind(this);
+
+        if (project.platformId !== "android") {
+            build(configId, buildArgs, callback);
+            return;
+        }
+
+        var appPath = Path.join(Path.dirname(Path.dirname(project.platformPath)), "app");
+        var wwwPath = Path.join(Path.join(project.platformPath, "assets"), "www");
+
+        if (dryRun.isEnabled()) {
+            if (args["android-webp"]) {
+                dryRun.skip(output, "copy " + appPath + " to " + wwwPath + " and convert images to webp");
+            }
+            build(configId, buildArgs, callback);
+            return;
+        }
+
+        if (args["android-webp"]) {
+            if (ShellJS.test("-e", wwwPath)) {
+                if (ShellJS.test("-L", wwwPath)) {
+                    ShellJS.rm("-f", wwwPath);
+                } else {
+                    ShellJS.rm("-r", wwwPath);
+                }
+            }
+            ShellJS.mkdir("-p", wwwPath);
+            ShellJS.cp("-R", appPath+"/*", wwwPath);
+            if (this.checkWebp()) {
+                this.convertWebP(wwwPath, args["android-webp"]);
+                build(configId, buildArgs, callback);
+            } else {
+                callback("Webp convert tool not found");
+            }
+
+        } else {
+            if (ShellJS.test("-e", wwwPath)) {
+                if (!ShellJS.test("-L", wwwPath)) {
+                    ShellJS.rm("-r", wwwPath);
+                    ShellJS.ln("-s", appPath, wwwPath);
+                } 
+            }
+            build(configId, buildArgs, callback);
+        }
+    }.bind(this), callback);
+};
+
+/**
+ * Watch the app dir, and rebuild when its content changes. Changes to
+ * manifest.json re-apply the manifest, other changes just repackage.
+ * Failed builds are reported, and watching continues until {@link Main#unwatch}.
+ * @param {String} configId Build "debug" or "release" configuration
+ * @param {Object} extraArgs Unparsed extra arguments passed by command-line
+ * @param {Main~mainOperationCb} callback Callback function, called when watching stops
+ * @static
+ */
+Main.prototype.watch =
+function(configId, args, callback) {
+
+    var output = this.output;
+    var manifestPath = Path.join(this.appPath, "manifest.json");
+
+    var state = {
+        watchers: [],
+        timer: null,
+        building: false,
+        // Changes not built yet, null, "content" or "manifest".
+        pending: null,
+        callback: callback
+    };
+    this._watchState = state;
+
+    var schedule = function(change) {
+
+        if (change === "manifest" || !state.pending) {
+            state.pending = change;
+        }
+        if (state.timer) {
+            clearTimeout(state.timer);
+        }
+        state.timer = setTimeout(cycle, WATCH_DELAY_MS);
+    };
+
+    // Watch app dir and its subdirs, FS.watch() is not recursive everywhere.
+    var watchDir = function(dir) {
+
+        try {
+            var watcher = FS.watch(dir, function(event, filename) {
+
+                // Editor swap and backup files.
+                if (!filename || filename[0] === "." || filename.slice(-1) === "~") {
+                    return;
+                }
+                schedule(Path.join(dir, filename) === manifestPath ? "manifest" : "content");
+            });
+            watcher.on("error", function() {});
+            state.watchers.push(watcher);
+        } catch (e) {
+            // Dir vanished meanwhile.
+            return;
+        }
+
+        ShellJS.ls(dir).forEach(function(entry) {
+            var path = Path.join(dir, entry);
+            if (ShellJS.test("-d", path)) {
+                watchDir(path);
+            }
+        });
+    };
+
+    var closeWatchers = function() {
+
+        state.watchers.forEach(function(watcher) {
+            watcher.close();
+        });
+        state.watchers = [];
+    };
+
+    var cycle = function() {
+
+        state.timer = null;
+        if (state.building) {
+            // Picked up when the running build is done.
+            return;
+        }
+
+        var change = state.pending;
+        state.pending = null;
+        state.building = true;
+
+        // Only report this cycle's packages.
+        this._artifacts = [];
+
+        var repackage = change === "content";
+        if (change === "manifest") {
+            output.info("Manifest changed, rebuilding");
+            try {
+                this._manifest = new Manifest(output, manifestPath);
+            } catch (e) {
+                output.error("Failed to load " + manifestPath + ": " + e.message);
+                done(MAIN_EXIT_CODE_ERROR);
+                return;
+            }
+        } else if (change === "content") {
+            output.info("App content changed, repackaging");
+        }
+
+        this.buildPlatforms(configId, args, repackage, done);
+    }.bind(this);
+
+    var done = function(errno) {
+
+        state.building = false;
+        if (this._watchState !== state) {
+            // Stopped while building.
+            return;
+        }
+
+        if (errno) {
+            output.error("Build failed, watching " + this.appPath + " for changes");
+        } else {
+            output.highlight("Build done, watching " + this.appPath + " for changes");
+        }
+
+        // Pick up dirs added meanwhile.
+        closeWatchers();
+        watchDir(this.appPath);
+
+        if (state.pending) {
+            schedule(state.pending);
+        }
+    }.bind(this);
+
+    state.close = closeWatchers;
+
+    // Start with a full build.
+    output.info("Watching " + this.appPath + " for changes, press Ctrl-C to stop");
+    watchDir(this.appPath);
+    state.building = true;
+    this.buildPlatforms(configId, args, false, done);
+};
+
+/**
+ * Stop watching started by {@link Main#watch}.
+ * @static
+ */
+Main.prototype.unwatch =
+function() {
+
+    var state = this._watchState;
+    if (!state) {
         return;
     }
 
-    // Collect args for this command
-    var createArgs = {};
-    var argSpec = project.argSpec;
-    if (argSpec && argSpec.create) {
-        createArgs = this.collectArgs(project.platformId, extraArgs, argSpec.create);
+    this._watchState = null;
+    if (state.timer) {
+        clearTimeout(state.timer);
     }
-
-    project.create(packageId, createArgs, function(errormsg) {
-
-        if (errormsg) {
-            output.error(errormsg);
-            output.info("Logfiles at " + this.logPath);
-            callback(MAIN_EXIT_CODE_ERROR);
-            return;
-        } else {
-            callback(MAIN_EXIT_CODE_OK);
-            return;
-        }
-    }.bind(this));
+    state.close();
+    state.callback(MAIN_EXIT_CODE_OK);
 };
 
 /**
- * Update crosswalk in the application package.
- * @param {String} version Version to update to, or null for latest stable version
- * @param {Object} extraArgs Unparsed extra arguments passed by command-line
+ * Read, write or validate manifest.json fields.
+ * @param {String} path Path to manifest.json
+ * @param {String} action One of "get", "set", "unset", "validate", "show"
+ * @param {String} field Manifest field name, not needed for "validate",
+ *                       platform to apply overrides for with "show"
+ * @param {String} value Value as given on the command-line, only needed for "set"
+ * @param {OutputIface} output Output to write to
  * @param {Main~mainOperationCb} callback Callback function
  * @static
  */
-Main.prototype.update =
-function(version, extraArgs, callback) {
+Main.prototype.manageManifest =
+function(path, action, field, value, output, callback) {
 
-    var output = this.output;
+    if (!ShellJS.test("-f", path)) {
+        output.error("This does not appear to be a Crosswalk project, " + path + " not found");
+        callback(Exceptions.InvalidProjectError.prototype.exitCode);
+        return;
+    }
 
-    var project = this.instantiatePlatform();
-    if (!project) {
-        callback(MAIN_EXIT_CODE_ERROR);
+    if (action === "show") {
+        // Field and value are platform and configuration here,
+        // a configuration may also be given alone.
+        if (!value && (field === "debug" || field === "release")) {
+            value = field;
+            field = null;
+        }
+        var json = null;
+        try {
+            json = JSON.parse(FS.readFileSync(path, {"encoding": "utf8"}));
+        } catch (e) {
+            output.error("Failed to load '" + path + "': " + e.message);
+            callback(Exceptions.InvalidManifestError.prototype.exitCode);
+            return;
+        }
+        output.write(JSON.stringify(Manifest.applyOverrides(json, field, value), null, 4) + "\n");
+        callback(MAIN_EXIT_CODE_OK);
         return;
     }
 
-    // Collect args for this command
-    var updateArgs = {};
-    var argSpec = project.argSpec;
-    if (argSpec && argSpec.update) {
-        updateArgs = this.collectArgs(project.platformId, extraArgs, argSpec.update);
+    if (action === "validate") {
+        if (Manifest.validate(output, path, this.config.get("strict") === true)) {
+            output.info("Manifest " + path + " is valid");
+            callback(MAIN_EXIT_CODE_OK);
+        } else {
+            callback(Exceptions.InvalidManifestError.prototype.exitCode);
+        }
+        return;
     }
 
-    project.update(version, updateArgs, function(errormsg) {
+    var manifest = null;
+    try {
+        manifest = new Manifest(output, path);
+    } catch (e) {
+        output.error(e.message);
+        callback(Exceptions.InvalidManifestError.prototype.exitCode);
+        return;
+    }
 
-        if (errormsg) {
-            output.error(errormsg);
-            output.info("Logfiles at " + this.logPath);
+    try {
+        switch (action) {
+        case "get":
+            var current = manifest.getField(field);
+            if (typeof current === "undefined") {
+                output.error("Field '" + field + "' not set in manifest.json");
+                callback(Exceptions.InvalidManifestError.prototype.exitCode);
+                return;
+            }
+            output.write((typeof current === "string" ?
+                            current :
+                            JSON.stringify(current)) + "\n");
+            break;
+        case "set":
+            manifest.setField(field, Manifest.parseFieldValue(field, value));
+            break;
+        case "unset":
+            manifest.unsetField(field);
+            break;
+        default:
+            output.error("Unhandled manifest action " + action);
             callback(MAIN_EXIT_CODE_ERROR);
             return;
-        } else {
-            callback(MAIN_EXIT_CODE_OK);
-            return;
         }
-    }.bind(this));
+    } catch (e) {
+        // Setters already logged the error, but parsing values does not.
+        if (e instanceof SyntaxError) {
+            output.error(e.message);
+        }
+        callback(Exceptions.InvalidManifestError.prototype.exitCode);
+        return;
+    }
+
+    callback(MAIN_EXIT_CODE_OK);
 };
 
 /**
- * Check if webp convert tool exists. 
+ * List Crosswalk versions available to the backends.
+ * Versions already downloaded and the one a project uses are marked.
+ * @param {String} rootPath Project dir to look up the current version in
+ * @param {String} channel One of "stable", "beta", "canary", "all"
+ * @param {OutputIface} output Output to write to
+ * @param {Main~mainOperationCb} callback Callback function
  * @static
  */
-Main.prototype.checkWebp =
-function() {
+Main.prototype.listVersions =
+function(rootPath, channel, output, callback) {
 
-    var platform = OS.platform();
+    var config = this.config;
+    var channels = channel === "all" ?
+                    [ "stable", "beta", "canary" ] :
+                    [ channel ];
 
-    if (platform == "windows")
-        cwebpName = "cwebp.exe";
-    else
-        cwebpName = "cwebp";
+    // One query per backend and channel.
+    var queries = [];
+    var mgr = new PlatformsManager(output);
+    mgr.loadAll().forEach(function(platformInfo) {
+        channels.forEach(function(channel) {
+            queries.push({ platformInfo: platformInfo, channel: channel });
+        });
+    });
+
+    var listed = false;
+    // Exit status of the first failure.
+    var errno = MAIN_EXIT_CODE_OK;
+    function next() {
+
+        var query = queries.shift();
+        if (!query) {
+            if (!listed && errno === MAIN_EXIT_CODE_OK) {
+                output.error("No platform backend provides Crosswalk versions");
+                errno = Exceptions.ToolNotFoundError.prototype.exitCode;
+            }
+            callback(errno);
+            return;
+        }
 
-    var webpPath = Path.join(__dirname, "cwebp");
-    if (ShellJS.test("-e", webpPath))
-        return true;
+        var platformId = query.platformInfo.platformId;
+        query.platformInfo.fetchVersions(config, output, query.channel,
+                                         function(versions, errormsg) {
 
-    this.output.write("Please download webp convert tool from: http://downloads.webmproject.org/releases/webp\n");
-    return false;
-}
+            if (errormsg) {
+                output.error(Exceptions.messageFor(errormsg));
+                if (errno === MAIN_EXIT_CODE_OK) {
+                    // Plain messages are from querying the download site.
+                    errno = errormsg instanceof Exceptions.CrosswalkError ?
+                                Exceptions.exitCodeFor(errormsg) :
+                                Exceptions.DownloadError.prototype.exitCode;
+                }
+                next();
+                return;
+            } else if (!versions) {
+                // Backend can not list versions.
+                next();
+                return;
+            }
+
+            listed = true;
+            var current = rootPath ?
+                            PlatformBase.readVersion(Path.join(rootPath, "prj", platformId)) :
+                            null;
+            versions.forEach(function(info) {
+                info.current = info.version === current;
+            });
+
+            if (output instanceof JsonOutput.class) {
+                output.emit({
+                    event: "versions",
+                    platform: platformId,
+                    channel: query.channel,
+                    versions: versions
+                });
+            } else {
+                output.highlight("  * " + platformId + " '" + query.channel + "'");
+                versions.forEach(function(info) {
+                    var marks = [];
+                    if (info.current)
+                        marks.push("current");
+                    if (info.cached)
+                        marks.push("cached");
+                    output.write("    + " + info.version +
+                                 (marks.length > 0 ? " (" + marks.join(", ") + ")" : "") + "\n");
+                });
+            }
+            next();
+        });
+    }
+    next();
+};
 
 /**
- * Convert png/jpeg images to webp. 
- * @param {String} path Images under this path will be converted
+ * Print, read or write settings.
+ * @param {String} action One of "list", "get", "set"
+ * @param {String} key Setting name, not needed for "list"
+ * @param {String} value Value as given on the command-line, only needed for "set"
+ * @param {Boolean} global Write to the user's settings instead of the project's
+ * @param {OutputIface} output Output to write to
+ * @param {Main~mainOperationCb} callback Callback function
  * @static
  */
-Main.prototype.convertWebP =
-function(path, args) {
-    argsList = args.split(/[ ,]+/);
-    jpegQuality = argsList[0];
-    pngQuality = argsList[1];
-    pngAlphaQuality = argsList[2];
+Main.prototype.manageConfig =
+function(action, key, value, global, output, callback) {
 
-    var walk = function(dir) {
-        var results = [];
-        var list = FS.readdirSync(dir);
-        list.forEach(function(file) {
-            file = dir + "/" + file;
-            var stat = FS.statSync(file);
-            if (stat && stat.isDirectory())
-                results = results.concat(walk(file));
-            else
-                results.push(file);
-        })
-        return results;
-    }
+    var config = this.config;
 
-    var fileList = walk(path);
-    var webpPath = Path.join(__dirname, "cwebp");
-    for (var i in fileList) {
-        if (FS.lstatSync(fileList[i]).isFile()) {
-            var filePath = fileList[i];
-            var tmpFilePath = filePath + ".webp";
-            var ext = Path.extname(filePath);
-            if (".jpeg" == ext || ".jpg" == ext) {
-                ChildProcess.execSync(webpPath +
-                                      " " + filePath +
-                                      " -q " + jpegQuality +
-                                      " -o " + tmpFilePath,
-                                      {stdio:[]});
-                ShellJS.mv("-f", tmpFilePath, filePath);
-            } else if (".png" == ext) {
-                ChildProcess.execSync(webpPath +
-                                      " " + filePath +
-                                      " -q " + pngQuality +
-                                      " -alpha_q " + pngAlphaQuality + 
-                                      " -o " + tmpFilePath,
-                                      {stdio:[]});
-                ShellJS.mv("-f", tmpFilePath, filePath);
+    switch (action) {
+    case "list":
+        config.keys.forEach(function(key) {
+            var value = config.get(key);
+            if (Config.class.isSecret(key) && value !== null) {
+                value = "********";
+            }
+            output.write(key + " = " +
+                         (typeof value === "string" ? value : JSON.stringify(value)) +
+                         "    (" + config.describeSource(key) + ")\n");
+        });
+        break;
+
+    case "get":
+        var current = config.get(key);
+        if (current === null) {
+            output.error("Setting '" + key + "' not set");
+            callback(Exceptions.InvalidProjectError.prototype.exitCode);
+            return;
+        }
+        if (Config.class.isSecret(key)) {
+            current = "********";
+        }
+        output.write((typeof current === "string" ?
+                        current :
+                        JSON.stringify(current)) + "\n");
+        break;
+
+    case "set":
+        // Builtin settings and backend options are accepted.
+        var known = Config.class.describe(key) !== null;
+        var mgr = new PlatformsManager(output);
+        mgr.loadAll().forEach(function(platformInfo) {
+            for (var cmd in platformInfo.argSpec) {
+                if (platformInfo.argSpec[cmd]["--" + key]) {
+                    known = true;
+                }
+            }
+        });
+        if (!known) {
+            output.error("Unknown setting '" + key + "'");
+            callback(Exceptions.InvalidProjectError.prototype.exitCode);
+            return;
+        }
+
+        var layer = "user";
+        if (!global) {
+            var rootPath = config.projectPath ? Path.dirname(config.projectPath) : null;
+            if (!rootPath ||
+                !ShellJS.test("-f", Path.join(rootPath, "app", "manifest.json"))) {
+                output.error("This does not appear to be a Crosswalk project, use --global to write user settings");
+                callback(Exceptions.InvalidProjectError.prototype.exitCode);
+                return;
             }
+            layer = "project";
         }
+
+        config.set(key, value, layer);
+        output.info("Setting '" + key + "' written to " + config.describeSource(key));
+        break;
+
+    default:
+        output.error("Unhandled config action " + action);
+        callback(MAIN_EXIT_CODE_ERROR);
+        return;
     }
-  
-}
+
+    callback(MAIN_EXIT_CODE_OK);
+};
 
 /**
- * Build application package.
- * @param {String} configId Build "debug" or "release" configuration
- * @param {Object} extraArgs Unparsed extra arguments passed by command-line
- * @param {Main~mainOperationCb} callback Callback function
- * @static
+ * Print requirement check results. With JSON output they are emitted
+ * as one "requirements" event instead.
+ * @param {String} platformId Backend the results are for, null for the host environment
+ * @param {PlatformBase~RequirementResult[]} results Check results
+ * @param {OutputIface} output Output to write to
+ * @returns {Boolean} False if a mandatory requirement is not met.
+ * @inner
+ * @memberOf Main
  */
-Main.prototype.build =
-function(configId, args, callback) {
+function printRequirements(platformId, results, output) {
+
+    var ok = results.every(function(result) {
+        return result.pass || result.optional;
+    });
+
+    if (output instanceof JsonOutput.class) {
+        output.emit({
+            event: "requirements",
+            platform: platformId,
+            pass: ok,
+            results: results
+        });
+        return ok;
+    }
 
-    var output = this.output;
+    output.highlight(platformId ? "Platform '" + platformId + "'" : "Host environment");
+    for (var i = 0; i < results.length; i++) {
+        var result = results[i];
+        var line = result.name + ": " + result.detail;
+        if (result.pass) {
+            output.info(line);
+            continue;
+        }
 
-    // Check we're inside a project
-    /* TODO move this inside the AndroidProject
-    if (!workingDirectoryIsProject()) {
-        output.error("This does not appear to be a Crosswalk project.");
-        callback(false);
-        return;
+        if (result.optional) {
+            output.warning(line);
+        } else {
+            output.error(line);
+        }
+        if (result.hint) {
+            output.write("      Fix: " + result.hint + "\n");
+        }
     }
-    */
 
-    var project = this.instantiatePlatform();
-    if (!project) {
-        callback(MAIN_EXIT_CODE_ERROR);
+    return ok;
+}
+
+/**
+ * Report backend that is not checked because it can not build on this host.
+ * @param {String} platformId Backend
+ * @param {OutputIface} output Output to write to
+ * @inner
+ * @memberOf Main
+ */
+function printSkippedRequirements(platformId, output) {
+
+    var reason = "not supported on this host (" + OS.platform() + ")";
+    if (output instanceof JsonOutput.class) {
+        output.emit({
+            event: "requirements",
+            platform: platformId,
+            skipped: true,
+            reason: reason
+        });
         return;
     }
 
-    if (2 == args._.length) {
-        var target = args._[args._.length-1];
-        if ("release" == target)
-            target = "release";
+    output.highlight("Platform '" + platformId + "'");
+    output.info("Skipped, " + reason);
+}
+
+/**
+ * Check host environment and report whether requirements are met.
+ * Without platformId the target platforms of the project at rootPath
+ * are checked. Outside a project all backends are, where those that
+ * can not build on this host are reported as skipped.
+ * @param {String} rootPath Root path of project, or null
+ * @param {String} platformId Only check this backend, or null
+ * @param {OutputIface} output Output to write to
+ * @param {Main~mainOperationCb} callback Callback function
+ * @static
+ */
+Main.prototype.doctor =
+function(rootPath, platformId, output, callback) {
+
+    var config = this.config;
+    var cacheDir = config.get("cache-dir");
+    var webpPath = Path.join(__dirname, "cwebp");
+    var results = [
+        {
+            name: "http_proxy",
+            pass: true,
+            detail: process.env.http_proxy ? process.env.http_proxy : "not set"
+        },
+        {
+            name: "https_proxy",
+            pass: true,
+            detail: process.env.https_proxy ? process.env.https_proxy : "not set"
+        },
+        {
+            name: "cache dir",
+            pass: !cacheDir || ShellJS.test("-d", cacheDir),
+            detail: cacheDir ? cacheDir + " (" + config.describeSource("cache-dir") + ")" :
+                               "not set, downloads are not kept",
+            hint: "Create the dir or change the 'cache-dir' setting"
+        },
+        {
+            name: "cwebp",
+            pass: ShellJS.test("-e", webpPath),
+            optional: true,
+            detail: ShellJS.test("-e", webpPath) ? webpPath : "not found, webp conversion unavailable",
+            hint: "Download from http://downloads.webmproject.org/releases/webp " +
+                  "and put cwebp into " + __dirname
+        }
+    ];
+
+    var ok = printRequirements(null, results, output);
+
+    // Backends to check, explicitly requested or the project's.
+    var platformIds = null;
+    if (platformId) {
+        platformIds = [ platformId ];
+    } else if (rootPath) {
+        var manifestPath = Path.join(rootPath, "app", "manifest.json");
+        if (ShellJS.test("-f", manifestPath)) {
+            try {
+                platformIds = new Manifest(output, manifestPath).targetPlatforms;
+            } catch (e) {
+                output.warning("Failed to read target platforms from " + manifestPath + ": " + e.message);
+            }
+        }
     }
 
-    var _build = function() {
-        // Build
-        project.build(configId, {}, function(errormsg) {
+    // Silent error callback, the module error is not helpful here.
+    function silentCb(errormsg) {}
 
-            if (errormsg) {
-                output.error(errormsg);
-                callback(MAIN_EXIT_CODE_ERROR);
-                return;
-            } else {
-                callback(MAIN_EXIT_CODE_OK);
+    var mgr = new PlatformsManager(output);
+    var infos = [];
+    if (platformIds) {
+        for (var i = 0; i < platformIds.length; i++) {
+            var platformInfo = mgr.load(platformIds[i], silentCb);
+            if (!platformInfo) {
+                output.error("Failed to load '" + platformIds[i] + "' platform backend");
+                callback(Exceptions.InvalidProjectError.prototype.exitCode);
                 return;
             }
+            infos.push(platformInfo);
+        }
+    } else {
+        infos = mgr.loadAll().filter(function(info) {
+            if (!info.supportsHost()) {
+                printSkippedRequirements(info.platformId, output);
+                return false;
+            }
+            return true;
         });
     }
 
-    var appPath = Path.join(Path.dirname(Path.dirname(project.platformPath)), "app");
-    var wwwPath = Path.join(Path.join(project.platformPath, "assets"), "www");
+    function checkNext() {
 
-    if (args["android-webp"]) {
-        if (ShellJS.test("-e", wwwPath)) {
-            if (ShellJS.test("-L", wwwPath)) {
-                ShellJS.rm("-f", wwwPath)
+        var info = infos.shift();
+        if (!info) {
+            if (ok) {
+                output.info("All requirements met");
+                callback(MAIN_EXIT_CODE_OK);
             } else {
-                ShellJS.rm("-r", wwwPath)
+                output.error("Some requirements are not met");
+                callback(Exceptions.ToolNotFoundError.prototype.exitCode);
             }
-        }
-        ShellJS.mkdir("-p", wwwPath)
-        ShellJS.cp("-R", appPath+"/*", wwwPath)
-        if (this.checkWebp()) {
-            this.convertWebP(wwwPath, args["android-webp"])
-            _build();
+            return;
         }
 
-    } else {
-        if (ShellJS.test("-e", wwwPath)) {
-            if (!ShellJS.test("-L", wwwPath)) {
-                ShellJS.rm("-r", wwwPath)
-                ShellJS.ln("-s", appPath, wwwPath);
-            } 
-        }
-        _build();
+        info.checkRequirements(config, function(results) {
+
+            ok = printRequirements(info.platformId, results, output) && ok;
+            checkNext();
+        });
     }
+    checkNext();
 };
 
 /**
@@ -444,8 +1710,12 @@ function(output) {
 Main.prototype.run =
 function(callback) {
 
+    var extraArgs = Minimist(process.argv.slice(2));
+
     // Temporary output object because of static method here
-    var output = TerminalOutput.getInstance();
+    var output = extraArgs.json ?
+                    JsonOutput.getInstance() :
+                    TerminalOutput.getInstance();
     var parser = new CommandParser(output, process.argv);
     var app = new Main();
     var rootDir = null;
@@ -457,52 +1727,150 @@ function(callback) {
         return;
     }
 
-    // Unknown or bogus command?
     var cmd = parser.getCommand();
+
+    if (extraArgs.json) {
+        // Finish with a result event listing the built packages.
+        var runCallback = callback;
+        callback = function(errno) {
+            output.result(cmd, errno, app.artifacts);
+            runCallback(errno);
+        };
+    }
+
+    // Unknown or bogus command?
     if (!cmd) {
-        output.error("Unhandled command '" + process.argv[2] + "'");
+        // Name the first non-option, so "--json bogus" reports "bogus".
+        var cmdArg = process.argv.slice(2).filter(function(arg) {
+            return arg.substring(0, 2) !== "--";
+        })[0];
+        output.error("Unhandled command '" + (cmdArg ? cmdArg : process.argv[2]) + "'");
         callback(MAIN_EXIT_CODE_ERROR);
         return;
     }
 
-    var extraArgs = Minimist(process.argv.slice(2));
+    // Only these commands can tell what they would change.
+    if (extraArgs["dry-run"] &&
+        (["update", "build"].indexOf(cmd) < 0 || extraArgs.watch)) {
+        output.error("Option --dry-run is only supported for 'update' and 'build'");
+        callback(MAIN_EXIT_CODE_ERROR);
+        return;
+    }
+
+    // Load settings, including the project's when operating on one.
+    switch (cmd) {
+    case "create":
+        rootDir = null;
+        break;
+    case "update":
+        rootDir = parser.updateGetDir();
+        break;
+    case "refresh":
+        rootDir = parser.refreshGetDir();
+        break;
+    case "build":
+        rootDir = parser.buildGetDir();
+        break;
+    default:
+        rootDir = process.cwd();
+    }
+    try {
+        app.config.load(rootDir, extraArgs);
+    } catch (e) {
+        output.error("Failed to load settings: " + e.message);
+        callback(MAIN_EXIT_CODE_ERROR);
+        return;
+    }
+
+    // Chain up the constructor, failing with the exit status
+    // of the error, e.g. when not run inside a project.
+    function initApplication(cwd, packageId) {
+        try {
+            Application.call(app, cwd, packageId, output);
+        } catch (e) {
+            output.error(e.message);
+            callback(Exceptions.exitCodeFor(e));
+            return false;
+        }
+        return true;
+    }
+
     switch (cmd) {
     case "create":
         var packageId = parser.createGetPackageId();
 
-        // Chain up the constructor.
-        Application.call(app, process.cwd(), packageId);
+        if (!initApplication(process.cwd(), packageId))
+            break;
         app.create(packageId, extraArgs, callback);
         break;
 
     case "update":
         var version = parser.updateGetVersion();
-        rootDir = parser.updateGetDir();
 
-        // Chain up the constructor.
-        Application.call(app, rootDir, null);
+        if (!initApplication(rootDir, null))
+            break;
         app.update(version, extraArgs, callback);
         break;
 
+    case "refresh":
+        if (!initApplication(rootDir, null))
+            break;
+        app.refresh(extraArgs, callback);
+        break;
+
     case "build":
         var type = parser.buildGetType();
-        rootDir = parser.buildGetDir();
 
-        // Chain up the constructor.
-        Application.call(app, rootDir, null);
-        app.build(type, extraArgs, callback);
+        if (!initApplication(rootDir, null))
+            break;
+        if (extraArgs.watch) {
+            process.once("SIGINT", function() {
+                app.unwatch();
+            });
+            app.watch(type, extraArgs, callback);
+        } else {
+            app.build(type, extraArgs, callback);
+        }
+        break;
+
+    case "manifest":
+        var manifestPath = Path.join(process.cwd(), "app", "manifest.json");
+        app.manageManifest(manifestPath,
+                           parser.manifestGetAction(),
+                           parser.manifestGetField(),
+                           parser.manifestGetValue(),
+                           output, callback);
+        break;
+
+    case "versions":
+        app.listVersions(rootDir, parser.versionsGetChannel(), output, callback);
+        break;
+
+    case "config":
+        app.manageConfig(parser.configGetAction(),
+                         parser.configGetKey(),
+                         parser.configGetValue(),
+                         extraArgs.global === true,
+                         output, callback);
+        break;
+
+    case "doctor":
+        app.doctor(rootDir, parser.doctorGetPlatform(), output, callback);
         break;
 
     case "platforms":
         app.listPlatforms(output);
+        callback(MAIN_EXIT_CODE_OK);
         break;
 
     case "help":
         app.printHelp(parser, output);
+        callback(MAIN_EXIT_CODE_OK);
         break;
 
     case "version":
         app.printVersion(output);
+        callback(MAIN_EXIT_CODE_OK);
         break;
 
     default:
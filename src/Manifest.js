@@ -3,176 +3,1585 @@
 // license that can be found in the LICENSE-APACHE-V2 file.
 
 var FS = require("fs");
+var Path = require("path");
 
 var FormatJson = require("format-json");
+var ShellJS = require("shelljs");
 
 var CommandParser = require("./CommandParser");
 var IllegalAccessException = require("./util/exceptions").IllegalAccessException;
+var InvalidManifestError = require("./util/exceptions").InvalidManifestError;
 
 /**
  * Manifest wrapper.
+ * Fields are checked with {@link Manifest.check}. Errors make loading fail,
+ * warnings are reported and the values replaced by defaults.
+ * When platformId or configId are given, fields reflect the "xwalk_overrides"
+ * for them, see {@link Manifest.applyOverrides}. Such instances are for reading,
+ * fields written through them end up in the file without overrides.
  * @param {OutputIface} output Output implementation
  * @param {String} path Path to manifest.json
+ * @param {String} [platformId] Platform to apply overrides for, e.g. "android"
+ * @param {String} [configId] Build configuration to apply overrides for, "debug" or "release"
  * @constructor
+ * @throws {InvalidManifestError} If fields are invalid, listing all errors.
  */
-function Manifest(output, path) {
+function Manifest(output, path, platformId, configId) {
 
     this._output = output;
     this._path = path;
 
     var buffer = FS.readFileSync(path, {"encoding": "utf8"});
     var json = JSON.parse(buffer);
+    if (platformId || configId) {
+        json = Manifest.applyOverrides(json, platformId, configId);
+    }
+
+    var problems = Manifest.check(json);
+    var errors = problems.filter(function(problem) {
+        return problem.severity === "error";
+    });
+    if (errors.length > 0) {
+        throw new InvalidManifestError("Invalid " + path + ": " +
+                                       errors.map(formatProblem).join("; "));
+    }
+    problems.forEach(function(problem) {
+        output.warning(formatProblem(problem));
+    });
+
+    // Problems are reported above, validation only picks defaults from here on.
+    var quiet = new ProblemOutput();
+
+    // App version is [major.][minor.]micro
+    this._appVersion = json.xwalk_app_version;
+
+    // Name
+    if (json.name) {
+        this._name = json.name;
+    } else {
+        output.warning("Missing field 'name' in manifest.json");
+    }
+
+    // Short name
+    if (json.short_name) {
+        this._shortName = json.short_name;
+    }
+
+    // Display
+    this._display = "standalone";
+    if (json.display &&
+        Manifest.validateDisplay(json.display, quiet)) {
+        // supported mode
+        this._display = json.display;
+    }
+
+    // Start URL
+    if (json.start_url) {
+        this._startUrl = json.start_url;
+    }
+
+    // Orientation
+    // Optional field, only check if present.
+    this._orientation = null;
+    if (json.orientation &&
+        Manifest.validateOrientation(json.orientation, quiet)) {
+        this._orientation = json.orientation;
+    }
+
+    // Theme and background colors
+    // Optional fields, only check if present.
+    this._themeColor = null;
+    if (json.theme_color &&
+        Manifest.validateColor(json.theme_color, quiet)) {
+        this._themeColor = normalizeColor(json.theme_color);
+    }
+    this._backgroundColor = null;
+    if (json.background_color &&
+        Manifest.validateColor(json.background_color, quiet)) {
+        this._backgroundColor = normalizeColor(json.background_color);
+    }
+
+    // Language and text direction
+    // Optional fields, only check if present.
+    this._lang = null;
+    if (json.lang &&
+        Manifest.validateLang(json.lang, quiet)) {
+        this._lang = json.lang;
+    }
+    this._dir = "auto";
+    if (json.dir &&
+        Manifest.validateDir(json.dir, quiet)) {
+        this._dir = json.dir;
+    }
+
+    // Scope
+    // Optional field, ignored when the start URL is not inside.
+    this._scope = null;
+    if (json.scope &&
+        Manifest.validateScope(json.scope, quiet) &&
+        isInScope(json.scope, this._startUrl)) {
+        this._scope = json.scope;
+    }
+
+    // Description
+    this._description = null;
+    if (json.description) {
+        this._description = json.description;
+    }
+
+    // Icons
+    this._icons = [];
+    if (json.icons) {
+        this._icons = json.icons;
+    }
+
+    // Package ID
+    this._packageId = json.xwalk_package_id;
+
+    // Target platforms
+    this._targetPlatforms = normalizePlatforms(json.xwalk_target_platforms);
+
+    // Crosswalk command line
+    // Optional field, only check if present.
+    this._commandLine = null;
+    if (json.xwalk_command_line &&
+        Manifest.validateCommandLine(json.xwalk_command_line, quiet)) {
+        this._commandLine = json.xwalk_command_line.trim();
+    }
+
+    // Android animatable view, boolean or string "true"
+    this._androidAnimatableView = normalizeBoolean(json.xwalk_android_animatable_view);
+
+    // Android "keep screen on", boolean or string "true"
+    this._androidKeepScreenOn = normalizeBoolean(json.xwalk_android_keep_screen_on);
+
+    // Android permissions
+    // Optional field, projects keep their permissions when not present.
+    this._androidPermissions = null;
+    if (typeof json.xwalk_android_permissions !== "undefined") {
+        this._androidPermissions = normalizePermissions(json.xwalk_android_permissions);
+    }
+
+    // Android packaging mode
+    this._androidMode = "embedded";
+    if (json.xwalk_android_mode &&
+        Manifest.validateAndroidMode(json.xwalk_android_mode, quiet)) {
+        this._androidMode = json.xwalk_android_mode;
+    }
+
+    // Android ABIs
+    // Optional field, the "android-targets" setting applies when not present.
+    this._androidTargets = null;
+    if (typeof json.xwalk_android_targets !== "undefined") {
+        this._androidTargets = normalizeAndroidTargets(json.xwalk_android_targets);
+    }
+
+    // Windows update ID
+    // Optional field, only check if present.
+    this._windowsUpdateId = null;
+    if (json.xwalk_windows_update_id) {
+        this._windowsUpdateId = json.xwalk_windows_update_id;
+    }
+
+    // Windows vendor field
+    // Optional field, only check if present.
+    this._windowsVendor = null;
+    if (json.xwalk_windows_vendor) {
+        this._windowsVendor = json.xwalk_windows_vendor;
+    }
+
+    // Lifecycle hooks
+    // Optional field, only check if present.
+    this._hooks = {};
+    if (json.xwalk_hooks) {
+        this._hooks = json.xwalk_hooks;
+    }
+
+    // Localized names
+    // Optional field, only check if present.
+    this._locales = {};
+    if (json.xwalk_locales) {
+        this._locales = json.xwalk_locales;
+    }
+
+    // Overrides by build configuration and platform
+    // Optional field, only check if present.
+    this._overrides = {};
+    if (json.xwalk_overrides) {
+        this._overrides = json.xwalk_overrides;
+    }
+}
+
+/**
+ * Check app version, format is [major.][minor.]micro
+ * Major and minor need to be < 100, micro < 1000
+ * @param {String} version App version string
+ * @param {OutputIface} output Output to write warnings to
+ * @returns {Boolean} true if valid, otherwise false.
+ * @static
+ */
+Manifest.validateAppVersion =
+function(version, output) {
+
+    if (typeof version !== "string" ||
+        !version.match("^([0-9]+\.){0,2}[0-9]+$")) {
+        return false;
+    }
+
+    var numbers = version.split(".");
+    for (var i = 0; i < numbers.length; i++) {
+        if (i == numbers.length - 1 &&
+            numbers[i] >= 1000) {
+            // Last component, up to 3 digits
+            output.warning("App version part '" + numbers[i] + "' must be < 1000");
+            return false;
+        } else if (i < numbers.length - 1 &&
+                   numbers[i] >= 100) {
+            // First 2 components, up to 2 digits
+            output.warning("App version part '" + numbers[i] + "' must be < 100");
+            return false;
+        }
+    }
+
+    return true;
+};
+
+/**
+ * Check display mode is supported.
+ * @param {String} display Display mode
+ * @param {OutputIface} output Output to write warnings to
+ * @returns {Boolean} true if valid, otherwise false.
+ * @static
+ */
+Manifest.validateDisplay =
+function(display, output) {
+
+    if (["fullscreen", "standalone", "minimal-ui", "browser"].indexOf(display) > -1) {
+        return true;
+    }
+
+    output.warning("Unsupported value '" + display + "' in manifest.json");
+    return false;
+};
+
+/**
+ * Orientations defined by the Screen Orientation API.
+ * @private
+ */
+var _orientations = [
+    "any", "natural",
+    "landscape", "landscape-primary", "landscape-secondary",
+    "portrait", "portrait-primary", "portrait-secondary"
+];
+
+/**
+ * Check orientation is supported.
+ * @param {String} orientation Orientation, e.g. "portrait"
+ * @param {OutputIface} output Output to write warnings to
+ * @returns {Boolean} true if valid, otherwise false.
+ * @static
+ */
+Manifest.validateOrientation =
+function(orientation, output) {
+
+    if (_orientations.indexOf(orientation) > -1) {
+        return true;
+    }
+
+    output.warning("Unsupported orientation '" + orientation + "' in manifest.json");
+    return false;
+};
+
+/**
+ * CSS color keywords understood in color fields, as #rrggbb.
+ * @private
+ */
+var _colorNames = {
+    "aqua": "#00ffff",
+    "black": "#000000",
+    "blue": "#0000ff",
+    "fuchsia": "#ff00ff",
+    "gray": "#808080",
+    "green": "#008000",
+    "grey": "#808080",
+    "lime": "#00ff00",
+    "maroon": "#800000",
+    "navy": "#000080",
+    "olive": "#808000",
+    "orange": "#ffa500",
+    "purple": "#800080",
+    "red": "#ff0000",
+    "silver": "#c0c0c0",
+    "teal": "#008080",
+    "white": "#ffffff",
+    "yellow": "#ffff00"
+};
+
+/**
+ * Check color, format is #rgb, #rrggbb or a basic CSS color keyword.
+ * @param {String} color Color value
+ * @param {OutputIface} output Output to write warnings to
+ * @returns {Boolean} true if valid, otherwise false.
+ * @static
+ */
+Manifest.validateColor =
+function(color, output) {
+
+    if (typeof color === "string" &&
+        (color.match(/^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/) ||
+         _colorNames[color.toLowerCase()])) {
+        return true;
+    }
+
+    output.warning("Unsupported color '" + color + "' in manifest.json, " +
+                   "use #rrggbb");
+    return false;
+};
+
+/**
+ * Normalize color fields to #rrggbb.
+ * @param {String} value Color value
+ * @returns {String} Color as #rrggbb, or null if not given.
+ * @private
+ * @static
+ */
+function normalizeColor(value) {
+
+    if (typeof value !== "string") {
+        return null;
+    }
+
+    var color = value.toLowerCase();
+    if (_colorNames[color]) {
+        return _colorNames[color];
+    } else if (color.length === 4) {
+        return "#" + color[1] + color[1] + color[2] + color[2] + color[3] + color[3];
+    }
+
+    return color;
+}
+
+/**
+ * Check language tag, e.g. "en" or "pt-BR".
+ * @param {String} lang Language tag
+ * @param {OutputIface} output Output to write warnings to
+ * @returns {Boolean} true if valid, otherwise false.
+ * @static
+ */
+Manifest.validateLang =
+function(lang, output) {
+
+    if (typeof lang === "string" &&
+        lang.match(/^[a-zA-Z]{2,8}(-[a-zA-Z0-9]{1,8})*$/)) {
+        return true;
+    }
+
+    output.warning("Invalid language tag '" + lang + "' in manifest.json");
+    return false;
+};
+
+/**
+ * Check text direction, one of "ltr", "rtl" or "auto".
+ * @param {String} dir Text direction
+ * @param {OutputIface} output Output to write warnings to
+ * @returns {Boolean} true if valid, otherwise false.
+ * @static
+ */
+Manifest.validateDir =
+function(dir, output) {
+
+    if (["ltr", "rtl", "auto"].indexOf(dir) > -1) {
+        return true;
+    }
+
+    output.warning("Unsupported text direction '" + dir + "' in manifest.json");
+    return false;
+};
+
+/**
+ * Resolve URL to a path below the app root, where manifest.json is.
+ * Absolute paths start at the app root, so "/app/" and "app/" both
+ * resolve to "app/".
+ * @param {String} url URL relative to manifest.json
+ * @returns {String} Path relative to the app root, "" for the root itself,
+ *                   or null if the URL points outside of the app.
+ * @private
+ */
+function resolveAppUrl(url) {
+
+    // Query and fragment do not matter for the path.
+    var path = url.split(/[?#]/)[0];
+    if (path.match(/^[a-zA-Z][a-zA-Z0-9+.-]*:/)) {
+        return null;
+    }
+
+    path = Path.posix.normalize(path.replace(/^\/+/, "") || ".");
+    if (path === ".." || path.indexOf("../") === 0) {
+        return null;
+    }
+
+    return path === "." || path === "./" ? "" : path;
+}
+
+/**
+ * Whether start URL is inside the navigation scope.
+ * @param {String} scope Valid scope
+ * @param {String} [startUrl] Start URL, the scope contains any when not given
+ * @returns {Boolean} true if inside.
+ * @private
+ */
+function isInScope(scope, startUrl) {
+
+    if (typeof startUrl !== "string") {
+        return true;
+    }
+
+    var startPath = resolveAppUrl(startUrl);
+    return startPath !== null &&
+           startPath.indexOf(resolveAppUrl(scope)) === 0;
+}
+
+/**
+ * Check navigation scope, a URL resolving to a path within the app,
+ * like "/" or "/app/".
+ * @param {String} scope Scope URL
+ * @param {OutputIface} output Output to write warnings to
+ * @returns {Boolean} true if valid, otherwise false.
+ * @static
+ */
+Manifest.validateScope =
+function(scope, output) {
+
+    if (typeof scope === "string" &&
+        resolveAppUrl(scope) !== null) {
+        return true;
+    }
+
+    output.warning("Scope '" + scope + "' is outside of the app");
+    return false;
+};
+
+/**
+ * Check Crosswalk command line, switches like "--ignore-gpu-blacklist"
+ * separated by spaces.
+ * @param {String} commandLine Command line switches
+ * @param {OutputIface} output Output to write errors to
+ * @returns {Boolean} true if valid, otherwise false.
+ * @static
+ */
+Manifest.validateCommandLine =
+function(commandLine, output) {
+
+    if (typeof commandLine !== "string") {
+        output.error("Command line must be a string");
+        return false;
+    }
+
+    var switches = commandLine.trim().split(/\s+/);
+    for (var i = 0; i < switches.length; i++) {
+        if (switches[i] && !switches[i].match(/^--[a-z0-9-]+(=\S*)?$/)) {
+            output.error("Invalid command line switch '" + switches[i] + "'");
+            return false;
+        }
+    }
+
+    return true;
+};
+
+/**
+ * Check Windows update ID, format is 12345678-1234-1234-1234-111111111111
+ * @param {String} updateId Windows update ID
+ * @param {OutputIface} output Output to write errors to
+ * @returns {Boolean} true if valid, otherwise false.
+ * @static
+ */
+Manifest.validateWindowsUpdateId =
+function(updateId, output) {
+
+    var parts = typeof updateId === "string" ?
+                    updateId.split("-") :
+                    [];
+    if (parts.length === 5 &&
+        parts[0].length === 8 && parts[0].match("^[0-9]*$") &&
+        parts[1].length === 4 && parts[1].match("^[0-9]*$") &&
+        parts[2].length === 4 && parts[2].match("^[0-9]*$") &&
+        parts[3].length === 4 && parts[3].match("^[0-9]*$") &&
+        parts[4].length === 12 && parts[4].match("^[0-9]*$")) {
+
+        return true;
+    }
+
+    output.error("Invalid Windows Update ID + '" + updateId + "'");
+    return false;
+};
+
+/**
+ * Check that target platform backends can be loaded.
+ * @param {String|String[]} targetPlatforms Platform identifier, comma-separated
+ *                                          identifiers, or array of identifiers
+ * @param {OutputIface} output Output to write errors to
+ * @returns {Boolean} true if valid, otherwise false.
+ * @static
+ */
+Manifest.validateTargetPlatforms =
+function(targetPlatforms, output) {
+
+    var platforms = normalizePlatforms(targetPlatforms);
+    if (platforms.length === 0) {
+        output.error("Target platforms must be a platform name or an array of them");
+        return false;
+    }
+
+    function silentCb(errormsg) {}
+
+    var PlatformsManager = require("./PlatformsManager");
+    var mgr = new PlatformsManager(output);
+    for (var i = 0; i < platforms.length; i++) {
+        if (!mgr.load(platforms[i], silentCb)) {
+            output.error("Target platform '" + platforms[i] + "' not available");
+            return false;
+        }
+    }
+
+    return true;
+};
+
+/**
+ * Normalize target platforms to an array.
+ * @param {String|String[]} value Platform identifier, comma-separated identifiers,
+ *                                or array of identifiers
+ * @returns {String[]} Platform identifiers, empty if the value is invalid.
+ * @private
+ * @static
+ */
+function normalizePlatforms(value) {
+
+    var platforms = [];
+    if (typeof value === "string") {
+        platforms = value.split(",");
+    } else if (value instanceof Array) {
+        platforms = value;
+    }
+
+    var normalized = [];
+    for (var i = 0; i < platforms.length; i++) {
+        if (typeof platforms[i] !== "string") {
+            return [];
+        }
+        var platform = platforms[i].trim();
+        if (platform && normalized.indexOf(platform) < 0) {
+            normalized.push(platform);
+        }
+    }
+
+    return normalized;
+}
+
+/**
+ * Permissions defined by the Android platform, without "android.permission." prefix.
+ * @private
+ */
+var _androidPermissions = [
+    "ACCESS_COARSE_LOCATION", "ACCESS_FINE_LOCATION", "ACCESS_LOCATION_EXTRA_COMMANDS",
+    "ACCESS_NETWORK_STATE", "ACCESS_NOTIFICATION_POLICY", "ACCESS_WIFI_STATE",
+    "BLUETOOTH", "BLUETOOTH_ADMIN", "BODY_SENSORS", "BROADCAST_STICKY",
+    "CALL_PHONE", "CAMERA", "CHANGE_NETWORK_STATE", "CHANGE_WIFI_MULTICAST_STATE",
+    "CHANGE_WIFI_STATE", "DISABLE_KEYGUARD", "EXPAND_STATUS_BAR", "FLASHLIGHT",
+    "GET_ACCOUNTS", "GET_PACKAGE_SIZE", "INTERNET", "KILL_BACKGROUND_PROCESSES",
+    "MODIFY_AUDIO_SETTINGS", "NFC", "READ_CALENDAR", "READ_CALL_LOG", "READ_CONTACTS",
+    "READ_EXTERNAL_STORAGE", "READ_PHONE_STATE", "READ_SMS", "RECEIVE_BOOT_COMPLETED",
+    "RECEIVE_MMS", "RECEIVE_SMS", "RECORD_AUDIO", "REORDER_TASKS", "SEND_SMS",
+    "SET_ALARM", "SET_WALLPAPER", "SYSTEM_ALERT_WINDOW", "USE_FINGERPRINT",
+    "USE_SIP", "VIBRATE", "WAKE_LOCK", "WRITE_CALENDAR", "WRITE_CALL_LOG",
+    "WRITE_CONTACTS", "WRITE_EXTERNAL_STORAGE", "WRITE_SETTINGS"
+];
+
+/**
+ * Permissions for new projects, what Crosswalk itself needs.
+ * @private
+ */
+var _defaultAndroidPermissions = ["ACCESS_NETWORK_STATE", "ACCESS_WIFI_STATE", "INTERNET"];
+
+/**
+ * Prefix of permissions defined by the Android platform.
+ * @private
+ */
+var ANDROID_PERMISSION_PREFIX = "android.permission.";
+
+/**
+ * Split android permissions field into names as given.
+ * @param {String|String[]} value Permission, comma-separated permissions, or array of them
+ * @returns {String[]} Permission names, null if the value is invalid.
+ * @private
+ * @static
+ */
+function listPermissions(value) {
+
+    var permissions = [];
+    if (typeof value === "string") {
+        permissions = value.split(",");
+    } else if (value instanceof Array) {
+        permissions = value;
+    } else {
+        return null;
+    }
+
+    var list = [];
+    for (var i = 0; i < permissions.length; i++) {
+        if (typeof permissions[i] !== "string") {
+            return null;
+        }
+        var permission = permissions[i].trim();
+        if (permission) {
+            list.push(permission);
+        }
+    }
+
+    return list;
+}
+
+/**
+ * Check android permissions, a permission name like "CAMERA", a fully qualified
+ * one like "com.example.foo.permission.C2D_MESSAGE", or an array of them.
+ * Unknown platform permissions are only warned about, as newer Android
+ * versions may define them.
+ * @param {String|String[]} value Field value
+ * @param {OutputIface} output Output to write errors and warnings to
+ * @returns {Boolean} true if valid, otherwise false.
+ * @static
+ */
+Manifest.validateAndroidPermissions =
+function(value, output) {
+
+    var permissions = listPermissions(value);
+    if (!permissions) {
+        output.error("Android permissions must be a permission name or an array of them");
+        return false;
+    }
+
+    for (var i = 0; i < permissions.length; i++) {
+        if (!permissions[i].match(/^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/)) {
+            output.error("Invalid android permission '" + permissions[i] + "'");
+            return false;
+        }
+        if (!isKnownPermission(permissions[i])) {
+            output.warning("Unknown android permission '" + permissions[i] + "'");
+        }
+    }
+
+    return true;
+};
+
+/**
+ * Whether a permission is defined by the Android platform, or qualified
+ * by another package, which this tool can not know about.
+ * @param {String} permission Permission name
+ * @returns {Boolean} false if unknown platform permission, otherwise true.
+ * @private
+ * @static
+ */
+function isKnownPermission(permission) {
+
+    if (permission.indexOf(ANDROID_PERMISSION_PREFIX) === 0) {
+        permission = permission.substring(ANDROID_PERMISSION_PREFIX.length);
+    } else if (permission.indexOf(".") > -1) {
+        return true;
+    }
+
+    return _androidPermissions.indexOf(permission) > -1;
+}
+
+/**
+ * Normalize android permissions to fully qualified names.
+ * @param {String|String[]} value Field value
+ * @returns {String[]} Permission names, or null if not given or invalid.
+ * @private
+ * @static
+ */
+function normalizePermissions(value) {
+
+    var permissions = listPermissions(value);
+    if (!permissions) {
+        return null;
+    }
+
+    var normalized = [];
+    permissions.forEach(function(permission) {
+        if (permission.indexOf(".") < 0) {
+            permission = ANDROID_PERMISSION_PREFIX + permission;
+        }
+        if (normalized.indexOf(permission) < 0) {
+            normalized.push(permission);
+        }
+    });
+
+    return normalized;
+}
+
+/**
+ * Android packaging modes, Crosswalk embedded into each APK, or shared
+ * from the Crosswalk runtime library installed on the device.
+ * @private
+ */
+var _androidModes = ["embedded", "shared"];
+
+/**
+ * Check android packaging mode.
+ * @param {String} mode Mode, "embedded" or "shared"
+ * @param {OutputIface} output Output to write errors to
+ * @returns {Boolean} true if valid, otherwise false.
+ * @static
+ */
+Manifest.validateAndroidMode =
+function(mode, output) {
+
+    if (_androidModes.indexOf(mode) > -1) {
+        return true;
+    }
+
+    output.error("Unsupported android mode '" + mode + "', use \"" + _androidModes.join("\" or \"") + "\"");
+    return false;
+};
+
+/**
+ * ABIs that Crosswalk releases are built for.
+ * @private
+ */
+var _androidTargets = ["armeabi-v7a", "arm64-v8a", "x86", "x86_64"];
+
+/**
+ * Check android targets, an ABI name like "arm64-v8a", comma-separated
+ * names, or an array of them.
+ * @param {String|String[]} value Field value
+ * @param {OutputIface} output Output to write errors to
+ * @returns {Boolean} true if valid, otherwise false.
+ * @static
+ */
+Manifest.validateAndroidTargets =
+function(value, output) {
+
+    var abis = normalizePlatforms(value);
+    if (abis.length === 0) {
+        output.error("Android targets must be an ABI name or an array of them");
+        return false;
+    }
+
+    for (var i = 0; i < abis.length; i++) {
+        if (_androidTargets.indexOf(abis[i]) < 0) {
+            output.error("Unknown android target '" + abis[i] + "', use one of " +
+                         _androidTargets.join(", "));
+            return false;
+        }
+    }
+
+    return true;
+};
+
+/**
+ * Normalize android targets to an array.
+ * @param {String|String[]} value Field value
+ * @returns {String[]} ABI names, or null if not given or invalid.
+ * @private
+ * @static
+ */
+function normalizeAndroidTargets(value) {
+
+    var abis = normalizePlatforms(value);
+    return abis.length > 0 ? abis : null;
+}
+
+/**
+ * Validate boolean fields, which also accept the string "true" or "false".
+ * @param {Boolean} value Field value
+ * @param {OutputIface} output Output to write errors to
+ * @returns {Boolean} true if valid, otherwise false.
+ * @private
+ * @static
+ */
+function validateBoolean(value, output) {
+
+    if (typeof value === "boolean" ||
+        value === "true" || value === "false") {
+        return true;
+    }
+
+    output.error("Expected 'true' or 'false', got '" + value + "'");
+    return false;
+}
+
+/**
+ * Normalize boolean fields.
+ * @param {Boolean} value Field value
+ * @returns {Boolean} Value as boolean.
+ * @private
+ * @static
+ */
+function normalizeBoolean(value) {
+
+    return value === true || value === "true";
+}
+
+/**
+ * Validate hooks, an object mapping hook name to command.
+ * @param {Object} value Field value
+ * @param {OutputIface} output Output to write errors to
+ * @returns {Boolean} true if valid, otherwise false.
+ * @private
+ * @static
+ */
+function validateHooks(value, output) {
+
+    if (typeof value !== "object" || value === null || value instanceof Array) {
+        output.error("Expected object mapping hook names to commands");
+        return false;
+    }
+
+    for (var name in value) {
+        if (typeof value[name] !== "string") {
+            output.error("Command for hook '" + name + "' must be a string");
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Validate locales, an object mapping language tags to localized
+ * "name" and "short_name".
+ * @param {Object} value Field value
+ * @param {OutputIface} output Output to write errors to
+ * @returns {Boolean} true if valid, otherwise false.
+ * @private
+ * @static
+ */
+function validateLocales(value, output) {
+
+    if (typeof value !== "object" || value === null || value instanceof Array) {
+        output.error("Expected object mapping language tags to names");
+        return false;
+    }
+
+    for (var lang in value) {
+
+        if (!Manifest.validateLang(lang, output)) {
+            return false;
+        }
+
+        var names = value[lang];
+        if (typeof names !== "object" || names === null || names instanceof Array) {
+            output.error("Locale '" + lang + "' must be an object like {\"name\": \"...\"}");
+            return false;
+        }
+
+        for (var field in names) {
+            if (["name", "short_name"].indexOf(field) < 0) {
+                output.error("Field '" + field + "' can not be localized, only name and short_name");
+                return false;
+            }
+            if (typeof names[field] !== "string" || !names[field]) {
+                output.error("Localized " + field + " for '" + lang + "' must be a non-empty string");
+                return false;
+            }
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Build configurations overrides can be given for.
+ * @private
+ */
+var _configs = ["debug", "release"];
+
+/**
+ * Fields that identify the app, and can not be overridden.
+ * @private
+ */
+var _fixedFields = ["xwalk_package_id", "xwalk_target_platforms", "xwalk_overrides"];
+
+/**
+ * Validate overrides, an object mapping a configuration, platform, or
+ * "<platform>-<config>" to fields.
+ * @param {Object} value Field value
+ * @param {OutputIface} output Output to write errors to
+ * @returns {Boolean} true if valid, otherwise false.
+ * @private
+ * @static
+ */
+function validateOverrides(value, output) {
+
+    if (typeof value !== "object" || value === null || value instanceof Array) {
+        output.error("Expected object mapping configurations and platforms to fields");
+        return false;
+    }
+
+    var keyPattern = new RegExp("^(" + _configs.join("|") + "|[a-z0-9]+(-(" + _configs.join("|") + "))?)$");
+    for (var key in value) {
+
+        if (!key.match(keyPattern)) {
+            output.error("Invalid override '" + key + "', use a configuration, " +
+                         "a platform, or both like \"android-release\"");
+            return false;
+        }
+
+        var fields = value[key];
+        if (typeof fields !== "object" || fields === null || fields instanceof Array) {
+            output.error("Override '" + key + "' must be an object of fields");
+            return false;
+        }
+
+        for (var field in fields) {
+            if (_fixedFields.indexOf(field) > -1) {
+                output.error("Field '" + field + "' can not be overridden");
+                return false;
+            }
+            if (!Manifest.validateField(field, fields[field], output)) {
+                output.error("Invalid value for field '" + field + "' in override '" + key + "'");
+                return false;
+            }
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Known manifest fields, with type, validation function and instance member.
+ * Type "list" accepts either a single string or an array of strings,
+ * type "object" a JSON object.
+ * Validation functions are of the form function(value, output) and
+ * return true if the value is acceptable. The fallback value is assigned
+ * to the member when the field is removed.
+ * Invalid values are errors, unless severity is "warning" because the field
+ * falls back to a default. The fix is suggested to the user, see {@link Manifest.check}.
+ * @private
+ */
+var _fields = {
+    // Standard fields
+    "background_color": {
+        type: "string",
+        member: "_backgroundColor",
+        severity: "warning",
+        fix: "Use a color like \"#3367d6\"",
+        validate: Manifest.validateColor,
+        normalize: normalizeColor
+    },
+    "description": {
+        type: "string",
+        member: "_description",
+        fallback: null
+    },
+    "dir": {
+        type: "string",
+        member: "_dir",
+        severity: "warning",
+        fix: "Use \"ltr\", \"rtl\" or \"auto\"",
+        fallback: "auto",
+        validate: Manifest.validateDir
+    },
+    "display": {
+        type: "string",
+        member: "_display",
+        severity: "warning",
+        fix: "Use \"fullscreen\", \"standalone\", \"minimal-ui\" or \"browser\"",
+        fallback: "standalone",
+        validate: Manifest.validateDisplay
+    },
+    "icons": {
+        type: "array",
+        member: "_icons",
+        fix: "Use an array of objects like {\"src\": \"icon.png\", \"sizes\": \"72x72\"}",
+        fallback: []
+    },
+    "lang": {
+        type: "string",
+        member: "_lang",
+        severity: "warning",
+        fix: "Use a language tag like \"en\" or \"pt-BR\"",
+        fallback: null,
+        validate: Manifest.validateLang
+    },
+    "name": {
+        type: "string",
+        member: "_name"
+    },
+    "orientation": {
+        type: "string",
+        member: "_orientation",
+        severity: "warning",
+        fix: "Use one of \"" + _orientations.join("\", \"") + "\"",
+        fallback: null,
+        validate: Manifest.validateOrientation
+    },
+    "scope": {
+        type: "string",
+        member: "_scope",
+        severity: "warning",
+        fix: "Use a path within the app that contains the start URL, like \"/\"",
+        fallback: null,
+        validate: Manifest.validateScope
+    },
+    "short_name": {
+        type: "string",
+        member: "_shortName"
+    },
+    "start_url": {
+        type: "string",
+        member: "_startUrl"
+    },
+    "theme_color": {
+        type: "string",
+        member: "_themeColor",
+        severity: "warning",
+        fix: "Use a color like \"#3367d6\"",
+        validate: Manifest.validateColor,
+        normalize: normalizeColor
+    },
+    // Crosswalk fields
+    "xwalk_app_version": {
+        type: "string",
+        member: "_appVersion",
+        fix: "Use [major.][minor.]micro, major and minor < 100, micro < 1000, e.g. \"1.0.0\"",
+        required: true,
+        validate: Manifest.validateAppVersion
+    },
+    "xwalk_package_id": {
+        type: "string",
+        member: "_packageId",
+        fix: "Use reverse domain notation like \"com.example.foo\"",
+        required: true,
+        validate: function(value, output) {
+            return CommandParser.validatePackageId(value, output) !== null;
+        }
+    },
+    "xwalk_target_platforms": {
+        type: "list",
+        member: "_targetPlatforms",
+        fix: "Use a platform name like \"android\", or an array of them",
+        required: true,
+        validate: Manifest.validateTargetPlatforms,
+        normalize: normalizePlatforms
+    },
+    "xwalk_command_line": {
+        type: "string",
+        member: "_commandLine",
+        fix: "Use switches separated by spaces, e.g. \"--ignore-gpu-blacklist\"",
+        fallback: null,
+        validate: Manifest.validateCommandLine,
+        normalize: function(value) {
+            return typeof value === "string" && value.trim() ? value.trim() : null;
+        }
+    },
+    // Android fields
+    "xwalk_android_animatable_view": {
+        type: "boolean",
+        member: "_androidAnimatableView",
+        validate: validateBoolean,
+        normalize: normalizeBoolean
+    },
+    "xwalk_android_keep_screen_on": {
+        type: "boolean",
+        member: "_androidKeepScreenOn",
+        validate: validateBoolean,
+        normalize: normalizeBoolean
+    },
+    "xwalk_android_permissions": {
+        type: "list",
+        member: "_androidPermissions",
+        fix: "Use a permission name like \"CAMERA\", or an array of them",
+        validate: Manifest.validateAndroidPermissions,
+        normalize: normalizePermissions
+    },
+    "xwalk_android_mode": {
+        type: "string",
+        member: "_androidMode",
+        fix: "Use \"" + _androidModes.join("\" or \"") + "\"",
+        fallback: "embedded",
+        validate: Manifest.validateAndroidMode
+    },
+    "xwalk_android_targets": {
+        type: "list",
+        member: "_androidTargets",
+        fix: "Use ABI names out of \"" + _androidTargets.join("\", \"") + "\"",
+        validate: Manifest.validateAndroidTargets,
+        normalize: normalizeAndroidTargets
+    },
+    // Windows fields
+    "xwalk_windows_update_id": {
+        type: "string",
+        member: "_windowsUpdateId",
+        fix: "Use the format 12345678-1234-1234-1234-123456789012",
+        fallback: null,
+        validate: Manifest.validateWindowsUpdateId
+    },
+    "xwalk_windows_vendor": {
+        type: "string",
+        member: "_windowsVendor",
+        fallback: null
+    },
+    // Tool fields
+    "xwalk_overrides": {
+        type: "object",
+        member: "_overrides",
+        fix: "Use an object like {\"debug\": {\"name\": \"Foo (debug)\"}}",
+        fallback: {},
+        validate: validateOverrides
+    },
+    "xwalk_locales": {
+        type: "object",
+        member: "_locales",
+        fix: "Use an object mapping language tags to names, e.g. {\"de\": {\"name\": \"Beispiel\"}}",
+        fallback: {},
+        validate: validateLocales
+    },
+    "xwalk_hooks": {
+        type: "object",
+        member: "_hooks",
+        fix: "Use an object mapping hook names to commands, e.g. {\"pre-build\": \"make\"}",
+        fallback: {},
+        validate: validateHooks
+    }
+};
+
+/**
+ * Names of the manifest fields that are known to this tool.
+ * @returns {String[]} Field names.
+ * @static
+ */
+Manifest.getFieldNames =
+function() {
+
+    return Object.keys(_fields);
+};
+
+/**
+ * Merge "xwalk_overrides" into the manifest's fields. Overrides for the
+ * configuration apply first, then those for the platform, then those for
+ * both like "android-release". Fields are replaced as a whole, not merged.
+ * @param {Object} json Parsed manifest.json
+ * @param {String} [platformId] Platform, e.g. "android"
+ * @param {String} [configId] Build configuration, "debug" or "release"
+ * @returns {Object} Effective manifest, without "xwalk_overrides".
+ * @static
+ */
+Manifest.applyOverrides =
+function(json, platformId, configId) {
+
+    var effective = {};
+    for (var field in json) {
+        if (field !== "xwalk_overrides") {
+            effective[field] = json[field];
+        }
+    }
+
+    var overrides = json.xwalk_overrides;
+    if (typeof overrides !== "object" || overrides === null) {
+        return effective;
+    }
+
+    var keys = [];
+    if (configId)
+        keys.push(configId);
+    if (platformId)
+        keys.push(platformId);
+    if (platformId && configId)
+        keys.push(platformId + "-" + configId);
+
+    keys.forEach(function(key) {
+        var fields = overrides[key];
+        if (typeof fields !== "object" || fields === null) {
+            return;
+        }
+        for (var field in fields) {
+            if (_fixedFields.indexOf(field) < 0) {
+                effective[field] = fields[field];
+            }
+        }
+    });
+
+    return effective;
+};
+
+/**
+ * Convert a field value given as string, e.g. on the command-line,
+ * to the type expected for the field.
+ * Unknown fields are kept as string, unless they look like a JSON
+ * object or array.
+ * @param {String} field Field name
+ * @param {String} value Value as string
+ * @returns {*} Converted value.
+ * @throws {SyntaxError} If the value can not be converted.
+ * @static
+ */
+Manifest.parseFieldValue =
+function(field, value) {
+
+    var spec = _fields[field];
+    var type = spec ? spec.type : null;
+
+    if (type === "boolean") {
+        if (value === "true" || value === "false")
+            return value === "true";
+        throw new SyntaxError("Expected 'true' or 'false' for '" + field + "', got '" + value + "'");
+    } else if (type === "array" || type === "object" ||
+               (type === "list" && value.trim()[0] === "[") ||
+               (!type && ["[", "{"].indexOf(value.trim()[0]) > -1)) {
+        return JSON.parse(value);
+    }
+
+    return value;
+};
+
+/**
+ * Check a field value against the rules the manifest is loaded with.
+ * @param {String} field Field name
+ * @param {*} value Field value
+ * @param {OutputIface} output Output to write errors to
+ * @returns {Boolean} true if valid, otherwise false.
+ * @static
+ */
+Manifest.validateField =
+function(field, value, output) {
+
+    var spec = _fields[field];
+    if (!spec) {
+        // Unknown fields are not validated
+        return true;
+    }
+
+    if (spec.type === "array") {
+        if (!(value instanceof Array)) {
+            output.error("Field '" + field + "' must be an array");
+            return false;
+        }
+    } else if (spec.type === "object" &&
+               (typeof value !== "object" || value === null || value instanceof Array)) {
+        output.error("Field '" + field + "' must be an object");
+        return false;
+    } else if (spec.type === "string" &&
+               typeof value !== "string") {
+        output.error("Field '" + field + "' must be a string");
+        return false;
+    } else if (spec.type === "list" &&
+               typeof value !== "string" &&
+               !(value instanceof Array)) {
+        output.error("Field '" + field + "' must be a string or an array");
+        return false;
+    }
+
+    if (spec.validate) {
+        return spec.validate(value, output);
+    }
+
+    return true;
+};
+
+/**
+ * Output recording messages of validation functions, so they can be
+ * reported as {@link Manifest~Problem}.
+ * @extends OutputIface
+ * @constructor
+ * @private
+ */
+function ProblemOutput() {
+    this.messages = [];
+}
+ProblemOutput.prototype.error = function(message) { this.messages.push(message); };
+ProblemOutput.prototype.warning = function(message) { this.messages.push(message); };
+ProblemOutput.prototype.info = function(message) {};
+
+/**
+ * Problem found in manifest.json by {@link Manifest.check}.
+ * @typedef {Object} Problem
+ * @property {String} path JSON path of the offending value, e.g. "$.icons[0].src"
+ * @property {String} severity "error" if the manifest can not be used, otherwise "warning"
+ * @property {String} message What is wrong
+ * @property {String} fix Suggested fix, or null
+ * @inner
+ * @memberOf Manifest
+ */
+
+/**
+ * Check icons beyond their type, files are looked up relative to appPath.
+ * @param {Object[]} icons Value of the "icons" field
+ * @param {String} [appPath] Directory containing manifest.json, or null to skip file checks
+ * @param {Function} report Function(path, severity, message, fix)
+ * @private
+ */
+function checkIcons(icons, appPath, report) {
 
-    // App version is [major.][minor.]micro
-    // Major and minor need to be < 100, micro < 1000
-    if (json.xwalk_app_version &&
-        json.xwalk_app_version.match("^([0-9]+\.){0,2}[0-9]+$")) {
-
-        var valid = true;
-        var numbers = json.xwalk_app_version.split(".");
-        for (var i = 0; i < numbers.length; i++) {
-            if (i == numbers.length - 1 &&
-                numbers[i] >= 1000) {
-                // Last component, up to 3 digits
-                output.warning("App version part '" + numbers[i] + "' must be < 1000");
-                valid = false;
-                break;
-            } else if (i < numbers.length - 1 &&
-                       numbers[i] >= 100) {
-                // First 2 components, up to 2 digits
-                output.warning("App version part '" + numbers[i] + "' must be < 100");
-                valid = false;
-                break;
-            }
+    icons.forEach(function(icon, i) {
+
+        var path = "$.icons[" + i + "]";
+        if (typeof icon !== "object" || icon === null ||
+            typeof icon.src !== "string") {
+            report(path + ".src", "error", "Icon without 'src'",
+                   "Add the path of the image, e.g. \"src\": \"icon.png\"");
+            return;
         }
 
-        if (valid) {
-            this._appVersion = json.xwalk_app_version;
+        if (typeof icon.sizes !== "undefined" &&
+            (typeof icon.sizes !== "string" ||
+             !icon.sizes.match(/^(any|[0-9]+x[0-9]+( [0-9]+x[0-9]+)*)$/))) {
+            report(path + ".sizes", "warning", "Invalid icon sizes '" + icon.sizes + "'",
+                   "Use width x height like \"72x72\", separated by spaces");
         }
-    }
 
-    if (!this._appVersion) {
-        output.error("Invalid app version '" + json.xwalk_app_version + "' in the manifest");
-        // TODO maybe exception
+        if (appPath &&
+            !ShellJS.test("-f", Path.join(appPath, icon.src))) {
+            report(path + ".src", "warning", "Icon file '" + icon.src + "' not found",
+                   "Add the file to the app directory, or fix the path");
+        }
+    });
+}
+
+/**
+ * Report unknown android permissions, which are only warned about
+ * when validating the field.
+ * @param {String|String[]} value Value of the "xwalk_android_permissions" field
+ * @param {Function} report Function(path, severity, message, fix)
+ * @private
+ */
+function checkAndroidPermissions(value, report) {
+
+    var permissions = value instanceof Array ? value : listPermissions(value);
+    if (!permissions) {
+        return;
     }
 
-    // Name
-    if (json.name &&
-        typeof json.name === "string") {
-        this._name = json.name;
+    permissions.forEach(function(permission, i) {
+        var path = "$.xwalk_android_permissions" +
+                   (value instanceof Array ? "[" + i + "]" : "");
+        if (typeof permission === "string" &&
+            !isKnownPermission(permission.trim())) {
+            report(path, "warning",
+                   "Unknown android permission '" + permission + "'",
+                   "Check the spelling, e.g. \"ACCESS_FINE_LOCATION\"");
+        }
+    });
+}
+
+/**
+ * Check that start URL is a file inside appPath.
+ * @param {String} startUrl Value of the "start_url" field
+ * @param {String} appPath Directory containing manifest.json
+ * @param {Function} report Function(path, severity, message, fix)
+ * @private
+ */
+function checkStartUrl(startUrl, appPath, report) {
+
+    // Resolved like the scope, a leading "/" is the app root.
+    var file = resolveAppUrl(startUrl);
+    if (file === null) {
+        report("$.start_url", "error", "Start URL '" + startUrl + "' is outside of the app",
+               "Use a path relative to manifest.json, like \"index.html\"");
+    } else if (!ShellJS.test("-f", Path.join(appPath, file))) {
+        report("$.start_url", "warning", "Start page '" + file + "' not found",
+               "Add the file to the app directory, or fix the path");
     }
+}
 
-    if (!this._name) {
-        output.warning("Invalid or missing field 'name' in manifest.json");
+/**
+ * Check manifest contents against the known fields, collecting all problems
+ * rather than stopping at the first one. Missing files are only warnings,
+ * as they may be generated by a "pre-build" hook.
+ * @param {Object} json Parsed manifest.json
+ * @param {String} [appPath] Directory containing manifest.json, icons and start
+ *                           page are looked up there when given
+ * @returns {Manifest~Problem[]} Problems, empty if all is well.
+ * @static
+ */
+Manifest.check =
+function(json, appPath) {
+
+    var problems = [];
+    function report(path, severity, message, fix) {
+        problems.push({
+            path: path,
+            severity: severity,
+            message: message,
+            fix: fix ? fix : null
+        });
     }
 
-    // Short name
-    if (json.short_name &&
-        typeof json.short_name === "string") {
-        this._shortName= json.short_name;
+    if (typeof json !== "object" || json === null || json instanceof Array) {
+        report("$", "error", "Manifest must be a JSON object", null);
+        return problems;
     }
 
-    // Display
-    this._display = "standalone";
-    if (json.display) {
+    for (var field in _fields) {
 
-        if (["fullscreen", "standalone"].indexOf(json.display) > -1) {
-            // supported mode
-            this._display = json.display;
-        } else {
-            output.warning("Unsupported value '" + json.display + "' in manifest.json");
+        var spec = _fields[field];
+        if (typeof json[field] === "undefined") {
+            if (spec.required) {
+                report("$." + field, "error", "Missing required field '" + field + "'", spec.fix);
+            }
+            continue;
+        }
+
+        var output = new ProblemOutput();
+        if (!Manifest.validateField(field, json[field], output)) {
+            report("$." + field,
+                   spec.severity ? spec.severity : "error",
+                   output.messages.length > 0 ?
+                        output.messages.join(", ") :
+                        "Invalid value " + JSON.stringify(json[field]),
+                   spec.fix);
         }
     }
 
-    // Start URL
-    // TODO check value
-    if (json.start_url &&
-        typeof json.start_url === "string") {
-        this._startUrl = json.start_url;
+    // Likely typos, other unknown fields are left alone.
+    for (var key in json) {
+        if (!_fields[key] &&
+            key.substring(0, "xwalk_".length) === "xwalk_") {
+            report("$." + key, "warning", "Unknown field '" + key + "' is ignored",
+                   "Check the spelling against the fields listed in manifest.md");
+        }
     }
 
-    // Icons
-    this._icons = [];
-    if (json.icons) {
-        // TODO validate
-        this._icons = json.icons;
+    if (json.icons instanceof Array) {
+        checkIcons(json.icons, appPath, report);
     }
 
-    // Package ID
-    if (json.xwalk_package_id &&
-        CommandParser.validatePackageId(json.xwalk_package_id, this._output)) {
-        this._packageId = json.xwalk_package_id;
-    } else {
-        throw new Error("manifest.json: Invalid package ID '" + json.xwalk_package_id + "'");
+    if (appPath && typeof json.start_url === "string") {
+        checkStartUrl(json.start_url, appPath, report);
     }
 
-    // Target platforms
-    if (json.xwalk_target_platforms &&
-        typeof json.xwalk_target_platforms === "string") {
-        this._targetPlatforms = json.xwalk_target_platforms;
+    if (typeof json.scope === "string" &&
+        resolveAppUrl(json.scope) !== null &&
+        !isInScope(json.scope, json.start_url)) {
+        report("$.scope", "warning",
+               "Start URL '" + json.start_url + "' is outside of scope '" + json.scope + "', scope is ignored",
+               _fields.scope.fix);
     }
 
-    if (!this._targetPlatforms) {
-        output.error("Missing or invalid target platforms in the manifest");
-        output.error("Try adding");
-        output.error('    "xwalk_target_platforms": "android"');
-        output.error("or similar for platform of choice.");
+    if (json.xwalk_android_permissions) {
+        checkAndroidPermissions(json.xwalk_android_permissions, report);
     }
 
-    // Android animatable view
-    this._androidAnimatableView = false;
-    if (json.xwalk_android_animatable_view) {
+    return problems;
+};
 
-        // Recognise boolean or string true.
-        if (typeof json.xwalk_android_animatable_view === "boolean" ||
-        json.xwalk_android_animatable_view === "true") {
-            this._androidAnimatableView = true;
-        }
+/**
+ * Format problem for the user, with its JSON path and fix.
+ * @param {Manifest~Problem} problem Problem found by {@link Manifest.check}
+ * @returns {String} Message.
+ * @private
+ */
+function formatProblem(problem) {
+
+    var message = problem.path + ": " + problem.message;
+    if (problem.fix) {
+        message += ". " + problem.fix;
     }
 
-    // Android "keep screen on"
-    this._androidKeepScreenOn = false;
-    if (json.xwalk_android_keep_screen_on) {
+    return message;
+}
 
-        // Recognise boolean or string true.
-        if (typeof json.xwalk_android_keep_screen_on === "boolean" ||
-        json.xwalk_android_keep_screen_on === "true") {
-            this._androidKeepScreenOn = true;
-        }
+/**
+ * Check all fields in manifest.json, without loading it into a {@link Manifest}.
+ * All problems are reported, each with its JSON path and a suggested fix.
+ * @param {OutputIface} output Output to write errors and warnings to
+ * @param {String} path Path to manifest.json
+ * @param {Boolean} [strict] Fail on warnings too
+ * @returns {Boolean} true if valid, otherwise false.
+ * @static
+ */
+Manifest.validate =
+function(output, path, strict) {
+
+    var json = null;
+    try {
+        json = JSON.parse(FS.readFileSync(path, {"encoding": "utf8"}));
+    } catch (e) {
+        output.error("Failed to load '" + path + "': " + e.message);
+        return false;
     }
 
-    // Windows update ID
-    // Optional field, only check if present.
-    this._windowsUpdateId = null;
-    if (json.xwalk_windows_update_id) {
+    var problems = Manifest.check(json, Path.dirname(path));
+    problems.forEach(function(problem) {
+
+        var message = formatProblem(problem);
+        if (problem.severity === "error" || strict) {
+            output.error(message);
+        } else {
+            output.warning(message);
+        }
+    });
 
-        var parts = json.xwalk_windows_update_id.split("-");
-        if (parts.length === 5 &&
-            parts[0].length === 8 && parts[0].match("^[0-9]*$") &&
-            parts[1].length === 4 && parts[1].match("^[0-9]*$") &&
-            parts[2].length === 4 && parts[2].match("^[0-9]*$") &&
-            parts[3].length === 4 && parts[3].match("^[0-9]*$") &&
-            parts[4].length === 12 && parts[4].match("^[0-9]*$")) {
+    return !problems.some(function(problem) {
+        return problem.severity === "error" || strict;
+    });
+};
 
-            this._windowsUpdateId = json.xwalk_windows_update_id;
+/**
+ * Write JSON in the same formatting as the original file.
+ * Single-line files stay on a single line.
+ * @param {String} path Path to write to
+ * @param {String} buffer Original file contents
+ * @param {Object} json Data to write
+ */
+function writeJson(path, buffer, json) {
 
-        } else {
+    // Detect formatting
+    var indent = "";
+    var match = buffer.match(/\n([ \t]+)["\]\}]/);
+    if (match) {
+        indent = match[1];
+    } else if (buffer.trim().indexOf("\n") > -1) {
+        indent = 2;
+    }
 
-            output.error("Invalid Windows Update ID + '" + json.xwalk_windows_update_id + "'");
-        }
+    // Write back
+    var output = FormatJson.plain(json, indent);
+    if (buffer.indexOf("\r\n") > -1) {
+        output = output.replace(/\n/g, "\r\n");
     }
+    var trailer = buffer.match(/\s*$/)[0];
+    FS.writeFileSync(path, output + trailer);
+}
 
-    // Windows vendor field
-    // Optional field, only check if present.
-    this._windowsVendor = null;
-    if (json.xwalk_windows_vendor) {
-        if (typeof json.xwalk_windows_vendor === "string") {
-            this._windowsVendor = json.xwalk_windows_vendor;
-        } else {
-            output.error("Windows target: Invalid vendor field + '" + json.xwalk_windows_vendor + "'");
+/**
+ * Merge imported manifest.json with generated fields.
+ * Fields already in the imported manifest are kept, missing ones are added.
+ * Only "xwalk_package_id" is always taken from the generated fields,
+ * because the project is named after it.
+ * @param {OutputIface} output Output implementation
+ * @param {String} path Path to imported manifest.json
+ * @param {Object} generated Fields as written by {@link Manifest.create}
+ * @returns {Boolean} true on success, false if the imported manifest could not be parsed.
+ * @static
+ */
+Manifest.merge =
+function(output, path, generated) {
+
+    var buffer = FS.readFileSync(path, {"encoding": "utf8"});
+    var json = null;
+    try {
+        json = JSON.parse(buffer);
+    } catch (e) {
+        output.error("Failed to parse '" + path + "': " + e.message);
+        return false;
+    }
+
+    for (var field in generated) {
+        if (typeof json[field] === "undefined") {
+            json[field] = generated[field];
         }
     }
-}
+
+    if (json.xwalk_package_id !== generated.xwalk_package_id) {
+        output.warning("Replacing xwalk_package_id '" + json.xwalk_package_id +
+                       "' with '" + generated.xwalk_package_id + "'");
+        json.xwalk_package_id = generated.xwalk_package_id;
+    }
+
+    writeJson(path, buffer, json);
+
+    return true;
+};
 
 /**
  * Create manifest at project creation stage.
@@ -227,6 +1636,7 @@ function(path, packageId) {
         // Android fields
         "xwalk_android_animatable_view": false,
         "xwalk_android_keep_screen_on": false,
+        "xwalk_android_permissions": _defaultAndroidPermissions,
         // Windows fields
         "xwalk_windows_update_id": windowsUpdateId
     });
@@ -235,6 +1645,8 @@ function(path, packageId) {
 
 /**
  * Update fields in Manifest.json
+ * Key order, indentation and line endings of the file are preserved,
+ * new fields are appended. Fields set to undefined are removed.
  * @param {Object} data Data object
  * @returns {Boolean} True on success, false on failure
  * @private
@@ -259,13 +1671,131 @@ function(data) {
         json[prop] = data[prop];
     }
 
-    // Write back
-    buffer = FormatJson.plain(json);
-    FS.writeFileSync(this._path, buffer);
+    writeJson(this._path, buffer, json);
 
     return true;
 };
 
+/**
+ * Get raw field value from manifest.json
+ * @param {String} field Field name
+ * @returns {*} Field value, or undefined if not present.
+ */
+Manifest.prototype.getField =
+function(field) {
+
+    var buffer = FS.readFileSync(this._path, {"encoding": "utf8"});
+    var json = JSON.parse(buffer);
+    return json[field];
+};
+
+/**
+ * Set field in manifest.json, after checking the value with the same
+ * rules that are applied when loading the manifest.
+ * @param {String} field Field name
+ * @param {*} value Field value
+ * @throws {IllegalAccessException} If the value is invalid for the field.
+ */
+Manifest.prototype.setField =
+function(field, value) {
+
+    var errormsg;
+    if (!Manifest.validateField(field, value, this._output)) {
+        errormsg = "Invalid value '" + value + "' for field '" + field + "'";
+        this._output.error(errormsg);
+        throw new IllegalAccessException(errormsg);
+    }
+
+    var data = {};
+    data[field] = value;
+    if (!this.update(data)) {
+        errormsg = "Failed to write field '" + field + "'";
+        throw new IllegalAccessException(errormsg);
+    }
+
+    var spec = _fields[field];
+    if (spec) {
+        this[spec.member] = spec.normalize ? spec.normalize(value) : value;
+    } else {
+        this._output.warning("Field '" + field + "' is not known to this tool");
+    }
+};
+
+/**
+ * Remove field from manifest.json
+ * @param {String} field Field name
+ * @throws {IllegalAccessException} If a required field is to be removed.
+ */
+Manifest.prototype.unsetField =
+function(field) {
+
+    var errormsg;
+    var spec = _fields[field];
+    if (spec && spec.required) {
+        errormsg = "Field '" + field + "' is required and can not be removed";
+        this._output.error(errormsg);
+        throw new IllegalAccessException(errormsg);
+    }
+
+    var data = {};
+    data[field] = undefined;
+    if (!this.update(data)) {
+        errormsg = "Failed to remove field '" + field + "'";
+        throw new IllegalAccessException(errormsg);
+    }
+
+    if (spec) {
+        this[spec.member] = spec.normalize ?
+                                spec.normalize(undefined) :
+                                spec.fallback;
+    }
+};
+
+/**
+ * Name and short name for a language, looked up in "xwalk_locales" by full
+ * language tag first, then by primary language, e.g. "pt-BR", then "pt".
+ * Falls back to the unlocalized fields.
+ * @param {String} lang Language tag, or null for the unlocalized names
+ * @returns {Object} Object with "name" and "short_name" properties.
+ */
+Manifest.prototype.getLocalizedNames =
+function(lang) {
+
+    var names = {
+        name: this._name,
+        short_name: this._shortName ? this._shortName : this._name
+    };
+
+    var candidates = [];
+    if (lang) {
+        candidates.push(lang);
+        if (lang.indexOf("-") > 0) {
+            candidates.push(lang.split("-")[0]);
+        }
+    }
+
+    // Tags are case-insensitive.
+    var locales = {};
+    for (var key in this._locales) {
+        locales[key.toLowerCase()] = this._locales[key];
+    }
+
+    for (var i = candidates.length - 1; i >= 0; i--) {
+        var locale = locales[candidates[i].toLowerCase()];
+        if (locale) {
+            if (locale.name) {
+                names.name = locale.name;
+                names.short_name = locale.name;
+            }
+            if (locale.short_name) {
+                names.short_name = locale.short_name;
+            }
+        }
+    }
+
+    return names;
+};
+
 /**
  * Application version a.b.c where a,b < 100, c < 1000
  * @member {String} version
@@ -350,6 +1880,97 @@ Object.defineProperty(Manifest.prototype, "icons", {
                            }
                       });
 
+/**
+ * Orientation, or null if not given
+ * @member {String} orientation
+ * @instance
+ * @memberOf Manifest
+ * @see http://www.w3.org/TR/appmanifest/#orientation-member
+ */
+Object.defineProperty(Manifest.prototype, "orientation", {
+                      get: function() {
+                                return this._orientation;
+                           }
+                      });
+
+/**
+ * Theme color as #rrggbb, or null if not given
+ * @member {String} themeColor
+ * @instance
+ * @memberOf Manifest
+ * @see http://www.w3.org/TR/appmanifest/#theme_color-member
+ */
+Object.defineProperty(Manifest.prototype, "themeColor", {
+                      get: function() {
+                                return this._themeColor;
+                           }
+                      });
+
+/**
+ * Background color as #rrggbb, or null if not given
+ * @member {String} backgroundColor
+ * @instance
+ * @memberOf Manifest
+ * @see http://www.w3.org/TR/appmanifest/#background_color-member
+ */
+Object.defineProperty(Manifest.prototype, "backgroundColor", {
+                      get: function() {
+                                return this._backgroundColor;
+                           }
+                      });
+
+/**
+ * Language tag, or null if not given
+ * @member {String} lang
+ * @instance
+ * @memberOf Manifest
+ * @see http://www.w3.org/TR/appmanifest/#lang-member
+ */
+Object.defineProperty(Manifest.prototype, "lang", {
+                      get: function() {
+                                return this._lang;
+                           }
+                      });
+
+/**
+ * Text direction, "ltr", "rtl" or "auto"
+ * @member {String} dir
+ * @instance
+ * @memberOf Manifest
+ * @see http://www.w3.org/TR/appmanifest/#dir-member
+ */
+Object.defineProperty(Manifest.prototype, "dir", {
+                      get: function() {
+                                return this._dir;
+                           }
+                      });
+
+/**
+ * Navigation scope, or null if not given
+ * @member {String} scope
+ * @instance
+ * @memberOf Manifest
+ * @see http://www.w3.org/TR/appmanifest/#scope-member
+ */
+Object.defineProperty(Manifest.prototype, "scope", {
+                      get: function() {
+                                return this._scope;
+                           }
+                      });
+
+/**
+ * Description, or null if not given
+ * @member {String} description
+ * @instance
+ * @memberOf Manifest
+ * @see http://www.w3.org/TR/appmanifest/#description-member
+ */
+Object.defineProperty(Manifest.prototype, "description", {
+                      get: function() {
+                                return this._description;
+                           }
+                      });
+
 /**
  * Start URL
  * @member {String} startUrl
@@ -400,8 +2021,71 @@ Object.defineProperty(Manifest.prototype, "androidKeepScreenOn", {
                       });
 
 /**
- * Build target platforms for the apps
- * @member {String} targetPlatforms
+ * Localized names by language tag, e.g. {"de": {"name": "Beispiel", "short_name": "Bsp"}}.
+ * @member {Object} locales
+ * @instance
+ * @memberOf Manifest
+ */
+Object.defineProperty(Manifest.prototype, "locales", {
+                      get: function() {
+                                return this._locales;
+                           }
+                      });
+
+/**
+ * Crosswalk command line switches, e.g. "--ignore-gpu-blacklist".
+ * @member {String} commandLine Switches separated by spaces, or null
+ * @instance
+ * @memberOf Manifest
+ */
+Object.defineProperty(Manifest.prototype, "commandLine", {
+                      get: function() {
+                                return this._commandLine;
+                           }
+                      });
+
+/**
+ * Permissions of the android app, fully qualified like "android.permission.CAMERA".
+ * @member {String[]} androidPermissions Permission names, or null to keep the project's
+ * @instance
+ * @memberOf Manifest
+ */
+Object.defineProperty(Manifest.prototype, "androidPermissions", {
+                      get: function() {
+                                return this._androidPermissions;
+                           }
+                      });
+
+/**
+ * Android packaging mode, "embedded" bundles Crosswalk into an APK per ABI,
+ * "shared" builds a single APK that uses the Crosswalk runtime library on the device.
+ * @member {String} androidMode
+ * @instance
+ * @memberOf Manifest
+ */
+Object.defineProperty(Manifest.prototype, "androidMode", {
+                      get: function() {
+                                return this._androidMode;
+                           }
+                      });
+
+/**
+ * ABIs to build android packages for, e.g. ["armeabi-v7a", "arm64-v8a"].
+ * @member {String[]} androidTargets ABI names, or null to use the "android-targets" setting
+ * @instance
+ * @memberOf Manifest
+ */
+Object.defineProperty(Manifest.prototype, "androidTargets", {
+                      get: function() {
+                                return this._androidTargets;
+                           }
+                      });
+
+/**
+ * Build target platforms for the apps.
+ * Setting accepts a platform name, comma-separated names or an array.
+ * A single platform is written to manifest.json as string, several as array.
+ * @member {String[]} targetPlatforms
  * @throws {IllegalAccessException} If unknown target platforms are set.
  * @instance
  * @memberOf Manifest
@@ -411,15 +2095,13 @@ Object.defineProperty(Manifest.prototype, "targetPlatforms", {
                                 return this._targetPlatforms;
                            },
                       set: function(targetPlatforms) {
-                                var PlatformsManager = require("./PlatformsManager");
-                                var mgr = new PlatformsManager(this._output);
-                                if (typeof targetPlatforms === "string" &&
-                                    mgr.load(targetPlatforms)) {
-                                    this._targetPlatforms = targetPlatforms;
-                                    this.update({"xwalk_target_platforms": this._targetPlatforms});
+                                if (Manifest.validateTargetPlatforms(targetPlatforms, this._output)) {
+                                    this._targetPlatforms = normalizePlatforms(targetPlatforms);
+                                    this.update({"xwalk_target_platforms": this._targetPlatforms.length === 1 ?
+                                                                            this._targetPlatforms[0] :
+                                                                            this._targetPlatforms});
                                 } else {
                                     var errormsg = "Target platform '" + targetPlatforms + "' not available";
-                                    this._output.error(errormsg);
                                     throw new IllegalAccessException(errormsg);
                                 }
                            }
@@ -449,4 +2131,29 @@ Object.defineProperty(Manifest.prototype, "windowsVendor", {
                            }
                       });
 
+/**
+ * Commands to run before and after operations, by hook name, e.g. "pre-build".
+ * @member {Object} hooks
+ * @instance
+ * @memberOf Manifest
+ */
+Object.defineProperty(Manifest.prototype, "hooks", {
+                      get: function() {
+                                return this._hooks;
+                           }
+                      });
+
+/**
+ * Fields by build configuration and platform, empty when overrides
+ * have already been applied, see {@link Manifest.applyOverrides}.
+ * @member {Object} overrides
+ * @instance
+ * @memberOf Manifest
+ */
+Object.defineProperty(Manifest.prototype, "overrides", {
+                      get: function() {
+                                return this._overrides;
+                           }
+                      });
+
 module.exports = Manifest;
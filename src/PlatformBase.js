@@ -2,18 +2,97 @@
 // Use  of this  source  code is  governed by  an Apache v2
 // license that can be found in the LICENSE-APACHE-V2 file.
 
+var Crypto = require("crypto");
+var FS = require("fs");
 var Path = require("path");
 
 var ShellJS = require("shelljs");
 
 var Application = require("./Application");
+var Config = require("./Config");
 var LogfileOutput = require("./LogfileOutput");
 
 var InvalidPathException = require("./util/exceptions").InvalidPathException;
 
+/**
+ * File in the platform project recording the imported Crosswalk version.
+ */
+var VERSION_FILENAME = "crosswalk-version";
+
+/**
+ * File in the platform project recording inputs of built packages,
+ * so unchanged packages are not built again.
+ */
+var BUILD_STATE_FILENAME = "build-state.json";
+
+/**
+ * Hash file, or dir with all files below it. Symlinks below path
+ * are not followed, their target is hashed instead, so link loops
+ * do no harm.
+ * @param {String} path Path to hash
+ * @param {String[]} [exclude] Toplevel entries to skip
+ * @returns {String} Hex digest, or null if path does not exist.
+ */
+function hashPath(path, exclude) {
+
+    if (!ShellJS.test("-e", path)) {
+        return null;
+    }
+
+    var hash = Crypto.createHash("sha1");
+    var walk = function(dir, relDir) {
+        FS.readdirSync(dir).sort().forEach(function(entry) {
+            if (!relDir && exclude && exclude.indexOf(entry) > -1) {
+                return;
+            }
+            var entryPath = Path.join(dir, entry);
+            var relPath = relDir ? relDir + "/" + entry : entry;
+            var stats = FS.lstatSync(entryPath);
+            if (stats.isSymbolicLink()) {
+                hash.update(relPath + "\0->\0" + FS.readlinkSync(entryPath) + "\0");
+            } else if (stats.isDirectory()) {
+                walk(entryPath, relPath);
+            } else {
+                hash.update(relPath + "\0");
+                hash.update(FS.readFileSync(entryPath));
+            }
+        });
+    };
+
+    if (FS.statSync(path).isDirectory()) {
+        walk(path, null);
+    } else {
+        hash.update(FS.readFileSync(path));
+    }
+
+    return hash.digest("hex");
+}
+
+/**
+ * Read build state of platform project.
+ * @param {String} platformPath Path to the platform project
+ * @returns {Object} Map of package name to inputs and path, empty if there is none or it is unreadable.
+ */
+function readBuildState(platformPath) {
+
+    var path = Path.join(platformPath, BUILD_STATE_FILENAME);
+    if (!ShellJS.test("-f", path)) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(FS.readFileSync(path, {"encoding": "utf8"}));
+    } catch (e) {
+        // Just build everything again.
+        return {};
+    }
+}
+
 /**
  * Callback signature for {@link PlatformBase.generate}.
- * @param {String} errormsg null on success, otherwise error message
+ * @param {String|exceptions.CrosswalkError} errormsg null on success, otherwise error
+ *                                                   message, or error whose class
+ *                                                   determines the exit status
  * @inner
  * @memberOf PlatformBase
  */
@@ -28,6 +107,43 @@ function platformBaseOperationCb(result) {}
  * @memberOf PlatformBase
  */
 
+/**
+ * @typedef RequirementResult
+ * @type {Object}
+ * @property {String} name Name of the requirement, e.g. "ant"
+ * @property {Boolean} pass Whether the requirement is met
+ * @property {String} detail What was found, e.g. path and version
+ * @property {String} hint How to fix the environment when the requirement is not met
+ * @property {Boolean} [optional] Only needed for some features, failure is not fatal
+ * @memberOf PlatformBase
+ */
+
+/**
+ * Callback signature for {@link PlatformBase.checkRequirements}.
+ * @param {PlatformBase~RequirementResult[]} results Results of the checks
+ * @inner
+ * @memberOf PlatformBase
+ */
+function checkRequirementsCb(results) {}
+
+/**
+ * @typedef VersionInfo
+ * @type {Object}
+ * @property {String} version Crosswalk version, format w.x.y.z
+ * @property {Boolean} cached Whether the release is already downloaded
+ * @memberOf PlatformBase
+ */
+
+/**
+ * Callback signature for {@link PlatformBase.fetchVersions}.
+ * Both versions and errormsg are null if the backend does not support listing versions.
+ * @param {PlatformBase~VersionInfo[]} versions Available versions, oldest first
+ * @param {String} errormsg null on success, otherwise error message
+ * @inner
+ * @memberOf PlatformBase
+ */
+function fetchVersionsCb(versions, errormsg) {}
+
 /**
  * Interface for platform implementations.
  * @constructor
@@ -177,11 +293,15 @@ Object.defineProperty(PlatformBase.prototype, "prjPath", {
 
 /**
  * Export a built package to the common packages folder.
+ * The package is recorded in {@link Application#artifacts}.
  * @param {String} packagePath Path where the built package is located
+ * @param {String} [configId] Build configuration, e.g. "debug" or "release"
+ * @param {String} [abi] ABI the package was built for, if any
+ * @returns {String} Path to the exported package.
  * @throws {InvalidPathException} If package file or package folder do not exist.
  */
 PlatformBase.prototype.exportPackage =
-function(packagePath) {
+function(packagePath, configId, abi) {
 
     if (!ShellJS.test("-f", packagePath)) {
         throw new InvalidPathException("Package could not be found " + packagePath);
@@ -191,7 +311,119 @@ function(packagePath) {
         throw new InvalidPathException("Package could not be found " + this.pkgPath);
     }
 
-    ShellJS.mv('-f', packagePath, this.pkgPath);
+    // Packages may already have been built right in the packages folder.
+    var exportedPath = Path.join(this.pkgPath, Path.basename(packagePath));
+    if (Path.resolve(Path.dirname(packagePath)) !== Path.resolve(this.pkgPath)) {
+        if (this._application.dryRun.skip(this.output, "move " + packagePath + " to " + this.pkgPath)) {
+            exportedPath = packagePath;
+        } else {
+            ShellJS.mv('-f', packagePath, this.pkgPath);
+        }
+    }
+
+    this._application.artifacts.push({
+        path: exportedPath,
+        platform: this._platformId,
+        config: configId ? configId : null,
+        abi: abi ? abi : null,
+        size: FS.statSync(exportedPath).size
+    });
+
+    return exportedPath;
+};
+
+/**
+ * Collect what goes into building a package, to find out
+ * whether it needs to be built again.
+ * @param {String} configId Build configuration, e.g. "debug" or "release"
+ * @param {Object} args Extra options for the build command
+ * @returns {Object} Hashes of app content and manifest, Crosswalk version, configuration, options and settings.
+ */
+PlatformBase.prototype.getBuildInputs =
+function(configId, args) {
+
+    var buildArgs = {};
+    for (var key in args) {
+        if (key !== "force") {
+            buildArgs[key] = args[key];
+        }
+    }
+
+    // Settings of the backend, e.g. "android-targets", and the hook run before
+    // building. Secrets like passwords do not change the package.
+    var config = this._application.config;
+    var settings = {};
+    config.keys.forEach(function(key) {
+        if ((key.indexOf(this._platformId + "-") === 0 || key === "pre-build") &&
+            !Config.class.isSecret(key)) {
+            settings[key] = config.get(key);
+        }
+    }.bind(this));
+
+    return {
+        app: hashPath(this.appPath, [ "manifest.json" ]),
+        manifest: hashPath(Path.join(this.appPath, "manifest.json")),
+        crosswalk: PlatformBase.readVersion(this.platformPath),
+        config: configId,
+        args: JSON.stringify(buildArgs),
+        settings: JSON.stringify(settings)
+    };
+};
+
+/**
+ * Find package built from the same inputs before.
+ * @param {String} key Name of the package within the platform, e.g. "release/x86"
+ * @param {Object} inputs Inputs as returned by {@link PlatformBase#getBuildInputs}
+ * @returns {String} Path to the package, or null if it needs to be built.
+ */
+PlatformBase.prototype.findBuiltPackage =
+function(key, inputs) {
+
+    var state = readBuildState(this.platformPath);
+    var entry = state[key];
+    if (!entry ||
+        JSON.stringify(entry.inputs) !== JSON.stringify(inputs) ||
+        !ShellJS.test("-f", entry.path)) {
+        return null;
+    }
+
+    return entry.path;
+};
+
+/**
+ * Record inputs of a built package, see {@link PlatformBase#findBuiltPackage}.
+ * @param {String} key Name of the package within the platform, e.g. "release/x86"
+ * @param {Object} inputs Inputs as returned by {@link PlatformBase#getBuildInputs}
+ * @param {String} packagePath Path to the exported package
+ */
+PlatformBase.prototype.recordBuiltPackage =
+function(key, inputs, packagePath) {
+
+    // Nothing is built in dry-run mode.
+    if (this._application.dryRun.isEnabled()) {
+        return;
+    }
+
+    var state = readBuildState(this.platformPath);
+    state[key] = {
+        inputs: inputs,
+        path: packagePath
+    };
+    FS.writeFileSync(Path.join(this.platformPath, BUILD_STATE_FILENAME),
+                     JSON.stringify(state, null, 2) + "\n");
+};
+
+/**
+ * Record the Crosswalk version the platform project was created or updated with.
+ * The version is recorded in {@link Application#versions}, and kept in the
+ * platform project, see {@link PlatformBase.readVersion}.
+ * @param {String} version Crosswalk version in w.x.y.z format
+ */
+PlatformBase.prototype.exportVersion =
+function(version) {
+
+    this._application.versions[this._platformId] = version;
+    this._application.dryRun.writeFile(Path.join(this.platformPath, VERSION_FILENAME), version + "\n");
 };
 
 /**
@@ -220,15 +452,19 @@ function(versionSpec, args, callback) {
 
 /**
  * Refresh platform project after environment changes.
+ * Regenerates the files the tool owns from the manifest and templates,
+ * without re-importing Crosswalk and without touching custom code.
+ * @param {PlatformBase~platformBaseOperationCb} callback callback function
  */
 PlatformBase.prototype.refresh =
-function() {
+function(callback) {
 
     throw new Error("PlatformBase.refresh() not implemented.");
 };
 
 /**
- * Build application package.
+ * Build application package. Packages whose inputs did not change since
+ * they were last built may be skipped, unless args.force is set.
  * @param {String} release Configuration identifier for the build
  * @param {Object} args Extra options for the command
  * @param {String} configId Name of configuration to build, typically "debug" or "release"
@@ -240,4 +476,81 @@ function(configId, args, callback) {
     throw new Error("PlatformBase.build() not implemented.");
 };
 
+/**
+ * Build application package after only app content changed, so
+ * settings taken from the manifest need not be re-applied.
+ * Backends that can not tell the difference just build.
+ * @param {String} configId Name of configuration to build, typically "debug" or "release"
+ * @param {Object} args Extra options for the command
+ * @param {PlatformBase~platformBaseOperationCb} callback Callback function.
+ */
+PlatformBase.prototype.repackage =
+function(configId, args, callback) {
+
+    this.build(configId, args, callback);
+};
+
+/**
+ * Check host environment for tools the backend needs.
+ * Optional hook, backends may implement it as static function on
+ * their constructor. This default reports no requirements.
+ * @param {util} util Namespace for utility classes, see {@link util}
+ * @param {Config} config Settings, e.g. for the build system to check tools for
+ * @param {PlatformBase~checkRequirementsCb} callback callback function
+ * @static
+ */
+PlatformBase.checkRequirements =
+function(util, config, callback) {
+
+    callback([]);
+};
+
+/**
+ * Whether the backend can build packages on this host.
+ * Optional hook, backends may implement it as static function on
+ * their constructor. This default reports all hosts as supported.
+ * @param {String} hostPlatform Host OS as in process.platform, e.g. "linux"
+ * @returns {Boolean} True if packages can be built on the host.
+ * @static
+ */
+PlatformBase.supportsHost =
+function(hostPlatform) {
+
+    return true;
+};
+
+/**
+ * List Crosswalk releases available for the backend.
+ * Optional hook, backends may implement it as static function on
+ * their constructor. This default reports that listing is not supported.
+ * @param {util} util Namespace for utility classes, see {@link util}
+ * @param {Config} config Settings, e.g. for the download cache dir
+ * @param {OutputIface} output Output to write progress to
+ * @param {String} channel Release channel, "stable", "beta" or "canary"
+ * @param {PlatformBase~fetchVersionsCb} callback callback function
+ * @static
+ */
+PlatformBase.fetchVersions =
+function(util, config, output, channel, callback) {
+
+    callback(null, null);
+};
+
+/**
+ * Read the Crosswalk version a platform project uses.
+ * @param {String} platformPath Path to the platform project
+ * @returns {String} Version recorded by {@link PlatformBase#exportVersion}, or null.
+ * @static
+ */
+PlatformBase.readVersion =
+function(platformPath) {
+
+    var path = Path.join(platformPath, VERSION_FILENAME);
+    if (!ShellJS.test("-f", path)) {
+        return null;
+    }
+
+    return FS.readFileSync(path, {"encoding": "utf8"}).trim();
+};
+
 module.exports = PlatformBase;
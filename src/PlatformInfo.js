@@ -70,10 +70,11 @@ Object.defineProperty(PlatformInfo.prototype, "envSpec", {
 /**
  * Instantiate platform backend.
  * @param {Application} application Application instance
+ * @param {Function} [errorCb] Callback(error) receiving the error the backend failed with
  * @returns {PlatformBase} subclass implementing the actual platform, or null on error
  */
 PlatformInfo.prototype.create =
-function(application) {
+function(application, errorCb) {
 
     // See type PlatformData
     var platformData = {
@@ -86,12 +87,63 @@ function(application) {
     try {
         platform = new this._Ctor(PlatformBase, platformData);
     } catch (e) {
+        application.output.error(e.message);
         application.output.error("Failed to load '" + this._platformId + "' platform backend");
+        if (errorCb) {
+            errorCb(e);
+        }
     }
 
     return platform;
 };
 
+/**
+ * Check host environment for backend requirements.
+ * @param {Config} config Settings
+ * @param {PlatformBase~checkRequirementsCb} callback callback function
+ */
+PlatformInfo.prototype.checkRequirements =
+function(config, callback) {
+
+    var checkRequirements = this._Ctor.checkRequirements ?
+                                this._Ctor.checkRequirements :
+                                PlatformBase.checkRequirements;
+
+    checkRequirements(require("./util/index"), config, callback);
+};
+
+/**
+ * Whether the backend can build packages on this host.
+ * @param {String} [hostPlatform] Host OS as in process.platform, defaults to the running one
+ * @returns {Boolean} True if supported.
+ */
+PlatformInfo.prototype.supportsHost =
+function(hostPlatform) {
+
+    var supportsHost = this._Ctor.supportsHost ?
+                            this._Ctor.supportsHost :
+                            PlatformBase.supportsHost;
+
+    return supportsHost(hostPlatform ? hostPlatform : process.platform);
+};
+
+/**
+ * List Crosswalk releases available for the backend.
+ * @param {Config} config Settings
+ * @param {OutputIface} output Output to write progress to
+ * @param {String} channel Release channel, "stable", "beta" or "canary"
+ * @param {PlatformBase~fetchVersionsCb} callback callback function
+ */
+PlatformInfo.prototype.fetchVersions =
+function(config, output, channel, callback) {
+
+    var fetchVersions = this._Ctor.fetchVersions ?
+                            this._Ctor.fetchVersions :
+                            PlatformBase.fetchVersions;
+
+    fetchVersions(require("./util/index"), config, output, channel, callback);
+};
+
 /**
  * Filter arguments for backend-specific ones, and collect them for
  * invocations into the backend.
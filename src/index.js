@@ -0,0 +1,258 @@
+// Copyright © 2014 Intel Corporation. All rights reserved.
+// Use  of this  source  code is  governed by  an Apache v2
+// license that can be found in the LICENSE-APACHE-V2 file.
+
+var Path = require("path");
+
+var Application = require("./Application");
+var Config = require("./Config");
+var Exceptions = require("./util/exceptions");
+var Main = require("./Main");
+var TerminalOutput = require("./TerminalOutput");
+
+/**
+ * Result of a successful operation, or attached as "result" to the error
+ * a failed operation is rejected with.
+ * @typedef {Object} Result
+ * @property {Object[]} artifacts Built packages, see {@link Application#artifacts}
+ * @property {Object} versions Crosswalk version per platform, see {@link Application#versions}
+ * @property {String[]} warnings Warnings emitted while running the operation
+ * @memberOf api
+ */
+
+/**
+ * Common options for all operations.
+ * @typedef {Object} Options
+ * @property {String} [dir] Project directory, or for {@link api.createProject}
+ *                          the directory to create the project in. Defaults to process.cwd()
+ * @property {String} [pkgPath] Directory built packages are placed in, defaults to process.cwd()
+ * @property {String[]|String} [platforms] Only run for these target platforms
+ * @property {Object} [args] Platform options and settings without dash prefix,
+ *                           e.g. { "android-crosswalk": "beta" }
+ * @property {OutputIface} [output] Output for messages, defaults to {@link TerminalOutput}
+ * @memberOf api
+ */
+
+/**
+ * Output forwarding to the caller's output, while recording warnings
+ * and the last error for the {@link api.Result}.
+ * @constructor
+ * @param {OutputIface} output Output to forward to
+ * @extends OutputIface
+ * @inner
+ * @memberOf api
+ */
+function RecordingOutput(output) {
+
+    this._output = output;
+    this._warnings = [];
+    this._lastError = null;
+}
+
+// Implementation of OutputIface.error
+RecordingOutput.prototype.error =
+function(message) {
+
+    this._lastError = message;
+    this._output.error(message);
+};
+
+// Implementation of OutputIface.warning
+RecordingOutput.prototype.warning =
+function(message) {
+
+    this._warnings.push(message);
+    this._output.warning(message);
+};
+
+// Implementation of OutputIface.info
+RecordingOutput.prototype.info =
+function(message) {
+
+    this._output.info(message);
+};
+
+// Implementation of OutputIface.highlight
+RecordingOutput.prototype.highlight =
+function(message) {
+
+    this._output.highlight(message);
+};
+
+// Implementation of OutputIface.write
+RecordingOutput.prototype.write =
+function(message) {
+
+    this._output.write(message);
+};
+
+// Implementation of OutputIface.createFiniteProgress
+RecordingOutput.prototype.createFiniteProgress =
+function(label) {
+
+    return this._output.createFiniteProgress(label);
+};
+
+// Implementation of OutputIface.createInfiniteProgress
+RecordingOutput.prototype.createInfiniteProgress =
+function(label) {
+
+    return this._output.createInfiniteProgress(label);
+};
+
+/**
+ * Set up application and run operation on it.
+ * @param {api.Options} options Options as passed by the caller
+ * @param {String} [packageId] Package ID, only when creating a project
+ * @param {Function} operation Function(app, extraArgs, callback) running a {@link Main} method
+ * @returns {Promise} Promise resolving to {@link api.Result}.
+ * @inner
+ * @memberOf api
+ */
+function run(options, packageId, operation) {
+
+    options = options ? options : {};
+
+    var output = new RecordingOutput(options.output ?
+                                        options.output :
+                                        TerminalOutput.getInstance());
+    var dir = options.dir ? Path.resolve(options.dir) : process.cwd();
+    var pkgPath = options.pkgPath ? Path.resolve(options.pkgPath) : null;
+
+    // Same shape as the command-line args Main gets from Minimist.
+    var extraArgs = {};
+    var args = options.args ? options.args : {};
+    for (var key in args) {
+        extraArgs[key] = args[key];
+    }
+    if (options.platforms) {
+        extraArgs.platforms = Array.isArray(options.platforms) ?
+                                options.platforms.join(",") :
+                                options.platforms;
+    }
+
+    return new Promise(function(resolve, reject) {
+
+        var app = Object.create(Main);
+        try {
+            // Settings like on the command-line, options taking the place of flags.
+            // Each call has its own, so concurrent calls do not affect each other.
+            var config = new Config.class();
+            config.load(packageId ? null : dir, extraArgs);
+
+            // Chain up the constructor.
+            Application.call(app, dir, packageId, output, pkgPath, config);
+        } catch (e) {
+            output.error(e.message);
+            e.errno = Exceptions.exitCodeFor(e);
+            e.result = { artifacts: [], versions: {}, warnings: output._warnings };
+            reject(e);
+            return;
+        }
+
+        operation(app, extraArgs, function(errno) {
+
+            var result = {
+                artifacts: app.artifacts,
+                versions: app.versions,
+                warnings: output._warnings
+            };
+
+            if (errno) {
+                // Error class tells the category of failure, see exceptions.CrosswalkError.
+                var error = Exceptions.fromExitCode(errno, output._lastError ?
+                                                            output._lastError :
+                                                            "Operation failed");
+                error.errno = errno;
+                error.result = result;
+                reject(error);
+            } else {
+                resolve(result);
+            }
+        });
+    });
+}
+
+/**
+ * Create project in options.dir, the project dir is named after the package ID.
+ * @param {String} packageId Package ID in com.example.foo format
+ * @param {api.Options} [options] Options
+ * @returns {Promise} Promise resolving to {@link api.Result}.
+ * @memberOf api
+ */
+function createProject(packageId, options) {
+
+    if (!packageId) {
+        return Promise.reject(new Error("Package ID not given"));
+    }
+
+    return run(options, packageId, function(app, extraArgs, callback) {
+        app.create(packageId, extraArgs, callback);
+    });
+}
+
+/**
+ * Update Crosswalk in the project.
+ * @param {api.Options} [options] Options, plus "version" for the Crosswalk
+ *                                version or channel, defaults to the "crosswalk-channel" setting
+ * @returns {Promise} Promise resolving to {@link api.Result}.
+ * @memberOf api
+ */
+function update(options) {
+
+    var version = options && options.version ? options.version : null;
+    return run(options, null, function(app, extraArgs, callback) {
+        app.update(version ? version : app.config.get("crosswalk-channel"),
+                   extraArgs, callback);
+    });
+}
+
+/**
+ * Regenerate platform projects from manifest and templates.
+ * @param {api.Options} [options] Options
+ * @returns {Promise} Promise resolving to {@link api.Result}.
+ * @memberOf api
+ */
+function refresh(options) {
+
+    return run(options, null, function(app, extraArgs, callback) {
+        app.refresh(extraArgs, callback);
+    });
+}
+
+/**
+ * Build packages for the project.
+ * @param {api.Options} [options] Options, plus "config" for the build
+ *                                configuration, "debug" (default) or "release"
+ * @returns {Promise} Promise resolving to {@link api.Result}.
+ * @memberOf api
+ */
+function build(options) {
+
+    var configId = options && options.config ? options.config : "debug";
+    if (configId !== "debug" && configId !== "release") {
+        return Promise.reject(new Error("Unknown build configuration '" + configId + "'"));
+    }
+
+    return run(options, null, function(app, extraArgs, callback) {
+        app.build(configId, extraArgs, callback);
+    });
+}
+
+/**
+ * Programmatic entry point, for use from build scripts and other tools.
+ * Unlike the command-line, nothing here reads process.argv or changes
+ * the working directory, and each call has its own settings, so calls
+ * can run concurrently.
+ * @namespace api
+ */
+module.exports = {
+    createProject: createProject,
+    update: update,
+    refresh: refresh,
+    build: build,
+    /** {@link OutputIface}, to implement custom outputs */
+    OutputIface: require("./OutputIface"),
+    /** {@link exceptions}, to tell failures apart */
+    exceptions: Exceptions
+};
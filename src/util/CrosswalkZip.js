@@ -109,8 +109,8 @@ function CrosswalkZip(path) {
     var base = Path.basename(path, ".zip");
     this._root = base + "/";
 
-    // Extract version
-    var version = base.split("-")[1];
+    // Extract version, the last part as in "crosswalk-shared-15.44.384.12"
+    var version = base.split("-").pop();
     var numbers = version.split(".");
     this._version = new Version(+numbers[0], +numbers[1], +numbers[2], +numbers[3]);
 }
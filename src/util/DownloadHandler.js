@@ -54,11 +54,7 @@ function() {
         throw new exceptions.FileCreationFailed("Could not create stream, file exists " + this._tmpfile);
     }
 
-    ShellJS.pushd(this._path);
-    var tmpFileName = MkTemp.createFileSync("XXXXXX");
-    ShellJS.popd();
-
-    this._tmpfile = Path.join(this._path, tmpFileName);
+    this._tmpfile = MkTemp.createFileSync(Path.join(this._path, "XXXXXX"));
 
     var options = {
         flags: "w",
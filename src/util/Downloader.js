@@ -119,7 +119,7 @@ function(urlInfo, callback) {
         return;
     }
 
-    getFunc(urlInfo, function(res) {
+    var req = getFunc(urlInfo, function(res) {
 
         if (res.statusCode != 200) {
             callback("Download failed: HTTP Status " + res.statusCode);
@@ -171,6 +171,12 @@ function(urlInfo, callback) {
         }.bind(this));
 
     }.bind(this));
+
+    // Connection errors, e.g. host not found.
+    req.on("error", function(e) {
+
+        callback("Download failed: " + e.message);
+    });
 };
 
 Downloader.prototype.getHttpsProxyImpl =
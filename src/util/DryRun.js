@@ -0,0 +1,129 @@
+// Copyright © 2014 Intel Corporation. All rights reserved.
+// Use  of this  source  code is  governed by  an Apache v2
+// license that can be found in the LICENSE-APACHE-V2 file.
+
+var FS = require("fs");
+
+var JsDiff = require("diff");
+var ShellJS = require("shelljs");
+
+var Config = require("../Config");
+
+/**
+ * Support for the "--dry-run" option. Reads and computations are done as
+ * usual, but files are only written to memory, and tool invocations and
+ * downloads are skipped. Planned changes are reported as unified diffs
+ * by {@link DryRun#flush}.
+ * Each {@link Application} has its own instance, see {@link Application#dryRun}.
+ * @constructor
+ * @param {Config} config Settings, dry-run mode is on when the "dry-run" option is set
+ */
+function DryRun(config) {
+
+    this._config = config;
+
+    // Planned file contents by path, in dry-run mode.
+    this._pending = {};
+}
+
+/**
+ * Whether the "dry-run" option is set.
+ * @returns {Boolean} true in dry-run mode, otherwise false.
+ */
+DryRun.prototype.isEnabled =
+function() {
+
+    return this._config.get("dry-run") === true;
+};
+
+/**
+ * Read file, taking into account contents planned to be written.
+ * @param {String} path Path to file
+ * @returns {String} File contents.
+ */
+DryRun.prototype.readFile =
+function(path) {
+
+    if (this.isEnabled() && typeof this._pending[path] === "string") {
+        return this._pending[path];
+    }
+
+    return FS.readFileSync(path, {"encoding": "utf8"});
+};
+
+/**
+ * Write file, or in dry-run mode only record the planned contents.
+ * @param {String} path Path to file
+ * @param {String} data File contents
+ */
+DryRun.prototype.writeFile =
+function(path, data) {
+
+    if (this.isEnabled()) {
+        this._pending[path] = data.toString();
+    } else {
+        FS.writeFileSync(path, data);
+    }
+};
+
+/**
+ * Report an action that is skipped in dry-run mode, like a download
+ * or running an external tool.
+ * @param {OutputIface} output Output to write to
+ * @param {String} action Description of the action, e.g. "run 'ant debug'"
+ * @returns {Boolean} true if in dry-run mode, so the action must be skipped.
+ */
+DryRun.prototype.skip =
+function(output, action) {
+
+    if (!this.isEnabled()) {
+        return false;
+    }
+
+    output.info("Dry run, would " + action);
+    return true;
+};
+
+/**
+ * Print unified diffs of the planned file contents, and forget about them.
+ * @param {OutputIface} output Output to write to
+ */
+DryRun.prototype.flush =
+function(output) {
+
+    Object.keys(this._pending).sort().forEach(function(path) {
+
+        var current = ShellJS.test("-f", path) ?
+                        FS.readFileSync(path, {"encoding": "utf8"}) :
+                        "";
+        if (current !== this._pending[path]) {
+            output.write(JsDiff.createTwoFilesPatch(path, path, current, this._pending[path],
+                                                    "current", "planned"));
+        }
+    }.bind(this));
+
+    this._pending = {};
+};
+
+var _instance = null;
+
+/**
+ * Retrieve instance using the process-wide settings, for code that
+ * is not passed the one of an {@link Application}.
+ * @function getInstance
+ * @returns {DryRun} Singleton instance.
+ * @memberOf DryRun
+ */
+function getInstance() {
+
+    if (!_instance) {
+        _instance = new DryRun(Config.getInstance());
+    }
+
+    return _instance;
+}
+
+module.exports = {
+    class: DryRun,
+    getInstance: getInstance
+};
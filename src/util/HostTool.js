@@ -0,0 +1,108 @@
+// Copyright © 2014 Intel Corporation. All rights reserved.
+// Use  of this  source  code is  governed by  an Apache v2
+// license that can be found in the LICENSE-APACHE-V2 file.
+
+var ChildProcess = require("child_process");
+
+var ShellJS = require("shelljs");
+
+/**
+ * Callback signature for {@link HostTool.exec}.
+ * @param {String} output Combined stdout and stderr of the tool
+ * @param {String} errormsg Error message or null
+ * @inner
+ * @memberOf HostTool
+ */
+function execCb(output, errormsg) {}
+
+/**
+ * Callback signature for {@link HostTool.queryVersion}.
+ * @param {String} version Version string or null
+ * @param {String} output Combined stdout and stderr of the tool
+ * @param {String} errormsg Error message or null
+ * @inner
+ * @memberOf HostTool
+ */
+function queryVersionCb(version, output, errormsg) {}
+
+/**
+ * Wrapper for an executable that is looked up in the environment's search path.
+ * @constructor
+ * @param {String} name Name of the executable, e.g. "ant"
+ */
+function HostTool(name) {
+
+    this._name = name;
+    this._path = ShellJS.which(name);
+}
+
+/**
+ * Name of the executable.
+ * @member {String} name
+ * @instance
+ * @memberOf HostTool
+ */
+Object.defineProperty(HostTool.prototype, "name", {
+                      get: function() {
+                                return this._name;
+                           }
+                      });
+
+/**
+ * Path to the executable, or null if not found.
+ * @member {String} path
+ * @instance
+ * @memberOf HostTool
+ */
+Object.defineProperty(HostTool.prototype, "path", {
+                      get: function() {
+                                return this._path;
+                           }
+                      });
+
+/**
+ * Run the tool and collect its output.
+ * @param {String[]} args Command-line arguments
+ * @param {HostTool~execCb} callback callback function
+ */
+HostTool.prototype.exec =
+function(args, callback) {
+
+    if (!this._path) {
+        callback(null, "Executable '" + this._name + "' not found in path");
+        return;
+    }
+
+    ChildProcess.execFile(this._path, args, { timeout: 60000 },
+                          function(error, stdout, stderr) {
+
+        var output = stdout + "\n" + stderr;
+        callback(output, error ? error.message : null);
+    });
+};
+
+/**
+ * Run the tool and extract its version from the output.
+ * Tools print their version to either stdout or stderr, so both are matched.
+ * Some tools exit with error status when printing the version, so this is
+ * not treated as failure if the version could be found.
+ * @param {String[]} args Arguments that make the tool print its version, e.g. ["-version"]
+ * @param {RegExp} regex Expression whose first group captures the version
+ * @param {HostTool~queryVersionCb} callback callback function
+ */
+HostTool.prototype.queryVersion =
+function(args, regex, callback) {
+
+    this.exec(args, function(output, errormsg) {
+
+        var match = output ? regex.exec(output) : null;
+        if (match) {
+            callback(match[1], output, null);
+        } else {
+            callback(null, output, errormsg ? errormsg :
+                                   "Failed to query version of '" + this._name + "'");
+        }
+    }.bind(this));
+};
+
+module.exports = HostTool;
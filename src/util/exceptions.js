@@ -6,6 +6,27 @@
  * @namespace exceptions
  */
 
+/**
+ * Exit status for failures that do not fall into a category below.
+ */
+var EXIT_CODE_ERROR = 127;
+
+/**
+ * Initialize error instance. Error.call() returns a new object
+ * instead of initializing this, so do it by hand.
+ * @param {Error} error Error instance
+ * @param {String} name Class name
+ * @param {String} message Error message
+ */
+function initError(error, name, message) {
+
+    error.name = name;
+    error.message = message;
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(error, error.constructor);
+    }
+}
+
 /**
  * Creates a new FileCreationFailed.
  * @extends Error
@@ -14,9 +35,10 @@
  * @memberOf exceptions
  */
 function FileCreationFailed(message) {
-    Error.call(this, message);
+    initError(this, "FileCreationFailed", message);
 }
-FileCreationFailed.prototype = Error.prototype;
+FileCreationFailed.prototype = Object.create(Error.prototype);
+FileCreationFailed.prototype.constructor = FileCreationFailed;
 
 /**
  * Creates a new IllegalAccessException.
@@ -26,9 +48,10 @@ FileCreationFailed.prototype = Error.prototype;
  * @memberOf exceptions
  */
 function IllegalAccessException(message) {
-    Error.call(this, message);
+    initError(this, "IllegalAccessException", message);
 }
-IllegalAccessException.prototype = Error.prototype;
+IllegalAccessException.prototype = Object.create(Error.prototype);
+IllegalAccessException.prototype.constructor = IllegalAccessException;
 
 /**
  * Creates a new InvalidPathException.
@@ -38,14 +61,207 @@ IllegalAccessException.prototype = Error.prototype;
  * @memberOf exceptions
  */
 function InvalidPathException(message) {
-    Error.call(this, message);
+    initError(this, "InvalidPathException", message);
+}
+InvalidPathException.prototype = Object.create(Error.prototype);
+InvalidPathException.prototype.constructor = InvalidPathException;
+
+/**
+ * Creates a new CrosswalkError, base class for failures that map to
+ * a distinct exit status of the command-line tool:
+ *
+ * | Exit status | Class                 | Cause                                     |
+ * |-------------|-----------------------|-------------------------------------------|
+ * | 10          | InvalidProjectError   | Not a project, or project files missing   |
+ * | 11          | InvalidManifestError  | manifest.json unreadable or invalid       |
+ * | 20          | ToolNotFoundError     | SDK or tool like ant not found            |
+ * | 30          | DownloadError         | Network failure, worth retrying           |
+ * | 31          | ChecksumMismatchError | Corrupt download, worth retrying          |
+ * | 40          | BuildToolError        | ant or WiX failed, e.g. compile error     |
+ * | 127         | CrosswalkError        | Any other failure                         |
+ * @extends Error
+ * @constructor
+ * @param {String} message Error message
+ * @memberOf exceptions
+ */
+function CrosswalkError(message) {
+    initError(this, "CrosswalkError", message);
+}
+CrosswalkError.prototype = Object.create(Error.prototype);
+CrosswalkError.prototype.constructor = CrosswalkError;
+
+/**
+ * Exit status for this class of failures.
+ * @member {Number} exitCode
+ * @instance
+ * @memberOf exceptions.CrosswalkError
+ */
+CrosswalkError.prototype.exitCode = EXIT_CODE_ERROR;
+
+/**
+ * Creates a new InvalidProjectError.
+ * @extends exceptions.CrosswalkError
+ * @constructor
+ * @param {String} message Error message
+ * @memberOf exceptions
+ */
+function InvalidProjectError(message) {
+    initError(this, "InvalidProjectError", message);
+}
+InvalidProjectError.prototype = Object.create(CrosswalkError.prototype);
+InvalidProjectError.prototype.constructor = InvalidProjectError;
+InvalidProjectError.prototype.exitCode = 10;
+
+/**
+ * Creates a new InvalidManifestError.
+ * @extends exceptions.CrosswalkError
+ * @constructor
+ * @param {String} message Error message
+ * @memberOf exceptions
+ */
+function InvalidManifestError(message) {
+    initError(this, "InvalidManifestError", message);
+}
+InvalidManifestError.prototype = Object.create(CrosswalkError.prototype);
+InvalidManifestError.prototype.constructor = InvalidManifestError;
+InvalidManifestError.prototype.exitCode = 11;
+
+/**
+ * Creates a new ToolNotFoundError.
+ * @extends exceptions.CrosswalkError
+ * @constructor
+ * @param {String} message Error message
+ * @memberOf exceptions
+ */
+function ToolNotFoundError(message) {
+    initError(this, "ToolNotFoundError", message);
+}
+ToolNotFoundError.prototype = Object.create(CrosswalkError.prototype);
+ToolNotFoundError.prototype.constructor = ToolNotFoundError;
+ToolNotFoundError.prototype.exitCode = 20;
+
+/**
+ * Creates a new DownloadError.
+ * @extends exceptions.CrosswalkError
+ * @constructor
+ * @param {String} message Error message
+ * @memberOf exceptions
+ */
+function DownloadError(message) {
+    initError(this, "DownloadError", message);
+}
+DownloadError.prototype = Object.create(CrosswalkError.prototype);
+DownloadError.prototype.constructor = DownloadError;
+DownloadError.prototype.exitCode = 30;
+
+/**
+ * Creates a new ChecksumMismatchError.
+ * @extends exceptions.CrosswalkError
+ * @constructor
+ * @param {String} message Error message
+ * @memberOf exceptions
+ */
+function ChecksumMismatchError(message) {
+    initError(this, "ChecksumMismatchError", message);
 }
-InvalidPathException.prototype = Error.prototype;
+ChecksumMismatchError.prototype = Object.create(CrosswalkError.prototype);
+ChecksumMismatchError.prototype.constructor = ChecksumMismatchError;
+ChecksumMismatchError.prototype.exitCode = 31;
 
+/**
+ * Creates a new BuildToolError.
+ * @extends exceptions.CrosswalkError
+ * @constructor
+ * @param {String} message Error message
+ * @memberOf exceptions
+ */
+function BuildToolError(message) {
+    initError(this, "BuildToolError", message);
+}
+BuildToolError.prototype = Object.create(CrosswalkError.prototype);
+BuildToolError.prototype.constructor = BuildToolError;
+BuildToolError.prototype.exitCode = 40;
+
+/**
+ * Categorized error classes.
+ */
+var _categories = [
+    InvalidProjectError,
+    InvalidManifestError,
+    ToolNotFoundError,
+    DownloadError,
+    ChecksumMismatchError,
+    BuildToolError
+];
+
+/**
+ * Exit status for a failure.
+ * @param {Error|String} error Error object, or error message
+ * @returns {Number} Exit status of the error's class, 127 if it has none.
+ * @memberOf exceptions
+ */
+function exitCodeFor(error) {
 
+    return error instanceof CrosswalkError ?
+            error.exitCode :
+            EXIT_CODE_ERROR;
+}
+
+/**
+ * Create error of the class an exit status belongs to.
+ * @param {Number} exitCode Exit status
+ * @param {String} message Error message
+ * @returns {CrosswalkError} Error instance.
+ * @memberOf exceptions
+ */
+function fromExitCode(exitCode, message) {
+
+    for (var i = 0; i < _categories.length; i++) {
+        if (_categories[i].prototype.exitCode === exitCode) {
+            return new _categories[i](message);
+        }
+    }
+
+    return new CrosswalkError(message);
+}
+
+/**
+ * Create error of the same class as another, e.g. when reporting
+ * a failed operation that was caused by it.
+ * @param {Error|String} cause Error that caused the failure
+ * @param {String} message Error message
+ * @returns {CrosswalkError} Error instance.
+ * @memberOf exceptions
+ */
+function withMessage(cause, message) {
+
+    return fromExitCode(exitCodeFor(cause), message);
+}
+
+/**
+ * Message of an error passed to a callback, which may be an error object or a string.
+ * @param {Error|String} error Error object, or error message
+ * @returns {String} Error message.
+ * @memberOf exceptions
+ */
+function messageFor(error) {
+
+    return error instanceof Error ? error.message : error;
+}
 
 module.exports = {
     FileCreationFailed: FileCreationFailed,
     IllegalAccessException: IllegalAccessException,
-    InvalidPathException: InvalidPathException
+    InvalidPathException: InvalidPathException,
+    CrosswalkError: CrosswalkError,
+    InvalidProjectError: InvalidProjectError,
+    InvalidManifestError: InvalidManifestError,
+    ToolNotFoundError: ToolNotFoundError,
+    DownloadError: DownloadError,
+    ChecksumMismatchError: ChecksumMismatchError,
+    BuildToolError: BuildToolError,
+    exitCodeFor: exitCodeFor,
+    fromExitCode: fromExitCode,
+    withMessage: withMessage,
+    messageFor: messageFor
 };
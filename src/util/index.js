@@ -8,10 +8,14 @@
 var util = {
     /** {@link CrosswalkZip} */
     CrosswalkZip: require("./CrosswalkZip"),
+    /** {@link DryRun} */
+    DryRun: require("./DryRun"),
     /** {@link Downloader} */
     Downloader: require("./Downloader"),
     /** {@link DownloadHandler} */
     DownloadHandler: require("./DownloadHandler"),
+    /** {@link HostTool} */
+    HostTool: require("./HostTool"),
     /** {@link IndexParser} */
     IndexParser: require("./IndexParser"),
     /** {@link TemplateFile} */
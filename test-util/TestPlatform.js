@@ -55,4 +55,19 @@ TestPlatformScope.getEnv = function() {
     };
 };
 
+TestPlatformScope.checkRequirements = function(util, config, callback) {
+    callback([{
+        name: "test",
+        pass: true,
+        detail: "Requirement reported by the platform"
+    }]);
+};
+
+TestPlatformScope.fetchVersions = function(util, config, output, channel, callback) {
+    callback([
+        { version: "1.0.0.0", cached: false },
+        { version: "1.0.0.1", cached: true }
+    ], null);
+};
+
 module.exports = TestPlatformScope;
@@ -107,10 +107,20 @@ exports.tests = {
 
     getConfig: function(test) {
 
-        test.expect(1);
+        test.expect(4);
         var application = Util.createTmpApplication("com.example.foo");
         var config = application.config;
         test.equal(config instanceof Config.class, true);
+        test.equal(config, Config.getInstance());
+
+        // Settings passed to the constructor, and dry-run mode following them.
+        config = new Config.class();
+        config.load(null, { "dry-run": true });
+        var app = Object.create(Application.prototype);
+        Application.call(app, application.rootPath, null, null, null, config);
+        test.equal(app.config, config);
+        test.equal(app.dryRun.isEnabled(), true);
+
         Util.deleteTmpApplication(application);
         test.done();
     },
@@ -273,6 +273,139 @@ exports.tests = {
         var dir1 = cp1.buildGetDir();
         test.equal(Path.basename(dir1), "foo");
 
+        test.done();
+    },
+
+    refreshGetDir: function(test) {
+
+        test.expect(4);
+
+        // Default to current dir
+        var argv0 = ["node", "foo", "refresh"];
+        var cp0 = new CommandParser(_output, argv0);
+
+        test.equal(cp0.getCommand(), "refresh");
+        test.equal(cp0.refreshGetDir(), process.cwd());
+
+        // Explicit dir
+        var argv1 = ["node", "foo", "refresh", "foo"];
+        var cp1 = new CommandParser(_output, argv1);
+
+        test.equal(cp1.getCommand(), "refresh");
+        test.equal(Path.basename(cp1.refreshGetDir()), "foo");
+
+        test.done();
+    },
+
+    manifest: function(test) {
+
+        test.expect(12);
+
+        var cp = new CommandParser(_output, ["node", "foo", "manifest", "get", "name"]);
+        test.equal(cp.getCommand(), "manifest");
+        test.equal(cp.manifestGetAction(), "get");
+        test.equal(cp.manifestGetField(), "name");
+
+        cp = new CommandParser(_output, ["node", "foo", "manifest", "set", "name", "bar"]);
+        test.equal(cp.getCommand(), "manifest");
+        test.equal(cp.manifestGetValue(), "bar");
+
+        cp = new CommandParser(_output, ["node", "foo", "manifest", "validate"]);
+        test.equal(cp.getCommand(), "manifest");
+
+        // Platform and configuration are optional
+        cp = new CommandParser(_output, ["node", "foo", "manifest", "show"]);
+        test.equal(cp.getCommand(), "manifest");
+        test.equal(cp.manifestGetAction(), "show");
+
+        // Missing value
+        cp = new CommandParser(_output, ["node", "foo", "manifest", "set", "name"]);
+        test.equal(cp.getCommand(), null);
+
+        // Missing field
+        cp = new CommandParser(_output, ["node", "foo", "manifest", "unset"]);
+        test.equal(cp.getCommand(), null);
+
+        // Bogus action
+        cp = new CommandParser(_output, ["node", "foo", "manifest", "foo", "name"]);
+        test.equal(cp.getCommand(), null);
+        test.equal(cp.manifestGetAction(), null);
+
+        test.done();
+    },
+
+    options: function(test) {
+
+        test.expect(5);
+
+        // Options do not count as positional arguments.
+        var cp = new CommandParser(_output, ["node", "foo", "--json", "build", "release", "--bar=baz"]);
+        test.equal(cp.getCommand(), "build");
+        test.equal(cp.buildGetType(), "release");
+        test.equal(cp.buildGetDir(), Path.resolve("."));
+
+        // Taken literally after "--"
+        cp = new CommandParser(_output, ["node", "foo", "build", "--json", "--", "--dir"]);
+        test.equal(cp.getCommand(), "build");
+        test.equal(Path.basename(cp.buildGetDir()), "--dir");
+
+        test.done();
+    },
+
+    versionsGetChannel: function(test) {
+
+        test.expect(5);
+
+        var cp = new CommandParser(_output, ["node", "foo", "versions"]);
+        test.equal(cp.getCommand(), "versions");
+        test.equal(cp.versionsGetChannel(), "stable");
+
+        cp = new CommandParser(_output, ["node", "foo", "versions", "all"]);
+        test.equal(cp.getCommand(), "versions");
+        test.equal(cp.versionsGetChannel(), "all");
+
+        cp = new CommandParser(_output, ["node", "foo", "versions", "foo"]);
+        test.equal(cp.getCommand(), null);
+
+        test.done();
+    },
+
+    config: function(test) {
+
+        test.expect(7);
+
+        var cp = new CommandParser(_output, ["node", "foo", "config", "list"]);
+        test.equal(cp.getCommand(), "config");
+        test.equal(cp.configGetAction(), "list");
+
+        cp = new CommandParser(_output, ["node", "foo", "config", "set", "cache-dir", "/tmp", "--global"]);
+        test.equal(cp.getCommand(), "config");
+        test.equal(cp.configGetKey(), "cache-dir");
+        test.equal(cp.configGetValue(), "/tmp");
+
+        // Missing key
+        cp = new CommandParser(_output, ["node", "foo", "config", "get"]);
+        test.equal(cp.getCommand(), null);
+
+        // Missing value
+        cp = new CommandParser(_output, ["node", "foo", "config", "set", "cache-dir"]);
+        test.equal(cp.getCommand(), null);
+
+        test.done();
+    },
+
+    doctorGetPlatform: function(test) {
+
+        test.expect(4);
+
+        var cp = new CommandParser(_output, ["node", "foo", "doctor"]);
+        test.equal(cp.getCommand(), "doctor");
+        test.equal(cp.doctorGetPlatform(), null);
+
+        cp = new CommandParser(_output, ["node", "foo", "doctor", "android"]);
+        test.equal(cp.getCommand(), "doctor");
+        test.equal(cp.doctorGetPlatform(), "android");
+
         test.done();
     }
 };
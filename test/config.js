@@ -0,0 +1,136 @@
+// Copyright © 2014 Intel Corporation. All rights reserved.
+// Use  of this  source  code is  governed by  an Apache v2
+// license that can be found in the LICENSE-APACHE-V2 file.
+
+var FS = require("fs");
+var Path = require("path");
+var ShellJS = require("shelljs");
+
+var Config = require("../src/Config");
+var Util = require("../test-util/Util.js");
+
+/**
+ * Run func with user settings from a tmp dir, and restore afterwards.
+ */
+function withTmpConfig(func) {
+
+    var config = Config.getInstance();
+    var userPath = config.userPath;
+
+    var tmpdir = Util.createTmpDir();
+    config.userPath = Path.join(tmpdir, "user.json");
+
+    try {
+        func(config, tmpdir);
+    } finally {
+        delete process.env.CROSSWALK_APP_TOOLS_CROSSWALK_CHANNEL;
+        config.userPath = userPath;
+        config.load();
+        ShellJS.rm("-rf", tmpdir);
+    }
+}
+
+exports.tests = {
+
+    defaults: function(test) {
+
+        test.expect(6);
+
+        withTmpConfig(function(config, tmpdir) {
+
+            config.load(tmpdir, {});
+            test.equal(config.get("crosswalk-channel"), "stable");
+            test.equal(config.getLayer("crosswalk-channel"), "default");
+            test.equal(config.get("foo"), null);
+            test.ok(config.keys.indexOf("android-targets") > -1);
+        });
+
+        // Passwords are not printed.
+        test.equal(Config.class.isSecret("android-keystore-password"), true);
+        test.equal(Config.class.isSecret("android-keystore"), false);
+
+        test.done();
+    },
+
+    layers: function(test) {
+
+        test.expect(9);
+
+        withTmpConfig(function(config, tmpdir) {
+
+            FS.writeFileSync(config.userPath, JSON.stringify({
+                "crosswalk-channel": "beta",
+                "cache-dir": "/tmp/user"
+            }));
+            FS.writeFileSync(Path.join(tmpdir, "crosswalk.json"), JSON.stringify({
+                "crosswalk-channel": "canary",
+                "android-crosswalk": "11.40.277.7"
+            }));
+
+            // User file overrides defaults, project overrides user.
+            config.load(tmpdir, {});
+            test.equal(config.get("cache-dir"), "/tmp/user");
+            test.equal(config.getLayer("cache-dir"), "user");
+            test.equal(config.get("crosswalk-channel"), "canary");
+            test.equal(config.describeSource("crosswalk-channel"),
+                       "project " + Path.join(tmpdir, "crosswalk.json"));
+            test.ok(config.keys.indexOf("android-crosswalk") > -1);
+
+            // Environment overrides files.
+            process.env.CROSSWALK_APP_TOOLS_CROSSWALK_CHANNEL = "stable";
+            config.load(tmpdir, {});
+            test.equal(config.getLayer("crosswalk-channel"), "env");
+            test.equal(config.describeSource("crosswalk-channel"),
+                       "env CROSSWALK_APP_TOOLS_CROSSWALK_CHANNEL");
+
+            // Command-line overrides everything.
+            config.load(tmpdir, { "_": [], "crosswalk-channel": "beta" });
+            test.equal(config.get("crosswalk-channel"), "beta");
+            test.equal(config.getLayer("crosswalk-channel"), "command-line");
+        });
+
+        test.done();
+    },
+
+    set: function(test) {
+
+        test.expect(5);
+
+        withTmpConfig(function(config, tmpdir) {
+
+            config.load(tmpdir, {});
+            config.set("cache-dir", "/tmp/foo", "user");
+            test.equal(config.get("cache-dir"), "/tmp/foo");
+            test.equal(JSON.parse(FS.readFileSync(config.userPath))["cache-dir"], "/tmp/foo");
+
+            config.set("cache-dir", "/tmp/bar", "project");
+            test.equal(config.getLayer("cache-dir"), "project");
+
+            config.set("cache-dir", null, "project");
+            test.equal(config.getLayer("cache-dir"), "user");
+
+            try {
+                config.set("cache-dir", "/tmp/baz", "env");
+            } catch (e) {
+                test.ok(e instanceof Error);
+            }
+        });
+
+        test.done();
+    },
+
+    instances: function(test) {
+
+        test.expect(3);
+
+        test.equal(Config.getInstance(), Config.getInstance());
+
+        // Separate instances do not share settings.
+        var config = new Config.class();
+        config.load(null, { "crosswalk-channel": "beta" });
+        test.equal(config.get("crosswalk-channel"), "beta");
+        test.equal(new Config.class().get("crosswalk-channel"), "stable");
+
+        test.done();
+    }
+};
@@ -0,0 +1,82 @@
+// Copyright © 2014 Intel Corporation. All rights reserved.
+// Use  of this  source  code is  governed by  an Apache v2
+// license that can be found in the LICENSE-APACHE-V2 file.
+
+var FS = require("fs");
+var Path = require("path");
+var ShellJS = require("shelljs");
+
+var Config = require("../src/Config");
+var DryRun = require("../src/util/DryRun");
+var Util = require("../test-util/Util.js");
+
+/**
+ * Output recording what is written.
+ */
+function RecordingOutput() {
+    this.written = [];
+    this.infos = [];
+}
+RecordingOutput.prototype.write = function(message) { this.written.push(message); };
+RecordingOutput.prototype.info = function(message) { this.infos.push(message); };
+
+exports.tests = {
+
+    writeFile: function(test) {
+
+        test.expect(7);
+
+        var tmpdir = Util.createTmpDir();
+        var path = Path.join(tmpdir, "foo.txt");
+        "foo\nbar\n".to(path);
+        var output = new RecordingOutput();
+
+        var config = new Config.class();
+        var dryRun = new DryRun.class(config);
+        config.load(null, { "_": [], "dry-run": true });
+        test.equal(dryRun.isEnabled(), true);
+
+        // Planned contents are read back, but not written.
+        dryRun.writeFile(path, "foo\nbaz\n");
+        test.equal(dryRun.readFile(path), "foo\nbaz\n");
+        test.equal(FS.readFileSync(path, {"encoding": "utf8"}), "foo\nbar\n");
+
+        dryRun.flush(output);
+        test.ok(output.written[0].indexOf("-bar\n+baz\n") > -1);
+        test.equal(dryRun.readFile(path), "foo\nbar\n");
+
+        test.equal(dryRun.skip(output, "run 'ant debug'"), true);
+
+        // Written as usual without the option.
+        config.load(null, {});
+        dryRun.writeFile(path, "foo\nbaz\n");
+        test.equal(FS.readFileSync(path, {"encoding": "utf8"}), "foo\nbaz\n");
+
+        ShellJS.rm("-rf", tmpdir);
+        test.done();
+    },
+
+    instances: function(test) {
+
+        test.expect(4);
+
+        var tmpdir = Util.createTmpDir();
+        var path = Path.join(tmpdir, "foo.txt");
+        "foo\n".to(path);
+
+        // Settings and planned contents are not shared.
+        var config = new Config.class();
+        config.load(null, { "_": [], "dry-run": true });
+        var dryRun = new DryRun.class(config);
+        var other = new DryRun.class(new Config.class());
+        test.equal(dryRun.isEnabled(), true);
+        test.equal(other.isEnabled(), false);
+
+        dryRun.writeFile(path, "bar\n");
+        test.equal(other.readFile(path), "foo\n");
+        test.equal(DryRun.getInstance().readFile(path), "foo\n");
+
+        ShellJS.rm("-rf", tmpdir);
+        test.done();
+    }
+};
@@ -0,0 +1,45 @@
+// Copyright © 2014 Intel Corporation. All rights reserved.
+// Use  of this  source  code is  governed by  an Apache v2
+// license that can be found in the LICENSE-APACHE-V2 file.
+
+var Exceptions = require("../src/util/exceptions");
+
+exports.tests = {
+
+    classes: function(test) {
+
+        test.expect(7);
+
+        var e = new Exceptions.DownloadError("foo");
+        test.ok(e instanceof Error);
+        test.ok(e instanceof Exceptions.CrosswalkError);
+        test.equal(e instanceof Exceptions.ToolNotFoundError, false);
+        test.equal(e.name, "DownloadError");
+        test.equal(e.message, "foo");
+        test.ok(e.stack.indexOf("foo") > -1);
+
+        // Plain exceptions keep working as before.
+        test.ok(new Exceptions.IllegalAccessException("bar") instanceof Exceptions.IllegalAccessException);
+
+        test.done();
+    },
+
+    exitCodes: function(test) {
+
+        test.expect(7);
+
+        test.equal(Exceptions.exitCodeFor(new Exceptions.InvalidProjectError("foo")), 10);
+        test.equal(Exceptions.exitCodeFor(new Exceptions.BuildToolError("foo")), 40);
+        test.equal(Exceptions.exitCodeFor(new Error("foo")), 127);
+        test.equal(Exceptions.exitCodeFor("foo"), 127);
+
+        var e = Exceptions.fromExitCode(31, "foo");
+        test.ok(e instanceof Exceptions.ChecksumMismatchError);
+
+        e = Exceptions.withMessage(new Exceptions.ToolNotFoundError("foo"), "bar");
+        test.ok(e instanceof Exceptions.ToolNotFoundError);
+        test.equal(Exceptions.messageFor(e), "bar");
+
+        test.done();
+    }
+};
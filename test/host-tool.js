@@ -0,0 +1,43 @@
+// Copyright © 2014 Intel Corporation. All rights reserved.
+// Use  of this  source  code is  governed by  an Apache v2
+// license that can be found in the LICENSE-APACHE-V2 file.
+
+var HostTool = require("../src/util/HostTool");
+
+exports.tests = {
+
+    path: function(test) {
+
+        test.expect(2);
+
+        // Node itself must be in the path when running the tests.
+        var node = new HostTool("node");
+        test.equal(typeof node.path, "string");
+
+        var bogus = new HostTool("crosswalk-app-tools-bogus-tool");
+        test.equal(bogus.path, null);
+
+        test.done();
+    },
+
+    queryVersion: function(test) {
+
+        test.expect(3);
+
+        var node = new HostTool("node");
+        node.queryVersion(["--version"], /v([0-9.]+)/,
+                          function(version, output, errormsg) {
+
+            test.equal(typeof version, "string");
+            test.equal(errormsg, null);
+
+            var bogus = new HostTool("crosswalk-app-tools-bogus-tool");
+            bogus.queryVersion(["--version"], /v([0-9.]+)/,
+                               function(version, output, errormsg) {
+
+                test.equal(version, null);
+                test.done();
+            });
+        });
+    }
+};
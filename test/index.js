@@ -0,0 +1,129 @@
+// Copyright © 2014 Intel Corporation. All rights reserved.
+// Use  of this  source  code is  governed by  an Apache v2
+// license that can be found in the LICENSE-APACHE-V2 file.
+
+var FS = require("fs");
+var Path = require("path");
+var ShellJS = require("shelljs");
+
+// Run tests silently to avoid spew from tests failing on purpose.
+require("../src/Config").getInstance().setSilentConsole(true);
+var Api = require("../src/index");
+var Util = require("../test-util/Util.js");
+
+var _packageId = "com.example.foo";
+
+exports.tests = {
+
+    buildNoProject: function(test) {
+
+        test.expect(6);
+
+        var tmpdir = Util.createTmpDir();
+        var cwd = process.cwd();
+
+        Api.build({ dir: tmpdir })
+        .then(function(result) {
+            test.ok(false, "Building outside of a project must fail");
+        }, function(error) {
+            test.ok(error instanceof Error);
+            test.ok(error instanceof Api.exceptions.InvalidProjectError);
+            test.equal(error.errno, 10);
+            test.ok(Array.isArray(error.result.artifacts));
+            test.ok(Array.isArray(error.result.warnings));
+            test.equal(process.cwd(), cwd);
+        })
+        .then(function() {
+            ShellJS.rm("-rf", tmpdir);
+            test.done();
+        });
+    },
+
+    buildBogusConfig: function(test) {
+
+        test.expect(1);
+
+        Api.build({ config: "foo" })
+        .then(function(result) {
+            test.ok(false, "Unknown configurations must fail");
+        }, function(error) {
+            test.equal(error.message, "Unknown build configuration 'foo'");
+        })
+        .then(function() {
+            test.done();
+        });
+    },
+
+    createProject: function(test) {
+
+        test.expect(5);
+
+        var tmpdir = Util.createTmpDir();
+        var cwd = process.cwd();
+
+        // Windows backend fails without crosswalk zip, but does not need network.
+        Api.createProject(_packageId, { dir: tmpdir, platforms: [ "windows" ] })
+        .then(function(result) {
+            test.ok(false, "Creating without crosswalk zip must fail");
+        }, function(error) {
+            test.equal(error.errno, 127);
+            test.ok(error.message.indexOf("--windows-crosswalk") > -1);
+            test.deepEqual(error.result.versions, {});
+            test.ok(ShellJS.test("-f", Path.join(tmpdir, _packageId, "app", "manifest.json")));
+            test.equal(process.cwd(), cwd);
+        })
+        .then(function() {
+            ShellJS.rm("-rf", tmpdir);
+            test.done();
+        });
+    },
+
+    concurrentCalls: function(test) {
+
+        test.expect(3);
+
+        // Windows projects with a hook, so the build runs on while the
+        // dry run, which skips hooks, is done.
+        function produceProject() {
+            var application = Util.createTmpApplication(_packageId);
+            var manifestPath = Path.join(application.appPath, "manifest.json");
+            var json = JSON.parse(FS.readFileSync(manifestPath, {"encoding": "utf8"}));
+            json.xwalk_target_platforms = [ "windows" ];
+            json.xwalk_hooks = { "pre-build": "echo pre-build" };
+            JSON.stringify(json).to(manifestPath);
+            ShellJS.mkdir("-p", Path.join(application.prjPath, "windows"));
+            return application;
+        }
+        var app = produceProject();
+        var dryRunApp = produceProject();
+        var wxsName = _packageId + "-0.1.0.0.wxs";
+
+        var build = Api.build({ dir: app.rootPath });
+        var dryRunBuild = Api.build({ dir: dryRunApp.rootPath, args: { "dry-run": true } });
+
+        dryRunBuild
+        .then(function(result) {
+            test.deepEqual(result.artifacts, []);
+            test.equal(ShellJS.test("-f", Path.join(dryRunApp.prjPath, "windows", wxsName)), false);
+        }, function(error) {
+            test.ok(false, "Dry run must not fail: " + error.message);
+        })
+        .then(function() {
+            return build;
+        })
+        .then(function(result) {
+            // Built for real, with WiX on this host.
+            test.ok(result.artifacts.length > 0);
+        }, function(error) {
+            // Not turned into a dry run by the other call, so
+            // the source is written and WiX failed to run.
+            test.ok(error.errno === 40 &&
+                    ShellJS.test("-f", Path.join(app.prjPath, "windows", wxsName)));
+        })
+        .then(function() {
+            Util.deleteTmpApplication(app);
+            Util.deleteTmpApplication(dryRunApp);
+            test.done();
+        });
+    }
+};
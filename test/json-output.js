@@ -0,0 +1,103 @@
+// Copyright © 2014 Intel Corporation. All rights reserved.
+// Use  of this  source  code is  governed by  an Apache v2
+// license that can be found in the LICENSE-APACHE-V2 file.
+
+var JsonOutput = require("../src/JsonOutput");
+
+var _config = require("../src/Config").getInstance();
+
+/**
+ * Run func and collect the events written to stdout.
+ */
+function captureEvents(func) {
+
+    var silent = _config.getSilentConsole();
+    _config.setSilentConsole(false);
+
+    var lines = [];
+    var write = process.stdout.write;
+    process.stdout.write = function(buffer) {
+        lines.push(buffer);
+    };
+
+    try {
+        func(JsonOutput.getInstance());
+    } finally {
+        process.stdout.write = write;
+        _config.setSilentConsole(silent);
+    }
+
+    return lines.map(function(line) {
+        return JSON.parse(line);
+    });
+}
+
+exports.tests = {
+
+    messages: function(test) {
+
+        test.expect(6);
+
+        var events = captureEvents(function(output) {
+            output.error("foo");
+            output.warning("bar");
+            output.info("baz");
+            output.write("maman");
+        });
+
+        test.equal(events.length, 4);
+        test.equal(events[0].event, "error");
+        test.equal(events[0].message, "foo");
+        test.equal(events[1].event, "warning");
+        test.equal(events[2].event, "info");
+        test.equal(events[3].text, "maman");
+
+        test.done();
+    },
+
+    progress: function(test) {
+
+        test.expect(5);
+
+        var events = captureEvents(function(output) {
+            var progress = output.createFiniteProgress("Downloading");
+            progress.update(0.5);
+            // Same percentage, not emitted again.
+            progress.update(0.501);
+            progress.done();
+
+            var indicator = output.createInfiniteProgress("Building");
+            indicator.update("compile");
+        });
+
+        test.equal(events.length, 3);
+        test.equal(events[0].progress, 0.5);
+        test.equal(events[1].done, true);
+        test.equal(events[2].label, "Building");
+        test.equal(events[2].tag, "compile");
+
+        test.done();
+    },
+
+    result: function(test) {
+
+        test.expect(7);
+
+        var events = captureEvents(function(output) {
+            output.result("build", 0, [{ path: "/tmp/foo.apk", abi: "x86", config: "debug", size: 1 }]);
+            output.result("update", 30, null);
+        });
+
+        test.equal(events[0].event, "result");
+        test.equal(events[0].command, "build");
+        test.equal(events[0].status, 0);
+        test.equal(events[0].artifacts[0].abi, "x86");
+        test.equal(typeof events[0].error, "undefined");
+
+        // Failures name their category.
+        test.equal(events[1].status, 30);
+        test.equal(events[1].error, "DownloadError");
+
+        test.done();
+    }
+};
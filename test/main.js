@@ -2,11 +2,18 @@
 // Use  of this  source  code is  governed by  an Apache v2
 // license that can be found in the LICENSE-APACHE-V2 file.
 
+var FS = require("fs");
 var OS = require('os');
+var Path = require("path");
+
+var AdmZip = require("adm-zip");
 var ShellJS = require("shelljs");
 
 var Application = require("../src/Application");
 var CommandParser = require("../src/CommandParser");
+var JsonOutput = require("../src/JsonOutput");
+var LogfileOutput = require("../src/LogfileOutput");
+var Manifest = require("../src/Manifest");
 var TerminalOutput = require("../src/TerminalOutput");
 var Util = require("../test-util/Util.js");
 
@@ -127,6 +134,348 @@ exports.tests = {
         });
     },
 
+    refresh: function(test) {
+
+        test.expect(3);
+
+        var application = Util.createTmpApplication(_packageId);
+        var app = Object.create(require("../src/Main"));
+        Application.call(app, application.rootPath, null);
+
+        var manifestPath = Path.join(application.appPath, "manifest.json");
+        var json = JSON.parse(FS.readFileSync(manifestPath, {"encoding": "utf8"}));
+        json.xwalk_app_version = "1.2.3333";
+        json.xwalk_target_platforms = [ "windows" ];
+        JSON.stringify(json).to(manifestPath);
+
+        // Invalid manifest, backends are not run.
+        app.refresh({ platforms: "windows" }, function(errno) {
+
+            test.equal(errno, 11);
+
+            json.xwalk_app_version = "1.2.3";
+            JSON.stringify(json).to(manifestPath);
+            Application.call(app, application.rootPath, null);
+            ShellJS.mkdir("-p", Path.join(application.prjPath, "windows"));
+
+            app.refresh({ platforms: "windows" }, function(errno) {
+
+                test.equal(errno, 0);
+                test.ok(ShellJS.test("-f", Path.join(application.prjPath, "windows",
+                                                     _packageId + "-1.2.3.0.wxs")));
+
+                Util.deleteTmpApplication(application);
+                test.done();
+            });
+        });
+    },
+
+    importApp: function(test) {
+
+        test.expect(7);
+
+        // Web app with its own W3C manifest.
+        var srcPath = Util.createTmpDir();
+        JSON.stringify({
+            name: "Foo App",
+            start_url: "main.html",
+            icons: [ { src: "foo.png", sizes: "128x128" } ],
+            xwalk_app_version: "2.1"
+        }).to(Path.join(srcPath, "manifest.json"));
+        "<html></html>".to(Path.join(srcPath, "main.html"));
+
+        var application = Util.createTmpApplication(_packageId);
+        var app = require("../src/Main");
+        Application.call(app, application.rootPath, null);
+        test.equal(app.importApp(srcPath), true);
+
+        // Imported fields kept, generated ones added.
+        var json = JSON.parse(FS.readFileSync(Path.join(app.appPath, "manifest.json")));
+        test.equal(json.name, "Foo App");
+        test.equal(json.xwalk_app_version, "2.1");
+        test.equal(json.xwalk_package_id, _packageId);
+        test.ok(json.xwalk_target_platforms);
+        test.ok(ShellJS.test("-f", Path.join(app.appPath, "main.html")));
+
+        // Zip with toplevel dir.
+        var zipPath = Path.join(Path.dirname(srcPath), "foo.zip");
+        var zip = new AdmZip();
+        zip.addLocalFolder(srcPath, "foo");
+        zip.writeZip(zipPath);
+        ShellJS.rm("-f", Path.join(app.appPath, "main.html"));
+        app.importApp(zipPath);
+        test.ok(ShellJS.test("-f", Path.join(app.appPath, "main.html")));
+
+        ShellJS.rm("-rf", srcPath);
+        ShellJS.rm("-f", zipPath);
+        Util.deleteTmpApplication(application);
+        test.done();
+    },
+
+    applyTemplate: function(test) {
+
+        test.expect(6);
+
+        // Template with manifest and a nested text file.
+        var srcPath = Util.createTmpDir();
+        JSON.stringify({
+            short_name: "{{name}}"
+        }).to(Path.join(srcPath, "manifest.json"));
+        ShellJS.mkdir(Path.join(srcPath, "js"));
+        "var id = '{{packageId}}', version = '{{version}}';".to(Path.join(srcPath, "js", "main.js"));
+        "{}".to(Path.join(srcPath, "package.json"));
+
+        var application = Util.createTmpApplication(_packageId);
+        var app = require("../src/Main");
+        Application.call(app, application.rootPath, null);
+        test.equal(app.applyTemplate(srcPath), true);
+
+        var json = JSON.parse(FS.readFileSync(Path.join(app.appPath, "manifest.json")));
+        test.equal(json.short_name, _packageId);
+        test.equal(json.xwalk_package_id, _packageId);
+        test.equal(FS.readFileSync(Path.join(app.appPath, "js", "main.js"), {"encoding": "utf8"}),
+                   "var id = '" + _packageId + "', version = '0.1';");
+        test.ok(!ShellJS.test("-f", Path.join(app.appPath, "package.json")));
+
+        test.equal(app.applyTemplate("no-such-template"), false);
+
+        ShellJS.rm("-rf", srcPath);
+        Util.deleteTmpApplication(application);
+        test.done();
+    },
+
+    watch: function(test) {
+
+        test.expect(3);
+
+        var application = Util.createTmpApplication(_packageId);
+        var app = Object.create(require("../src/Main"));
+        Application.call(app, application.rootPath, null);
+
+        // Record builds instead of running them.
+        var builds = [];
+        app.buildPlatforms = function(configId, args, repackage, callback) {
+            builds.push(repackage ? "repackage" : "build");
+            callback(0);
+        };
+
+        app.watch("debug", {}, function(errno) {
+
+            test.equal(errno, 0);
+            Util.deleteTmpApplication(application);
+            test.done();
+        });
+
+        // Full build first, then content, then manifest change.
+        test.deepEqual(builds, ["build"]);
+        setTimeout(function() {
+            "<html></html>".to(Path.join(app.appPath, "index.html"));
+            setTimeout(function() {
+                var path = Path.join(app.appPath, "manifest.json");
+                FS.readFileSync(path, {"encoding": "utf8"}).to(path);
+                setTimeout(function() {
+                    test.deepEqual(builds, ["build", "repackage", "build"]);
+                    app.unwatch();
+                }, 1500);
+            }, 1500);
+        }, 200);
+    },
+
+    runPlatforms: function(test) {
+
+        test.expect(4);
+
+        var tmpdir = Util.createTmpDir();
+        ShellJS.pushd(tmpdir);
+
+        var app = require("../src/Main");
+        Application.call(app, tmpdir, _packageId);
+
+        // Failing backends must not stop the others.
+        var cwd = process.cwd();
+        var visited = [];
+        var platforms = [
+            { platformId: "foo", argSpec: {} },
+            { platformId: "bar", argSpec: {} }
+        ];
+        app.runPlatforms(platforms, "build", "debug", {}, function(platform, args, callback) {
+
+            visited.push(platform.platformId);
+            callback(platform.platformId === "foo" ? "Failed" : null);
+        }, function(errno) {
+
+            test.deepEqual(visited, ["foo", "bar"]);
+            test.equal(errno, 127);
+            test.equal(process.cwd(), cwd);
+
+            app.runPlatforms([ platforms[1] ], "build", "debug", {}, function(platform, args, callback) {
+                callback(null);
+            }, function(errno) {
+
+                test.equal(errno, 0);
+
+                ShellJS.popd();
+                ShellJS.rm("-rf", tmpdir);
+                test.done();
+            });
+        });
+    },
+
+    runPlatformsHookFailure: function(test) {
+
+        test.expect(3);
+
+        var application = Util.createTmpApplication(_packageId);
+        var manifestPath = Path.join(application.appPath, "manifest.json");
+        var json = JSON.parse(FS.readFileSync(manifestPath, {"encoding": "utf8"}));
+        json.xwalk_hooks = {
+            "pre-build": "test $CROSSWALK_PLATFORM != foo"
+        };
+        JSON.stringify(json).to(manifestPath);
+
+        var app = Object.create(require("../src/Main"));
+        Application.call(app, application.rootPath, null);
+
+        // Failing hooks stop the whole command.
+        var visited = [];
+        var platforms = [ "bar", "foo", "baz" ].map(function(platformId) {
+            return {
+                platformId: platformId,
+                platformPath: Path.join(application.prjPath, platformId),
+                logOutput: new LogfileOutput(Path.join(application.logPath, platformId + ".log")),
+                argSpec: {}
+            };
+        });
+        app.runPlatforms(platforms, "build", "debug", {}, function(platform, args, callback) {
+
+            visited.push(platform.platformId);
+            callback(null);
+        }, function(errno) {
+
+            test.deepEqual(visited, ["bar"]);
+            test.notEqual(errno, 0);
+            test.ok(FS.readFileSync(Path.join(application.logPath, "foo.log"),
+                                    {"encoding": "utf8"}).indexOf("pre-build") > -1);
+
+            Util.deleteTmpApplication(application);
+            test.done();
+        });
+    },
+
+    runHook: function(test) {
+
+        test.expect(5);
+
+        var application = Util.createTmpApplication(_packageId);
+        var manifestPath = Path.join(application.appPath, "manifest.json");
+        var json = JSON.parse(FS.readFileSync(manifestPath, {"encoding": "utf8"}));
+        json.xwalk_hooks = {
+            "pre-build": "echo $CROSSWALK_HOOK $CROSSWALK_PLATFORM $CROSSWALK_CONFIG > hook.txt",
+            "post-build": "echo bummer; exit 3"
+        };
+        JSON.stringify(json).to(manifestPath);
+
+        var app = Object.create(require("../src/Main"));
+        Application.call(app, application.rootPath, null);
+
+        var platform = {
+            platformId: "test",
+            platformPath: Path.join(application.prjPath, "test"),
+            logOutput: new LogfileOutput(Path.join(application.logPath, "test.log"))
+        };
+
+        app.runHook("pre-build", platform, "debug", function(errormsg) {
+
+            test.equal(errormsg, null);
+            test.equal(FS.readFileSync(Path.join(application.rootPath, "hook.txt"), {"encoding": "utf8"}),
+                       "pre-build test debug\n");
+
+            app.runHook("post-build", platform, "debug", function(errormsg) {
+
+                test.ok(errormsg.indexOf("exit code 3") > -1);
+                test.ok(FS.readFileSync(Path.join(application.logPath, "test.log"),
+                                        {"encoding": "utf8"}).indexOf("bummer") > -1);
+
+                // Unknown hooks are not run.
+                app.runHook("pre-foo", platform, null, function(errormsg) {
+
+                    test.equal(errormsg, null);
+                    Util.deleteTmpApplication(application);
+                    test.done();
+                });
+            });
+        });
+    },
+
+    manageManifest: function(test) {
+
+        test.expect(4);
+
+        var application = Util.createTmpApplication(_packageId);
+        var path = Path.join(application.appPath, "manifest.json");
+        var output = TerminalOutput.getInstance();
+
+        var app = require("../src/Main");
+        app.manageManifest(path, "set", "xwalk_app_version", "1.2", output, function(errno) {
+
+            test.equal(errno, 0);
+
+            app.manageManifest(path, "set", "xwalk_app_version", "1.2.3333", output, function(errno) {
+
+                test.equal(errno, 11);
+
+                app.manageManifest(path, "validate", null, null, output, function(errno) {
+
+                    test.equal(errno, 0);
+                    test.equal(new Manifest(output, path).appVersion, "1.2");
+
+                    Util.deleteTmpApplication(application);
+                    test.done();
+                });
+            });
+        });
+    },
+
+    manageConfig: function(test) {
+
+        test.expect(6);
+
+        var application = Util.createTmpApplication(_packageId);
+        var output = TerminalOutput.getInstance();
+
+        var app = require("../src/Main");
+        app.config.load(application.rootPath, {});
+        app.manageConfig("set", "foo", "bar", false, output, function(errno) {
+
+            // Unknown setting
+            test.equal(errno, 10);
+
+            app.manageConfig("set", "android-crosswalk", "beta", false, output, function(errno) {
+
+                test.equal(errno, 0);
+                test.equal(app.config.get("android-crosswalk"), "beta");
+                test.equal(app.config.getLayer("android-crosswalk"), "project");
+
+                // Secrets are not printed.
+                var written = "";
+                var quiet = Object.create(output);
+                quiet.write = function(message) {
+                    written += message;
+                };
+                app.config.set("android-keystore-password", "secret", "project");
+                app.manageConfig("get", "android-keystore-password", null, false, quiet, function(errno) {
+
+                    test.equal(errno, 0);
+                    test.equal(written, "********\n");
+
+                    app.config.load();
+                    Util.deleteTmpApplication(application);
+                    test.done();
+                });
+            });
+        });
+    },
+
     listPlatforms: function(test) {
 
         // Prints to stdout, so just run the code to see if it breaks.
@@ -138,6 +487,55 @@ exports.tests = {
         test.done();
     },
 
+    doctor: function(test) {
+
+        test.expect(6);
+
+        // Collect the JSON events.
+        var events = [];
+        var output = Object.create(JsonOutput.getInstance());
+        output.emit = function(event) {
+            events.push(event);
+        };
+        function requirementsFor(platformId) {
+            return events.filter(function(event) {
+                return event.event === "requirements" && event.platform === platformId;
+            })[0];
+        }
+
+        // Outside a project backends that do not support the host are skipped.
+        var app = require("../src/Main");
+        app.doctor(null, null, output, function(errno) {
+
+            test.ok(requirementsFor(null).results.length > 0);
+            test.equal(requirementsFor("windows").skipped === true, process.platform !== "win32");
+
+            // Inside a project only its target platforms are checked.
+            var application = Util.createTmpApplication(_packageId);
+            var manifestPath = Path.join(application.appPath, "manifest.json");
+            var json = JSON.parse(FS.readFileSync(manifestPath, {"encoding": "utf8"}));
+            json.xwalk_target_platforms = [ "windows" ];
+            JSON.stringify(json).to(manifestPath);
+
+            events = [];
+            app.doctor(application.rootPath, null, output, function(errno) {
+
+                test.equal(requirementsFor("android"), undefined);
+                test.ok(requirementsFor("windows").results.length > 0);
+                test.equal(errno === 0, requirementsFor("windows").pass);
+
+                Util.deleteTmpApplication(application);
+
+                // Unknown backends fail.
+                app.doctor(null, "foo", TerminalOutput.getInstance(), function(errno) {
+
+                    test.equal(errno, 10);
+                    test.done();
+                });
+            });
+        });
+    },
+
     printHelp: function(test) {
 
         // Prints to stdout, so just run the code to see if it breaks.
@@ -3,9 +3,11 @@
 // license that can be found in the LICENSE-APACHE-V2 file.
 
 var FS = require("fs");
+var Path = require("path");
 
 var ShellJS = require("shelljs");
 
+var InvalidManifestError = require("../src/util/exceptions").InvalidManifestError;
 var Manifest = require("../src/Manifest.js");
 var Util = require("../test-util/Util.js");
 
@@ -35,10 +37,18 @@ function produceManifest(fields) {
 
 function consumeManifest(path) {
 
-    var manifest = new Manifest(_output, path);
-    ShellJS.rm("-f", path);
+    try {
+        return new Manifest(_output, path);
+    } finally {
+        ShellJS.rm("-f", path);
+    }
+}
 
-    return manifest;
+function consumeInvalidManifest(test, path) {
+
+    test.throws(function() {
+        consumeManifest(path);
+    }, InvalidManifestError);
 }
 
 exports.tests = {
@@ -64,27 +74,27 @@ exports.tests = {
 
         version = "2.";
         path = produceManifest({"xwalk_app_version": version});
-        test.equal(false, version == consumeManifest(path).appVersion);
+        consumeInvalidManifest(test, path);
 
         version = "2.2.";
         path = produceManifest({"xwalk_app_version": version});
-        test.equal(false, version == consumeManifest(path).appVersion);
+        consumeInvalidManifest(test, path);
 
         version = "2.2.2.";
         path = produceManifest({"xwalk_app_version": version});
-        test.equal(false, version == consumeManifest(path).appVersion);
+        consumeInvalidManifest(test, path);
 
         version = "3333";
         path = produceManifest({"xwalk_app_version": version});
-        test.equal(false, version == consumeManifest(path).appVersion);
+        consumeInvalidManifest(test, path);
 
         version = "333.333";
         path = produceManifest({"xwalk_app_version": version});
-        test.equal(false, version == consumeManifest(path).appVersion);
+        consumeInvalidManifest(test, path);
 
         version = "33.333.333";
         path = produceManifest({"xwalk_app_version": version});
-        test.equal(false, version == consumeManifest(path).appVersion);
+        consumeInvalidManifest(test, path);
 
         test.done();
     },
@@ -131,7 +141,7 @@ exports.tests = {
 
     display: function(test) {
 
-        test.expect(3);
+        test.expect(4);
 
         // Default to "false"
         var path = produceManifest();
@@ -143,6 +153,11 @@ exports.tests = {
         manifest = consumeManifest(path);
         test.equal(manifest.display, "fullscreen");
 
+        // Test reading "minimal-ui"
+        path = produceManifest({"display": "minimal-ui"});
+        manifest = consumeManifest(path);
+        test.equal(manifest.display, "minimal-ui");
+
         // Test reading bogus value "foo", default to "standalone"
         path = produceManifest({"display": "foo"});
         manifest = consumeManifest(path);
@@ -192,6 +207,92 @@ exports.tests = {
         test.done();
     },
 
+    orientation: function(test) {
+
+        test.expect(3);
+
+        var path = produceManifest();
+        var manifest = consumeManifest(path);
+        test.equal(manifest.orientation, null);
+
+        path = produceManifest({"orientation": "landscape-primary"});
+        manifest = consumeManifest(path);
+        test.equal(manifest.orientation, "landscape-primary");
+
+        // Bogus value is ignored
+        path = produceManifest({"orientation": "sideways"});
+        manifest = consumeManifest(path);
+        test.equal(manifest.orientation, null);
+
+        test.done();
+    },
+
+    colors: function(test) {
+
+        test.expect(5);
+
+        var path = produceManifest();
+        var manifest = consumeManifest(path);
+        test.equal(manifest.themeColor, null);
+        test.equal(manifest.backgroundColor, null);
+
+        // Normalized to #rrggbb
+        path = produceManifest({"theme_color": "#F0a", "background_color": "Navy"});
+        manifest = consumeManifest(path);
+        test.equal(manifest.themeColor, "#ff00aa");
+        test.equal(manifest.backgroundColor, "#000080");
+
+        path = produceManifest({"theme_color": "hsl(0, 0%, 0%)"});
+        manifest = consumeManifest(path);
+        test.equal(manifest.themeColor, null);
+
+        test.done();
+    },
+
+    langDir: function(test) {
+
+        test.expect(4);
+
+        var path = produceManifest();
+        var manifest = consumeManifest(path);
+        test.equal(manifest.lang, null);
+        test.equal(manifest.dir, "auto");
+
+        path = produceManifest({"lang": "pt-BR", "dir": "rtl"});
+        manifest = consumeManifest(path);
+        test.equal(manifest.lang, "pt-BR");
+        test.equal(manifest.dir, "rtl");
+
+        test.done();
+    },
+
+    scopeDescription: function(test) {
+
+        test.expect(7);
+
+        var path = produceManifest();
+        var manifest = consumeManifest(path);
+        test.equal(manifest.scope, null);
+        test.equal(manifest.description, null);
+
+        path = produceManifest({"scope": "/app/", "start_url": "app/index.html", "description": "Foo app"});
+        manifest = consumeManifest(path);
+        test.equal(manifest.scope, "/app/");
+        test.equal(manifest.description, "Foo app");
+
+        // Start URL outside of scope
+        path = produceManifest({"scope": "/app/"});
+        test.equal(consumeManifest(path).scope, null);
+
+        // Outside of the app
+        path = produceManifest({"scope": "../"});
+        test.equal(consumeManifest(path).scope, null);
+        path = produceManifest({"scope": "http://example.com/"});
+        test.equal(consumeManifest(path).scope, null);
+
+        test.done();
+    },
+
     packageId: function(test) {
 
         test.expect(2);
@@ -215,6 +316,23 @@ exports.tests = {
         test.done();
     },
 
+    invalid: function(test) {
+
+        test.expect(3);
+
+        // All errors are listed, not just the first.
+        var path = produceManifest({"xwalk_package_id": "foo", "xwalk_app_version": "2."});
+        try {
+            consumeManifest(path);
+        } catch (error) {
+            test.ok(error instanceof InvalidManifestError);
+            test.ok(error.message.indexOf("$.xwalk_package_id") > -1);
+            test.ok(error.message.indexOf("$.xwalk_app_version") > -1);
+        }
+
+        test.done();
+    },
+
     targetPlatforms: function(test) {
 
         test.expect(2);
@@ -223,14 +341,45 @@ exports.tests = {
 
         // read
         var manifest = new Manifest(_output, path);
-        test.equal(manifest.targetPlatforms, "android");
+        test.deepEqual(manifest.targetPlatforms, ["android"]);
 
         // write
         manifest.targetPlatforms = "windows";
 
         // read back
         manifest = consumeManifest(path);
-        test.equal(manifest.targetPlatforms, "windows");
+        test.deepEqual(manifest.targetPlatforms, ["windows"]);
+
+        test.done();
+    },
+
+    targetPlatformsMultiple: function(test) {
+
+        test.expect(5);
+
+        var path = produceManifest({"xwalk_target_platforms": ["android", "windows"]});
+
+        // read
+        var manifest = new Manifest(_output, path);
+        test.deepEqual(manifest.targetPlatforms, ["android", "windows"]);
+
+        // write comma-separated, as passed by --platforms
+        manifest.targetPlatforms = "windows,android";
+        test.deepEqual(manifest.getField("xwalk_target_platforms"), ["windows", "android"]);
+
+        // single platform is written as string
+        manifest.targetPlatforms = ["android"];
+        test.equal(manifest.getField("xwalk_target_platforms"), "android");
+
+        // bogus platform
+        try {
+            manifest.targetPlatforms = ["android", "foo"];
+        } catch (e) {
+            test.equal(e instanceof Error, true);
+        }
+        test.deepEqual(manifest.targetPlatforms, ["android"]);
+
+        ShellJS.rm("-f", path);
 
         test.done();
     },
@@ -269,6 +418,128 @@ exports.tests = {
         test.done();
     },
 
+    locales: function(test) {
+
+        test.expect(6);
+
+        var path = produceManifest({
+            "name": "Example",
+            "short_name": "Ex",
+            "xwalk_locales": {
+                "de": { "name": "Beispiel", "short_name": "Bsp" },
+                "pt": { "name": "Exemplo" },
+                "pt-BR": { "short_name": "Ex BR" }
+            }
+        });
+        var manifest = consumeManifest(path);
+        test.deepEqual(manifest.getLocalizedNames(null), { name: "Example", short_name: "Ex" });
+        test.deepEqual(manifest.getLocalizedNames("de-AT"), { name: "Beispiel", short_name: "Bsp" });
+        test.deepEqual(manifest.getLocalizedNames("pt-br"), { name: "Exemplo", short_name: "Ex BR" });
+        test.deepEqual(manifest.getLocalizedNames("fr"), { name: "Example", short_name: "Ex" });
+
+        // Only names can be localized
+        path = produceManifest({"xwalk_locales": { "de": { "start_url": "de.html" } }});
+        consumeInvalidManifest(test, path);
+
+        path = produceManifest({"xwalk_locales": { "de_DE": { "name": "Beispiel" } }});
+        consumeInvalidManifest(test, path);
+
+        test.done();
+    },
+
+    commandLine: function(test) {
+
+        test.expect(4);
+
+        var path = produceManifest();
+        var manifest = consumeManifest(path);
+        test.equal(manifest.commandLine, null);
+
+        path = produceManifest({"xwalk_command_line": " --ignore-gpu-blacklist  --foo=bar "});
+        manifest = consumeManifest(path);
+        test.equal(manifest.commandLine, "--ignore-gpu-blacklist  --foo=bar");
+
+        path = produceManifest({"xwalk_command_line": "ignore-gpu-blacklist"});
+        consumeInvalidManifest(test, path);
+
+        test.equal(Manifest.validateCommandLine(["--foo"], _output), false);
+
+        test.done();
+    },
+
+    androidPermissions: function(test) {
+
+        test.expect(5);
+
+        // Defaults for new projects
+        var path = produceManifest();
+        var manifest = consumeManifest(path);
+        test.deepEqual(manifest.androidPermissions, [
+            "android.permission.ACCESS_NETWORK_STATE",
+            "android.permission.ACCESS_WIFI_STATE",
+            "android.permission.INTERNET"
+        ]);
+
+        // Projects keep their permissions when not given
+        path = produceManifest({"xwalk_android_permissions": undefined});
+        manifest = consumeManifest(path);
+        test.equal(manifest.androidPermissions, null);
+
+        path = produceManifest({"xwalk_android_permissions": ["INTERNET", "com.example.foo.permission.C2D_MESSAGE"]});
+        manifest = consumeManifest(path);
+        test.deepEqual(manifest.androidPermissions, [
+            "android.permission.INTERNET",
+            "com.example.foo.permission.C2D_MESSAGE"
+        ]);
+
+        // Unknown permissions are warnings
+        var problems = Manifest.check({"xwalk_android_permissions": ["INTERNET", "CAMMERA"]}, null);
+        test.ok(problems.some(function(problem) {
+            return problem.path === "$.xwalk_android_permissions[1]" && problem.severity === "warning";
+        }));
+        test.equal(Manifest.validateAndroidPermissions("CAMERA,INTERNET", _output), true);
+
+        test.done();
+    },
+
+    androidTargets: function(test) {
+
+        test.expect(4);
+
+        var path = produceManifest();
+        var manifest = consumeManifest(path);
+        test.equal(manifest.androidTargets, null);
+
+        path = produceManifest({"xwalk_android_targets": "arm64-v8a, x86_64"});
+        manifest = consumeManifest(path);
+        test.deepEqual(manifest.androidTargets, ["arm64-v8a", "x86_64"]);
+
+        test.equal(Manifest.validateAndroidTargets(["armeabi-v7a", "x86"], _output), true);
+        var problems = Manifest.check({"xwalk_android_targets": ["arm64"]}, null);
+        test.ok(problems.some(function(problem) {
+            return problem.path === "$.xwalk_android_targets" && problem.severity === "error";
+        }));
+
+        test.done();
+    },
+
+    androidMode: function(test) {
+
+        test.expect(3);
+
+        var path = produceManifest();
+        var manifest = consumeManifest(path);
+        test.equal(manifest.androidMode, "embedded");
+
+        path = produceManifest({"xwalk_android_mode": "shared"});
+        manifest = consumeManifest(path);
+        test.equal(manifest.androidMode, "shared");
+
+        test.equal(Manifest.validateAndroidMode("standalone", _output), false);
+
+        test.done();
+    },
+
     windowsUpdateId: function(test) {
 
         test.expect(1);
@@ -283,6 +554,197 @@ exports.tests = {
         test.done();
     },
 
+    getField: function(test) {
+
+        test.expect(3);
+
+        var path = produceManifest({"xwalk_android_keep_screen_on": true});
+        var manifest = new Manifest(_output, path);
+
+        test.equal(manifest.getField("xwalk_package_id"), "com.example.foo");
+        test.equal(manifest.getField("xwalk_android_keep_screen_on"), true);
+        test.equal(typeof manifest.getField("foo"), "undefined");
+
+        ShellJS.rm("-f", path);
+        test.done();
+    },
+
+    setField: function(test) {
+
+        test.expect(6);
+
+        var path = produceManifest();
+        var manifest = new Manifest(_output, path);
+
+        manifest.setField("xwalk_app_version", "1.2.3");
+        test.equal(manifest.appVersion, "1.2.3");
+
+        manifest.setField("xwalk_android_keep_screen_on", true);
+        test.equal(manifest.androidKeepScreenOn, true);
+
+        // Invalid values are rejected, the previous value is kept.
+        try {
+            manifest.setField("xwalk_app_version", "1.2.3333");
+        } catch (e) {
+            test.equal(manifest.appVersion, "1.2.3");
+        }
+
+        try {
+            manifest.setField("display", "foo");
+        } catch (e) {
+            test.equal(manifest.display, "standalone");
+        }
+
+        // read back
+        manifest = consumeManifest(path);
+        test.equal(manifest.appVersion, "1.2.3");
+        test.equal(manifest.androidKeepScreenOn, true);
+
+        test.done();
+    },
+
+    setFieldFormatting: function(test) {
+
+        test.expect(3);
+
+        var path = Util.createTmpFile();
+        var buffer = '{\n' +
+                     '    "xwalk_package_id": "com.example.foo",\n' +
+                     '    "name": "foo",\n' +
+                     '    "xwalk_app_version": "0.1",\n' +
+                     '    "xwalk_target_platforms": "android"\n' +
+                     '}\n';
+        FS.writeFileSync(path, buffer);
+
+        var manifest = new Manifest(_output, path);
+        manifest.setField("name", "bar");
+        manifest.setField("short_name", "baz");
+
+        // Key order, indentation and trailing newline are preserved,
+        // new fields are appended.
+        var expected = buffer.replace('"name": "foo"', '"name": "bar"')
+                             .replace('"android"\n', '"android",\n    "short_name": "baz"\n');
+        test.equal(FS.readFileSync(path, {"encoding": "utf8"}), expected);
+
+        manifest.unsetField("short_name");
+        test.equal(FS.readFileSync(path, {"encoding": "utf8"}),
+                   buffer.replace('"name": "foo"', '"name": "bar"'));
+
+        // Required fields can not be removed.
+        try {
+            manifest.unsetField("xwalk_package_id");
+        } catch (e) {
+            test.equal(manifest.getField("xwalk_package_id"), "com.example.foo");
+        }
+
+        ShellJS.rm("-f", path);
+        test.done();
+    },
+
+    parseFieldValue: function(test) {
+
+        test.expect(5);
+
+        test.equal(Manifest.parseFieldValue("xwalk_app_version", "1.2"), "1.2");
+        test.equal(Manifest.parseFieldValue("xwalk_android_keep_screen_on", "true"), true);
+        test.equal(Manifest.parseFieldValue("icons", '[{"src": "icon.png"}]')[0].src, "icon.png");
+        test.equal(Manifest.parseFieldValue("foo", "bar"), "bar");
+
+        try {
+            Manifest.parseFieldValue("xwalk_android_keep_screen_on", "yes");
+        } catch (e) {
+            test.equal(e instanceof SyntaxError, true);
+        }
+
+        test.done();
+    },
+
+    validate: function(test) {
+
+        test.expect(5);
+
+        var path = produceManifest();
+        test.equal(Manifest.validate(_output, path), true);
+        ShellJS.rm("-f", path);
+
+        path = produceManifest({"xwalk_app_version": "1.2.3333"});
+        test.equal(Manifest.validate(_output, path), false);
+        ShellJS.rm("-f", path);
+
+        path = produceManifest({"xwalk_windows_update_id": "foo"});
+        test.equal(Manifest.validate(_output, path), false);
+        ShellJS.rm("-f", path);
+
+        // Warnings only fail in strict mode.
+        path = produceManifest({"display": "foo"});
+        test.equal(Manifest.validate(_output, path), true);
+        test.equal(Manifest.validate(_output, path, true), false);
+        ShellJS.rm("-f", path);
+
+        test.done();
+    },
+
+    check: function(test) {
+
+        test.expect(13);
+
+        var tmpdir = Util.createTmpDir();
+        "".to(Path.join(tmpdir, "index.html"));
+
+        // All problems are collected, with JSON path and fix.
+        var problems = Manifest.check({
+            "display": "foo",
+            "icons": [ { "src": "missing.png", "sizes": "big" }, {} ],
+            "start_url": "index.html",
+            "xwalk_app_version": "1.2.3333",
+            "xwalk_target_platforms": "android",
+            "xwalk_fo": true
+        }, tmpdir);
+
+        var byPath = {};
+        problems.forEach(function(problem) {
+            byPath[problem.path] = byPath[problem.path] ? byPath[problem.path] : [];
+            byPath[problem.path].push(problem.severity);
+        });
+        test.deepEqual(byPath["$.display"], ["warning"]);
+        test.deepEqual(byPath["$.xwalk_app_version"], ["error"]);
+        test.deepEqual(byPath["$.xwalk_package_id"], ["error"]);
+        test.deepEqual(byPath["$.xwalk_fo"], ["warning"]);
+        test.deepEqual(byPath["$.icons[0].src"], ["warning"]);
+        test.deepEqual(byPath["$.icons[0].sizes"], ["warning"]);
+        test.deepEqual(byPath["$.icons[1].src"], ["error"]);
+        test.ok(problems.every(function(problem) { return problem.fix; }));
+
+        // Start URL must stay inside the app.
+        problems = Manifest.check({ "start_url": "../index.html" }, tmpdir);
+        test.ok(problems.some(function(problem) {
+            return problem.path === "$.start_url" && problem.severity === "error";
+        }));
+
+        // A leading "/" is the app root, as for the scope.
+        problems = Manifest.check({ "scope": "/", "start_url": "/index.html" }, tmpdir);
+        test.equal(problems.filter(function(problem) {
+            return problem.path === "$.start_url" || problem.path === "$.scope";
+        }).length, 0);
+
+        // Scope must stay inside the app, and contain the start URL.
+        problems = Manifest.check({ "scope": "../" }, tmpdir);
+        test.equal(problems.filter(function(problem) {
+            return problem.path === "$.scope";
+        }).length, 1);
+        problems = Manifest.check({ "scope": "/foo/", "start_url": "index.html" }, tmpdir);
+        test.ok(problems.some(function(problem) {
+            return problem.path === "$.scope" && problem.severity === "warning";
+        }));
+        problems = Manifest.check({ "scope": "/", "start_url": "index.html" }, tmpdir);
+        test.ok(!problems.some(function(problem) {
+            return problem.path === "$.scope";
+        }));
+
+        ShellJS.rm("-rf", tmpdir);
+        test.done();
+    },
+
     windowsVendor: function(test) {
 
         test.expect(2);
@@ -295,6 +757,62 @@ exports.tests = {
         var m2 = consumeManifest(path2);
         test.equal(m2.windowsVendor, "foo");
 
+        test.done();
+    },
+
+    hooks: function(test) {
+
+        test.expect(4);
+
+        var path1 = produceManifest();
+        var m1 = consumeManifest(path1);
+        test.deepEqual(m1.hooks, {});
+
+        var path2 = produceManifest({"xwalk_hooks": {"pre-build": "make"}});
+        var m2 = consumeManifest(path2);
+        test.equal(m2.hooks["pre-build"], "make");
+
+        var path3 = produceManifest({"xwalk_hooks": {"pre-build": 1}});
+        consumeInvalidManifest(test, path3);
+
+        test.deepEqual(Manifest.parseFieldValue("xwalk_hooks", '{"post-build":"ls"}'),
+                       {"post-build": "ls"});
+
+        test.done();
+    },
+
+    overrides: function(test) {
+
+        test.expect(8);
+
+        var overrides = {
+            "debug": { "name": "Foo Debug", "xwalk_android_keep_screen_on": true },
+            "android": { "name": "Foo Android" },
+            "android-release": { "name": "Foo Android Release", "xwalk_package_id": "com.example.bar" }
+        };
+
+        // Applied in order configuration, platform, platform-configuration
+        var json = Manifest.applyOverrides({ "name": "Foo", "xwalk_overrides": overrides }, "android", "release");
+        test.equal(json.name, "Foo Android Release");
+        test.equal(typeof json.xwalk_overrides, "undefined");
+        test.equal(typeof json.xwalk_package_id, "undefined");
+
+        json = Manifest.applyOverrides({ "name": "Foo", "xwalk_overrides": overrides }, "windows", "debug");
+        test.equal(json.name, "Foo Debug");
+
+        var path = produceManifest({"xwalk_overrides": { "debug": overrides.debug, "android": overrides.android }});
+        var manifest = new Manifest(_output, path, "android", "debug");
+        test.equal(manifest.name, "Foo Android");
+        test.equal(manifest.androidKeepScreenOn, true);
+        manifest = consumeManifest(path);
+        test.equal(manifest.name, "com.example.foo");
+
+        // Keys must name a configuration or platform
+        var problems = Manifest.check({ "xwalk_overrides": { "Foo Bar": {} } }, null);
+        test.ok(problems.some(function(problem) {
+            return problem.path === "$.xwalk_overrides" && problem.severity === "error";
+        }));
+
         test.done();
     }
 };
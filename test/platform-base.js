@@ -2,11 +2,13 @@
 // Use  of this  source  code is  governed by  an Apache v2
 // license that can be found in the LICENSE-APACHE-V2 file.
 
+var FS = require("fs");
 var Path = require("path");
 
 var ShellJS = require("shelljs");
 
 var Application = require("../src/Application");
+var Config = require("../src/Config");
 var LogfileOutput = require("../src/LogfileOutput");
 var PlatformBase = require("../src/PlatformBase");
 var PlatformInfo = require("../src/PlatformInfo");
@@ -86,6 +88,142 @@ exports.tests = {
 
         ShellJS.rm("-rf", basePath);
 
+        test.done();
+    },
+
+    exportPackage: function(test) {
+
+        test.expect(5);
+
+        // Packages are exported to the working dir.
+        var basePath = Util.createTmpDir();
+        ShellJS.pushd(basePath);
+        var application = new Application(basePath, _packageId);
+
+        var platformData = {
+            application: application,
+            platformId: _platformId
+        };
+        var platform = new TestPlatform(PlatformBase, platformData);
+
+        var packagePath = Path.join(platform.platformPath, "foo.apk");
+        ShellJS.mkdir("-p", platform.platformPath);
+        "maman".to(packagePath);
+        platform.exportPackage(packagePath, "debug", "x86");
+
+        var artifacts = application.artifacts;
+        test.equal(artifacts.length, 1);
+        test.equal(artifacts[0].path, Path.join(basePath, "foo.apk"));
+        test.equal(artifacts[0].abi, "x86");
+        test.equal(artifacts[0].config, "debug");
+        test.equal(artifacts[0].size, "maman".length);
+
+        ShellJS.popd();
+        ShellJS.rm("-rf", basePath);
+
+        test.done();
+    },
+
+    exportVersion: function(test) {
+
+        test.expect(3);
+
+        var basePath = Util.createTmpDir();
+        var application = new Application(basePath, _packageId);
+
+        var platformData = {
+            application: application,
+            platformId: _platformId
+        };
+        var platform = new TestPlatform(PlatformBase, platformData);
+        ShellJS.mkdir("-p", platform.platformPath);
+
+        test.equal(PlatformBase.readVersion(platform.platformPath), null);
+
+        platform.exportVersion("13.42.319.12");
+        test.equal(application.versions[_platformId], "13.42.319.12");
+        test.equal(PlatformBase.readVersion(platform.platformPath), "13.42.319.12");
+
+        ShellJS.rm("-rf", basePath);
+
+        test.done();
+    },
+
+    buildState: function(test) {
+
+        test.expect(6);
+
+        var basePath = Util.createTmpDir();
+        var application = new Application(basePath, _packageId);
+
+        var platformData = {
+            application: application,
+            platformId: _platformId
+        };
+        var platform = new TestPlatform(PlatformBase, platformData);
+        ShellJS.mkdir("-p", platform.platformPath);
+
+        var packagePath = Path.join(basePath, "foo.apk");
+        "foo".to(packagePath);
+
+        var inputs = platform.getBuildInputs("debug", { force: true });
+        test.equal(platform.findBuiltPackage("debug/x86", inputs), null);
+
+        platform.recordBuiltPackage("debug/x86", inputs, packagePath);
+        test.equal(platform.findBuiltPackage("debug/x86", inputs), packagePath);
+        test.equal(platform.findBuiltPackage("release/x86",
+                                             platform.getBuildInputs("release", {})),
+                   null);
+
+        // Changed content needs to be built again.
+        "<html></html>".to(Path.join(platform.appPath, "foo.html"));
+        inputs = platform.getBuildInputs("debug", {});
+        test.equal(platform.findBuiltPackage("debug/x86", inputs), null);
+
+        // Same for removed packages.
+        platform.recordBuiltPackage("debug/x86", inputs, packagePath);
+        test.equal(platform.findBuiltPackage("debug/x86", inputs), packagePath);
+        ShellJS.rm("-f", packagePath);
+        test.equal(platform.findBuiltPackage("debug/x86", inputs), null);
+
+        ShellJS.rm("-rf", basePath);
+
+        test.done();
+    },
+
+    buildInputs: function(test) {
+
+        test.expect(4);
+
+        var basePath = Util.createTmpDir();
+        var config = new Config.class();
+        config.load(basePath, {});
+        var application = new Application(basePath, _packageId, null, null, config);
+
+        var platformData = {
+            application: application,
+            platformId: _platformId
+        };
+        var platform = new TestPlatform(PlatformBase, platformData);
+        var inputs = platform.getBuildInputs("debug", {});
+
+        // Symlinks are hashed, but not followed.
+        var linkPath = Path.join(platform.appPath, "loop");
+        FS.symlinkSync(".", linkPath);
+        var linkInputs = platform.getBuildInputs("debug", {});
+        test.notEqual(linkInputs.app, inputs.app);
+        ShellJS.rm("-f", linkPath);
+        FS.symlinkSync("..", linkPath);
+        test.notEqual(platform.getBuildInputs("debug", {}).app, linkInputs.app);
+
+        // Settings change the package too.
+        config.set("pre-build", "echo foo", "project");
+        var settingsInputs = platform.getBuildInputs("debug", {});
+        test.notEqual(settingsInputs.settings, inputs.settings);
+        test.equal(settingsInputs.app, platform.getBuildInputs("debug", {}).app);
+
+        ShellJS.rm("-rf", basePath);
+
         test.done();
     }
 };
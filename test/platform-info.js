@@ -40,6 +40,50 @@ exports.tests = {
         test.done();
     },
 
+    checkRequirements: function(test) {
+
+        test.expect(2);
+
+        var platformInfo = new PlatformInfo(TestPlatform, "test");
+        var config = require("../src/Config").getInstance();
+        platformInfo.checkRequirements(config, function(results) {
+
+            test.equal(results.length, 1);
+            test.equal(results[0].pass, true);
+            test.done();
+        });
+    },
+
+    fetchVersions: function(test) {
+
+        test.expect(3);
+
+        var config = require("../src/Config").getInstance();
+        var platformInfo = new PlatformInfo(TestPlatform, "test");
+        platformInfo.fetchVersions(config, null, "stable", function(versions, errormsg) {
+
+            test.equal(errormsg, null);
+            test.equal(versions.length, 2);
+            test.equal(versions[1].cached, true);
+            test.done();
+        });
+    },
+
+    supportsHost: function(test) {
+
+        test.expect(3);
+
+        // TestPlatform does not implement the hook, so all hosts are fine.
+        var platformInfo = new PlatformInfo(TestPlatform, "test");
+        test.equal(platformInfo.supportsHost("linux"), true);
+
+        platformInfo = new PlatformInfo(require("../windows/lib/WinPlatform"), "windows");
+        test.equal(platformInfo.supportsHost("linux"), false);
+        test.equal(platformInfo.supportsHost("win32"), true);
+
+        test.done();
+    },
+
     create: function(test) {
 
         test.expect(1);
@@ -2,6 +2,7 @@
 // Use  of this  source  code is  governed by  an Apache v2
 // license that can be found in the LICENSE-APACHE-V2 file.
 
+var FS = require("fs");
 var Path = require("path");
 
 var ShellJS = require("shelljs");
@@ -48,15 +49,62 @@ WinPlatform.getArgs = function() {
     };
 };
 
+/**
+ * Implements {@link PlatformBase.checkRequirements}
+ * @static
+ */
+WinPlatform.checkRequirements =
+function(util, config, callback) {
+
+    var results = [];
+
+    // WiX compiler and linker, see WixSDK.runWix()
+    var tools = [ "candle", "light" ];
+    function checkNext() {
+
+        var name = tools.shift();
+        if (!name) {
+            callback(results);
+            return;
+        }
+
+        var tool = new util.HostTool(name);
+        tool.queryVersion(["-?"], /version ([0-9.]+)/,
+                          function(version, output, errormsg) {
+
+            results.push({
+                name: name,
+                pass: version !== null,
+                detail: version ? tool.path + " (" + version + ")" : errormsg,
+                hint: "Install WiX Toolset 3.x and add its bin dir to PATH"
+            });
+            checkNext();
+        });
+    }
+    checkNext();
+};
+
+/**
+ * Implements {@link PlatformBase.supportsHost}
+ * The WiX toolset only runs on Windows.
+ * @static
+ */
+WinPlatform.supportsHost =
+function(hostPlatform) {
+
+    return hostPlatform === "win32";
+};
+
 /**
  * Import Crosswalk libraries and auxiliary files into the project.
  * @param {String} crosswalkPath Location of unpacked Crosswalk distribution
- * @returns {String} Imported version on success, otherwise null.
+ * @param {Function} callback Callback(errormsg)
  */
 WinPlatform.prototype.importCrosswalkFromZip =
 function(crosswalkPath, callback) {
 
     // Namespace util
+    var exceptions = this.application.exceptions;
     var util = this.application.util;
     var output = this.output;
 
@@ -71,10 +119,11 @@ function(crosswalkPath, callback) {
     var zip = new util.CrosswalkZip(crosswalkPath);
     zip.extractEntryTo(zip.root, this.platformPath);
     if (!ShellJS.test("-d", this.platformPath)) {
-        callback("Failed to extract " + crosswalkPath);
+        callback(new exceptions.InvalidProjectError("Failed to extract " + crosswalkPath));
         return;
     }
 
+    this.exportVersion(zip.version.toString());
     callback(null);
 };
 
@@ -104,12 +153,23 @@ WinPlatform.prototype.update =
 function(versionSpec, args, callback) {
 
     var output = this.output;
+    var dryRun = this.application.dryRun;
+
+    var crosswalkPath = args.crosswalk;
+    if (dryRun.isEnabled()) {
+        if (!crosswalkPath || !ShellJS.test("-f", crosswalkPath)) {
+            callback("Use --windows-crosswalk=<path> to pass crosswalk zip");
+            return;
+        }
+        dryRun.skip(output, "import " + crosswalkPath + " into " + this.platformPath);
+        callback(null);
+        return;
+    }
 
     // Rename current dir for backup.
     var oldPath = this.platformPath + ".bak";
     ShellJS.mv(this.platformPath, oldPath);
 
-    var crosswalkPath = args.crosswalk;
     this.importCrosswalkFromZip(crosswalkPath,
                                 function (errormsg) {
 
@@ -126,12 +186,25 @@ function(versionSpec, args, callback) {
     }.bind(this));
 };
 
+/**
+ * Implements {@link PlatformBase.refresh}
+ */
 WinPlatform.prototype.refresh =
 function(callback) {
 
-    // TODO implement updating of project to new Crosswalk version.
-    // Maybe this function will be not needed, and removed in the future.
-    this.output.log("WinPlatform: TODO Refreshing project\n");
+    var output = this.output;
+
+    var metaData = this.createMetaData();
+    var sdk = new WixSDK(output, this.application.dryRun);
+    var xmlStr = sdk.generateWXS(this.appPath, this.platformPath, metaData);
+    if (!xmlStr) {
+        callback("Failed to generate WiX source");
+        return;
+    }
+
+    var path = Path.join(this.platformPath, sdk.getBasename(metaData) + ".wxs");
+    FS.writeFileSync(path, xmlStr);
+    output.info("Project refreshed at '" + path + "'");
 
     // Null means success, error string means failure.
     callback(null);
@@ -192,12 +265,12 @@ function() {
 };
 
 /**
- * Implements {@link PlatformBase.build}
+ * Create meta data for WiX source generation from the web manifest.
+ * @returns {Object} Meta data as expected by {@link WixSDK#generateWXS}.
  */
-WinPlatform.prototype.build =
-function(configId, args, callback) {
+WinPlatform.prototype.createMetaData =
+function() {
 
-    var output = this.output;
     var manifest = this.application.manifest;
 
     // WiX wants 4 component version numbers, so append as many ".0" as needed.
@@ -205,7 +278,44 @@ function(configId, args, callback) {
     var nComponents = manifest.appVersion.split(".").length;
     var versionPadding = new Array(4 - nComponents + 1).join(".0");
 
-    var sdk = new WixSDK(this.output);
+    // The MSI is not localized, use the name in the default language.
+    var names = manifest.getLocalizedNames(manifest.lang);
+
+    return {
+        app_name: names.name,
+        upgrade_id: manifest.windowsUpdateId,
+        manufacturer: this.getVendor(),
+        version: manifest.appVersion + versionPadding,
+        is_64_bit: true,
+        icon: this.selectIcon(),
+        product: manifest.packageId,
+        description: manifest.description,
+        command_line: manifest.commandLine
+        //extensions: 'tests/extension/echo_extension'
+    };
+};
+
+/**
+ * Implements {@link PlatformBase.build}
+ */
+WinPlatform.prototype.build =
+function(configId, args, callback) {
+
+    var output = this.output;
+    var exceptions = this.application.exceptions;
+
+    var inputs = this.getBuildInputs(configId, args);
+    var builtPath = args.force ? null : this.findBuiltPackage(configId, inputs);
+    if (builtPath) {
+        output.info("Package is up to date, use --force to build anyway");
+        output.highlight("  * Built package(s):");
+        output.highlight("    + " + Path.basename(builtPath) + " (up to date)");
+        this.exportPackage(builtPath, configId);
+        callback(null);
+        return;
+    }
+
+    var sdk = new WixSDK(this.output, this.application.dryRun);
     var indicator = output.createInfiniteProgress("Building package");
     sdk.onData = function(data) {
         this.logOutput.write(data);
@@ -230,34 +340,28 @@ function(configId, args, callback) {
         });
     }.bind(this);
 
-    var metaData = {
-        app_name: manifest.name,
-        upgrade_id: manifest.windowsUpdateId,
-        manufacturer: this.getVendor(),
-        version: manifest.appVersion + versionPadding,
-        is_64_bit: true,
-        icon: this.selectIcon(),
-        product: manifest.packageId
-        //extensions: 'tests/extension/echo_extension'
-    };
+    var metaData = this.createMetaData();
     sdk.generateMSI(this.appPath, this.platformPath, metaData,
                     function (success) {
 
-        if (success) {
+        if (success && !metaData.msi) {
+            // Dry run, nothing built.
+            indicator.done();
+            callback(null);
+        } else if (success) {
             indicator.done();
             // TODO rename so they include version number
             output.highlight("  * Built package(s):");
-            output.highlight("    + " + metaData.msi);
+            output.highlight("    + " + Path.basename(metaData.msi));
+            var exportedPath = this.exportPackage(Path.resolve(metaData.msi), configId);
+            this.recordBuiltPackage(configId, inputs, exportedPath);
             callback(null);
         } else {
             indicator.update("error");
-            callback("Building " + this.packageId + " failed");
+            callback(new exceptions.BuildToolError("Building " + this.packageId + " failed"));
         }
         return;
     }.bind(this));
-
-    // Null means success, error string means failure.
-    callback(null);
 };
 
 module.exports = WinPlatform;
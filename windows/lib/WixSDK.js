@@ -9,9 +9,18 @@ var uuid = require('node-uuid');
 var readDir = require('readdir');
 var ShellJS = require("shelljs");
 
-function WixSDK(output) {
+var DryRun = require("../../src/util/DryRun");
+
+/**
+ * Create WixSDK object, generating WiX sources and running the WiX tools.
+ * @constructor
+ * @param {OutputIface} output Output implementation
+ * @param {DryRun} [dryRun] Dry-run support to write files and run tools with, see {@link Application#dryRun}
+ */
+function WixSDK(output, dryRun) {
 
     this._output = output;
+    this._dryRun = dryRun ? dryRun : DryRun.getInstance();
 }
 
 /**
@@ -26,7 +35,7 @@ function(path) {
 };
 
 /**
- * This function generates Windows installer file (.msi) for the given Crosswalk-based application
+ * This function generates the WiX source (.wxs) for the given Crosswalk-based application
  *
  * @param {String} app_path Path to the folder containing the application manifest.json file
  * @param {String} xwalk_path Path to the folder containing the Crosswalk build output (e.g. out/Release)
@@ -41,9 +50,12 @@ function(path) {
  *                              'version' - product version, '0.0.0.0' by default
  *                              'is_64_bit' {Bool} - 64 bit arch. flag, 'false' by default
  *                              'extensions' - path to the Crosswalk C++ extensions to be used by the app
+ *                              'description' - description of the package and shortcut
+ *                              'command_line' - Crosswalk switches appended to the shortcut arguments
+ * @returns {String} WiX XML source, or null on error.
  */
-WixSDK.prototype.generateMSI =
-function(app_path, xwalk_path, meta_data, callback) {
+WixSDK.prototype.generateWXS =
+function(app_path, xwalk_path, meta_data) {
 
     var output = this._output;
 
@@ -51,41 +63,35 @@ function(app_path, xwalk_path, meta_data, callback) {
         app_path = this.convertPath(app_path);
     } else {
         output.error("Path to the application is missing");
-        callback(false);
-        return;
+        return null;
     }
 
     if (xwalk_path) {
         xwalk_path = this.convertPath(xwalk_path);
     } else {
         output.error("Path to xwalk binaries is missing");
-        callback(false);
-        return;
+        return null;
     }
 
     if (!meta_data) {
         output.error("No meta data object is provided");
-        callback(false);
-        return;
+        return null;
     }
 
     // Check the mandatory properties.
     if (!meta_data.hasOwnProperty('app_name')) {
         output.error("Application name must be provided");
-        callback(false);
-        return;
+        return null;
     }
 
     if (!meta_data.hasOwnProperty('upgrade_id')) {
         output.error("Package upgrade ID must be provided");
-        callback(false);
-        return;
+        return null;
     }
 
     if (!meta_data.hasOwnProperty('manufacturer')) {
         output.error("Manufacturer must be provided");
-        callback(false);
-        return;
+        return null;
     }
 
     if (!meta_data.hasOwnProperty('product_name'))
@@ -101,6 +107,8 @@ function(app_path, xwalk_path, meta_data, callback) {
     function HasProductIcon() { return meta_data.hasOwnProperty('icon'); }
     function Is64Bit() { return ('is_64_bit' in meta_data) ? meta_data.is_64_bit : false; }
     function HasExtensions() { return meta_data.hasOwnProperty('extensions'); }
+    function HasDescription() { return !!meta_data.description; }
+    function HasCommandLine() { return !!meta_data.command_line; }
 
     var root = builder.create('Wix').att('xmlns', 'http://schemas.microsoft.com/wix/2006/wi');
 
@@ -116,6 +124,8 @@ function(app_path, xwalk_path, meta_data, callback) {
     var package = product.ele('Package', { InstallerVersion: '300', 'Compressed': 'yes' });
     if (Is64Bit())
         package.att('Platform', 'x64');
+    if (HasDescription())
+        package.att('Description', meta_data.description);
 
     product.ele('Media', { Id: '1', 'Cabinet': 'main.cab', 'EmbedCab': 'yes' });
 
@@ -130,14 +140,15 @@ function(app_path, xwalk_path, meta_data, callback) {
     var target_dir = product.ele('Directory', { 'Id': 'TARGETDIR', 'Name': 'SourceDir' });
 
     var program_files_folder = Is64Bit() ? target_dir.ele('Directory', { Id: 'ProgramFiles64Folder' })
-                                         : target_dir.ele('Directory', { Id: 'ProgramFilesFolder' })
+                                         : target_dir.ele('Directory', { Id: 'ProgramFilesFolder' });
     var app_root_folder = program_files_folder.ele('Directory',
                                                    { Id: 'ApplicationRootFolder', 'Name': meta_data.app_name });
     // We're putting web app files to a separate subfolder to avoid name clashes.
     var app_files_folder = app_root_folder.ele('Directory',
                                               { Id: 'ApplicationFilesFolder', 'Name': meta_data.app_name });
+    var app_extensions_folder = null;
     if (HasExtensions()) {
-        var app_extensions_folder = app_root_folder.ele('Directory',
+        app_extensions_folder = app_root_folder.ele('Directory',
                                                        { Id: 'ApplicationExtensionsFolder', 'Name': 'extensions' });
     }
 
@@ -160,7 +171,7 @@ function(app_path, xwalk_path, meta_data, callback) {
         var file_id = MakeIdFromPath(relative_path);
         file_ids.push(file_id);
         var component = node.ele('Component', { Id: file_id, Guid: uuid.v1() });
-        var source_path = (base_path.length == 0) ? relative_path
+        var source_path = (base_path.length === 0) ? relative_path
                                                   : path.join(base_path, relative_path);
         var file = component.ele('File', { Id: file_id, Source: source_path, KeyPath: 'yes' });
         if (Is64Bit()) {
@@ -224,16 +235,19 @@ function(app_path, xwalk_path, meta_data, callback) {
     var cmd_line_args = InQuotes(path.join(meta_data.app_name, 'manifest.json'));
     if (HasExtensions())
         cmd_line_args += ' --external-extensions-path=extensions';
+    if (HasCommandLine())
+        cmd_line_args += ' ' + meta_data.command_line;
     var shortcut = component.ele('Shortcut', {
         Id: 'ApplicationStartMenuShortcut',
         Name: meta_data.app_name,
-       // Description: 'blah blah',
         Target: '[#xwalk.exe]',
         Arguments: cmd_line_args,
         WorkingDirectory: 'ApplicationRootFolder'
     });
     if (HasProductIcon())
         shortcut.att('Icon', 'ProductIcon');
+    if (HasDescription())
+        shortcut.att('Description', meta_data.description);
 
     component.ele('RemoveFolder', {
         Id: 'ApplicationProgramsFolder',
@@ -249,31 +263,69 @@ function(app_path, xwalk_path, meta_data, callback) {
     });
 
     var feature = product.ele('Feature', { Id: 'MainApplication', Level: '1' });
-    file_ids.forEach(function (file_id) { feature.ele('ComponentRef', { Id: file_id }); })
+    file_ids.forEach(function (file_id) { feature.ele('ComponentRef', { Id: file_id }); });
     feature.ele('ComponentRef', { Id: "ApplicationShortcut" });
 
-    var xml_str = root.end({ pretty: true });
-    var basename = meta_data.product + "-" + meta_data.version;
-    fs.writeFileSync(basename + '.wxs', xml_str);
-    this.runWix(InQuotes(basename), function(success) {
+    return root.end({ pretty: true });
+};
+
+/**
+ * This function generates Windows installer file (.msi) for the given Crosswalk-based application
+ * The .wxs file is written to, and the .msi built in xwalk_path.
+ * In dry-run mode only the .wxs is generated, and meta_data.msi is not set.
+ *
+ * @param {String} app_path Path to the folder containing the application manifest.json file
+ * @param {String} xwalk_path Path to the folder containing the Crosswalk build output (e.g. out/Release)
+ * @param {Object} meta_data The data used for .msi generation, see {@link WixSDK#generateWXS}
+ * @param {Function} callback Callback(success)
+ */
+WixSDK.prototype.generateMSI =
+function(app_path, xwalk_path, meta_data, callback) {
+
+    var xml_str = this.generateWXS(app_path, xwalk_path, meta_data);
+    if (!xml_str) {
+        callback(false);
+        return;
+    }
+
+    var basename = this.getBasename(meta_data);
+    var basepath = path.join(xwalk_path, basename);
+    this._dryRun.writeFile(basepath + '.wxs', xml_str);
+    if (this._dryRun.skip(this._output, "run 'candle -v \"" + basename + ".wxs\"' and " +
+                                  "'light -v \"" + basename + ".wixobj\"' in " + xwalk_path)) {
+        callback(true);
+        return;
+    }
+    this.runWix("\"" + basename + "\"", xwalk_path, function(success) {
         if (success) {
             // Pass back built package
-            meta_data.msi = basename + ".msi";
+            meta_data.msi = basepath + ".msi";
             // Only delete on success, for debugging reasons.
-            ShellJS.rm("-f", basename + ".wxs");
-            ShellJS.rm("-f", basename + ".wixobj");
-            ShellJS.rm("-f", basename + ".wixpdb");
+            ShellJS.rm("-f", basepath + ".wxs");
+            ShellJS.rm("-f", basepath + ".wixobj");
+            ShellJS.rm("-f", basepath + ".wixpdb");
         }
         callback(success);
     });
 };
 
+/**
+ * File basename for the generated .wxs and .msi files.
+ * @param {Object} meta_data The data used for .msi generation
+ * @returns {String} Basename without extension.
+ */
+WixSDK.prototype.getBasename =
+function(meta_data) {
+
+    return meta_data.product + "-" + meta_data.version;
+};
+
 WixSDK.prototype.runWix =
-function(basename, callback) {
+function(basename, cwd, callback) {
 
     var candle = "candle -v " + basename + ".wxs";
     this._output.info("Running '" + candle + "'");
-    var child = child_process.exec(candle);
+    var child = child_process.exec(candle, { cwd: cwd });
 
     child.stdout.on("data", function(data) {
         this.onData(data);
@@ -288,18 +340,18 @@ function(basename, callback) {
             this._output.error("Unhandled error " + code);
             callback(false);
         } else {
-            this.runWixLight(basename, callback);
+            this.runWixLight(basename, cwd, callback);
         }
         return;
     }.bind(this));
 };
 
 WixSDK.prototype.runWixLight =
-function(basename, callback) {
+function(basename, cwd, callback) {
 
     var light = "light -v " + basename + ".wixobj";
     this._output.info("Running '" + light + "'");
-    var child = child_process.exec(light);
+    var child = child_process.exec(light, { cwd: cwd });
 
     child.stdout.on("data", function(data) {
         this.onData(data);
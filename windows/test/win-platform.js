@@ -0,0 +1,106 @@
+// Copyright © 2014 Intel Corporation. All rights reserved.
+// Use  of this  source  code is  governed by  an Apache v2
+// license that can be found in the LICENSE-APACHE-V2 file.
+
+var FS = require("fs");
+var Path = require("path");
+
+var ShellJS = require("shelljs");
+
+var Application = require("../../src/Application");
+var PlatformBase = require("../../src/PlatformBase");
+var Util = require("../../test-util/Util.js");
+var WinPlatform = require("../lib/WinPlatform");
+var WixSDK = require("../lib/WixSDK");
+
+var _packageId = "com.example.foo";
+
+function produceProject(fields) {
+
+    var application = Util.createTmpApplication(_packageId);
+    var path = Path.join(application.appPath, "manifest.json");
+    var json = JSON.parse(FS.readFileSync(path, {"encoding": "utf8"}));
+    for (var key in fields) {
+        json[key] = fields[key];
+    }
+    JSON.stringify(json).to(path);
+
+    // Reload with the changed manifest.
+    application = new Application(application.rootPath, null);
+    var platform = new WinPlatform(PlatformBase, {
+        application: application,
+        platformId: "windows"
+    });
+    ShellJS.mkdir("-p", platform.platformPath);
+
+    return platform;
+}
+
+exports.tests = {
+
+    createMetaData: function(test) {
+
+        test.expect(5);
+
+        var platform = produceProject({
+            "xwalk_app_version": "1.2",
+            "description": "Foo app",
+            "xwalk_command_line": "--enable-foo"
+        });
+
+        var metaData = platform.createMetaData();
+        test.equal(metaData.version, "1.2.0.0");
+        test.equal(metaData.product, _packageId);
+        test.equal(metaData.manufacturer, "com.example");
+        test.equal(metaData.description, "Foo app");
+        test.equal(metaData.command_line, "--enable-foo");
+
+        Util.deleteTmpApplication(platform.application);
+        test.done();
+    },
+
+    generateWXS: function(test) {
+
+        test.expect(4);
+
+        var platform = produceProject({
+            "description": "Foo app",
+            "xwalk_command_line": "--enable-foo"
+        });
+
+        var sdk = new WixSDK(platform.output);
+        var metaData = platform.createMetaData();
+        var xml = sdk.generateWXS(platform.appPath, platform.platformPath, metaData);
+        test.ok(xml.indexOf("Description=\"Foo app\"") > 0);
+        test.ok(xml.indexOf(" --enable-foo\"") > 0);
+
+        // Mandatory fields.
+        delete metaData.upgrade_id;
+        test.equal(sdk.generateWXS(platform.appPath, platform.platformPath, metaData), null);
+        test.equal(sdk.generateWXS(platform.appPath, null, platform.createMetaData()), null);
+
+        Util.deleteTmpApplication(platform.application);
+        test.done();
+    },
+
+    refresh: function(test) {
+
+        test.expect(3);
+
+        var platform = produceProject({
+            "xwalk_app_version": "2.0.1"
+        });
+
+        platform.refresh(function(errormsg) {
+
+            test.equal(errormsg, null);
+
+            var path = Path.join(platform.platformPath, _packageId + "-2.0.1.0.wxs");
+            test.ok(ShellJS.test("-f", path));
+            test.ok(FS.readFileSync(path, {"encoding": "utf8"}).indexOf("Version=\"2.0.1.0\"") > 0);
+
+            Util.deleteTmpApplication(platform.application);
+            test.done();
+        });
+    }
+};